@@ -0,0 +1,20 @@
+// providers/errors.js - shared error type for LLM provider failures
+
+// Thrown by every provider so server.js can map failures to the
+// { tldr, bullets, details, citations } error contract the extension expects.
+//   code: 'upstream_error' | 'empty_output' | 'network' | 'config'
+export class ProviderError extends Error {
+  constructor(message, { code = 'upstream_error', status = 502, detail = '' } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Built-in fetch reports every connection failure as "TypeError: fetch failed" and keeps the
+// reason (ECONNREFUSED, a DNS error, ...) in err.cause
+export function networkErrorDetail(err) {
+  return err?.cause ? `${err} (${err.cause.message || err.cause})` : String(err);
+}
@@ -0,0 +1,116 @@
+// providers/gemini.js - Google Gemini generateContent / embedding backend
+import { ProviderError, networkErrorDetail } from './errors.js';
+import { idleTimeout, readSseData } from './sse.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export function createGeminiProvider({ apiKey, model, embeddingModel, timeoutMs }) {
+  if (!apiKey) {
+    throw new ProviderError('GEMINI_API_KEY is required when LLM_PROVIDER=gemini.', { code: 'config', status: 500 });
+  }
+
+  async function post(method, { system, prompt, schema }, signal, timeout = AbortSignal.timeout(timeoutMs)) {
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      systemInstruction: { parts: [{ text: system }] },
+      generationConfig: schema
+        ? { responseMimeType: 'application/json', responseSchema: schema }
+        : {}
+    };
+
+    const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+    const apiUrl = `${GEMINI_BASE_URL}/${model}:${method}?${query}`;
+
+    let response;
+    try {
+      response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (err) {
+      throw new ProviderError('Could not reach the Gemini API.', { code: 'network', status: 500, detail: networkErrorDetail(err) });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Gemini API Error:', response.status, errorText);
+      throw new ProviderError('API call failed.', {
+        detail: `Gemini API Status ${response.status}: ${errorText.slice(0, 100)}`
+      });
+    }
+    return response;
+  }
+
+  async function generate(request) {
+    const response = await post('generateContent', request);
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      // Blocked by safety settings or an otherwise unexpected candidate structure
+      const detail = JSON.stringify(result, null, 2).slice(0, 500);
+      console.warn('Unexpected Gemini response structure:', detail);
+      throw new ProviderError('LLM did not return a valid answer candidate.', { code: 'empty_output', detail });
+    }
+    return text;
+  }
+
+  // Yields text deltas as Gemini produces them; timeoutMs applies to each wait for data
+  async function* stream(request) {
+    const idle = idleTimeout(timeoutMs);
+    let produced = false;
+    try {
+      const response = await post('streamGenerateContent', request, request.signal, idle.signal);
+      for await (const data of readSseData(response.body, idle.reset)) {
+        let event;
+        try { event = JSON.parse(data); } catch (e) { continue; }
+        const text = (event.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+        if (text) {
+          produced = true;
+          yield text;
+        }
+      }
+    } catch (err) {
+      if (!idle.signal.aborted || err instanceof ProviderError) throw err;
+      throw new ProviderError('The Gemini API stopped sending data.', { code: 'network', status: 500, detail: String(err) });
+    } finally {
+      idle.clear();
+    }
+    if (!produced) {
+      throw new ProviderError('LLM did not return a valid answer candidate.', { code: 'empty_output' });
+    }
+  }
+
+  async function embed(texts) {
+    const apiUrl = `${GEMINI_BASE_URL}/${embeddingModel}:batchEmbedContents?key=${apiKey}`;
+    let response;
+    try {
+      response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: texts.map(text => ({ model: `models/${embeddingModel}`, content: { parts: [{ text }] } }))
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      throw new ProviderError('Could not reach the Gemini API.', { code: 'network', status: 500, detail: networkErrorDetail(err) });
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Gemini Embedding Error:', response.status, errorText);
+      throw new ProviderError('Embedding call failed.', {
+        detail: `Gemini API Status ${response.status}: ${errorText.slice(0, 100)}`
+      });
+    }
+    const result = await response.json();
+    const vectors = (result.embeddings || []).map(e => e.values);
+    if (vectors.length !== texts.length) {
+      throw new ProviderError('Embedding response did not match the request.', { code: 'empty_output' });
+    }
+    return vectors;
+  }
+
+  return { name: 'gemini', model, embeddingModel, generate, stream, embed };
+}
@@ -0,0 +1,72 @@
+// providers/index.js - picks the LLM backend from environment config
+//
+// LLM_PROVIDER=gemini  -> Google Gemini (needs GEMINI_API_KEY)
+// LLM_PROVIDER=openai  -> any OpenAI-compatible server (OPENAI_BASE_URL, e.g. llama.cpp or Ollama)
+// LLM_PROVIDER=mock    -> deterministic offline answers, no network or key required
+//
+// Every provider exposes { name, model, embeddingModel, generate(request), stream(request), embed(texts) }
+// where request = { task, system, prompt, schema, input, signal }. generate() resolves to the raw
+// model text (JSON when a schema is given); stream() is an async generator of text deltas;
+// embed() resolves to one numeric vector per input text.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { ProviderError } from './errors.js';
+
+export { ProviderError };
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-09-2025';
+const DEFAULT_GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const DEFAULT_OPENAI_BASE_URL = 'http://127.0.0.1:8080/v1';
+const DEFAULT_OPENAI_MODEL = 'local-model';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function envValue(env, key) {
+  const v = env[key];
+  return v && v.trim() !== '' ? v.trim() : undefined;
+}
+
+export function loadProviderConfig(env = process.env) {
+  const geminiKey = envValue(env, 'GEMINI_API_KEY');
+  const requested = envValue(env, 'LLM_PROVIDER');
+  let name = requested ? requested.toLowerCase() : undefined;
+
+  if (!name) {
+    name = geminiKey ? 'gemini' : 'mock';
+    if (!geminiKey) {
+      console.warn('AURA proxy: GEMINI_API_KEY is not set and LLM_PROVIDER is not configured — using the offline mock provider.');
+    }
+  }
+
+  const timeoutMs = Number(envValue(env, 'LLM_TIMEOUT_MS')) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name,
+    timeoutMs,
+    gemini: {
+      apiKey: geminiKey,
+      model: envValue(env, 'GEMINI_MODEL') || DEFAULT_GEMINI_MODEL,
+      embeddingModel: envValue(env, 'GEMINI_EMBEDDING_MODEL') || DEFAULT_GEMINI_EMBEDDING_MODEL
+    },
+    openai: {
+      baseUrl: envValue(env, 'OPENAI_BASE_URL') || DEFAULT_OPENAI_BASE_URL,
+      apiKey: envValue(env, 'OPENAI_API_KEY'),
+      model: envValue(env, 'OPENAI_MODEL') || DEFAULT_OPENAI_MODEL,
+      // Local servers usually embed with the loaded chat model unless told otherwise
+      embeddingModel: envValue(env, 'OPENAI_EMBEDDING_MODEL') || envValue(env, 'OPENAI_MODEL') || DEFAULT_OPENAI_MODEL
+    }
+  };
+}
+
+export function createProvider(config = loadProviderConfig()) {
+  switch (config.name) {
+    case 'gemini':
+      return createGeminiProvider({ ...config.gemini, timeoutMs: config.timeoutMs });
+    case 'openai':
+      return createOpenAIProvider({ ...config.openai, timeoutMs: config.timeoutMs });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new ProviderError(`Unknown LLM_PROVIDER "${config.name}". Use gemini, openai or mock.`, { code: 'config', status: 500 });
+  }
+}
@@ -0,0 +1,131 @@
+// providers/mock.js - deterministic offline backend for development and integration tests
+// Never touches the network: answers are derived from the request itself, so the
+// same input always produces the same output.
+
+// Small fixed vocabulary for /detect so tests can assert on known words.
+const MOCK_DETECT_WORDS = {
+  kill: 'stop',
+  killed: 'stopped',
+  dead: 'gone',
+  death: 'loss',
+  attack: 'incident',
+  violent: 'rough',
+  terrifying: 'worrying',
+  disaster: 'setback'
+};
+
+function tokenize(str) {
+  return String(str || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function sectionText(s) {
+  return (s.text || s.body || s.content || '').toString();
+}
+
+function mockAnswer({ question = '', sections = [], history = [] }) {
+  // Follow-ups are matched together with the previous user message, like a real model would
+  const previous = [...(Array.isArray(history) ? history : [])].reverse().find(m => m && m.role === 'user');
+  const qTokens = new Set(tokenize(`${previous ? previous.content : ''} ${question}`));
+  let best = null;
+  let bestScore = -1;
+  for (const s of sections) {
+    const score = tokenize(`${s.heading || ''} ${sectionText(s)}`).filter(t => qTokens.has(t)).length;
+    if (score > bestScore) { best = s; bestScore = score; }
+  }
+  if (!best) {
+    return { tldr: 'No context available.', bullets: [], details: '', citations: [] };
+  }
+  const sentences = splitSentences(sectionText(best));
+  const heading = (best.heading || best.title || 'Section 1').toString().trim();
+  return {
+    tldr: sentences[0] || heading,
+    bullets: sentences.slice(1, 4),
+    details: `[mock] Answer to "${question}" drawn from "${heading}".`,
+    citations: [{ heading, anchor: (best.anchor || '').toString() }]
+  };
+}
+
+function mockDetect({ sections = [] }) {
+  const found = new Map();
+  for (const s of sections) {
+    for (const token of tokenize(sectionText(s))) {
+      if (MOCK_DETECT_WORDS[token]) found.set(token, MOCK_DETECT_WORDS[token]);
+    }
+  }
+  return { replacements: [...found].map(([word, replacement]) => ({ word, replacement })) };
+}
+
+// Splits sentences at commas and semicolons once they pass MOCK_SIMPLE_WORDS words
+const MOCK_SIMPLE_WORDS = 12;
+
+function mockSimplify({ passages = [] }) {
+  return {
+    passages: passages.map(({ id, text }) => ({
+      id,
+      text: splitSentences(text).flatMap((sentence) => {
+        if (sentence.split(' ').length <= MOCK_SIMPLE_WORDS) return [sentence];
+        return sentence.split(/[,;]\s+/).map((part, i, parts) => {
+          const clause = part.replace(/[.!?]+$/, '');
+          const capitalised = clause.charAt(0).toUpperCase() + clause.slice(1);
+          return i === parts.length - 1 ? `${capitalised}${sentence.match(/[.!?]+$/)?.[0] || '.'}` : `${capitalised}.`;
+        });
+      }).join(' ')
+    }))
+  };
+}
+
+// Tags each segment with the target language; placeholders pass through untouched
+function mockTranslate({ segments = [], target = '' }) {
+  return { segments: segments.map(({ id, text }) => ({ id, text: `[${target}] ${text}` })) };
+}
+
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+
+// Hashed bag-of-words vector: texts sharing words end up close, identical texts identical
+function mockEmbedding(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+  for (const token of tokenize(text)) {
+    let hash = 0;
+    for (let i = 0; i < token.length; i++) hash = (hash * 31 + token.charCodeAt(i)) >>> 0;
+    vector[hash % MOCK_EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+const MOCK_STREAM_CHUNK = 16;
+const MOCK_STREAM_DELAY_MS = 20;
+
+export function createMockProvider() {
+  async function generate({ task, input = {} }) {
+    if (task === 'ask') return JSON.stringify(mockAnswer(input));
+    if (task === 'detect') return JSON.stringify(mockDetect(input));
+    if (task === 'simplify') return JSON.stringify(mockSimplify(input));
+    if (task === 'translate') return JSON.stringify(mockTranslate(input));
+    return JSON.stringify({});
+  }
+
+  // Replays the generate() output in fixed-size slices so streaming clients can be exercised offline
+  async function* stream(request) {
+    const text = await generate(request);
+    for (let i = 0; i < text.length; i += MOCK_STREAM_CHUNK) {
+      if (request.signal?.aborted) return;
+      await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+      yield text.slice(i, i + MOCK_STREAM_CHUNK);
+    }
+  }
+
+  async function embed(texts) {
+    return texts.map(mockEmbedding);
+  }
+
+  return { name: 'mock', model: 'mock-1', embeddingModel: 'mock-embed-1', generate, stream, embed };
+}
@@ -0,0 +1,142 @@
+// providers/openai.js - OpenAI-compatible /chat/completions backend
+// Works with hosted OpenAI as well as local servers (llama.cpp, Ollama, LM Studio).
+import { ProviderError, networkErrorDetail } from './errors.js';
+import { idleTimeout, readSseData } from './sse.js';
+
+// Our schemas are written in Gemini's OpenAPI dialect (type: "OBJECT"); convert to JSON Schema.
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'propertyOrdering') continue;
+    if (key === 'type' && typeof value === 'string') out.type = value.toLowerCase();
+    else if (key === 'properties') {
+      out.properties = {};
+      for (const [prop, sub] of Object.entries(value)) out.properties[prop] = toJsonSchema(sub);
+    } else if (key === 'items') out.items = toJsonSchema(value);
+    else out[key] = value;
+  }
+  return out;
+}
+
+export function createOpenAIProvider({ baseUrl, apiKey, model, embeddingModel, timeoutMs }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const embeddingsEndpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  async function post({ system, prompt, schema }, { streaming = false, signal, timeout = AbortSignal.timeout(timeoutMs) } = {}) {
+    // Local servers disagree on json_schema support, so we ask for a JSON object
+    // and spell the schema out in the system message instead.
+    const systemText = schema
+      ? `${system}\n\nRespond with JSON matching this JSON Schema:\n${JSON.stringify(toJsonSchema(schema))}`
+      : system;
+
+    const payload = {
+      model,
+      messages: [
+        { role: 'system', content: systemText },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.2
+    };
+    if (schema) payload.response_format = { type: 'json_object' };
+    if (streaming) payload.stream = true;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (err) {
+      throw new ProviderError(`Could not reach the model server at ${baseUrl}.`, { code: 'network', status: 500, detail: networkErrorDetail(err) });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('OpenAI-compatible API Error:', response.status, errorText);
+      throw new ProviderError('API call failed.', {
+        detail: `Model server status ${response.status}: ${errorText.slice(0, 100)}`
+      });
+    }
+    return response;
+  }
+
+  async function generate(request) {
+    const response = await post(request);
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+      const detail = JSON.stringify(result, null, 2).slice(0, 500);
+      console.warn('Unexpected OpenAI-compatible response structure:', detail);
+      throw new ProviderError('LLM did not return a valid answer candidate.', { code: 'empty_output', detail });
+    }
+    return text;
+  }
+
+  // Yields text deltas from an SSE chat completion stream; timeoutMs applies to each wait for data
+  async function* stream(request) {
+    const idle = idleTimeout(timeoutMs);
+    let produced = false;
+    try {
+      const response = await post(request, { streaming: true, signal: request.signal, timeout: idle.signal });
+      for await (const data of readSseData(response.body, idle.reset)) {
+        if (data === '[DONE]') break;
+        let event;
+        try { event = JSON.parse(data); } catch (e) { continue; }
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) {
+          produced = true;
+          yield text;
+        }
+      }
+    } catch (err) {
+      if (!idle.signal.aborted || err instanceof ProviderError) throw err;
+      throw new ProviderError(`The model server at ${baseUrl} stopped sending data.`, { code: 'network', status: 500, detail: String(err) });
+    } finally {
+      idle.clear();
+    }
+    if (!produced) {
+      throw new ProviderError('LLM did not return a valid answer candidate.', { code: 'empty_output' });
+    }
+  }
+
+  // llama.cpp needs --embeddings; Ollama serves /v1/embeddings for embedding models
+  async function embed(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    let response;
+    try {
+      response = await fetch(embeddingsEndpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: embeddingModel, input: texts }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      throw new ProviderError(`Could not reach the model server at ${baseUrl}.`, { code: 'network', status: 500, detail: networkErrorDetail(err) });
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('OpenAI-compatible Embedding Error:', response.status, errorText);
+      throw new ProviderError('Embedding call failed.', {
+        detail: `Model server status ${response.status}: ${errorText.slice(0, 100)}`
+      });
+    }
+    const result = await response.json();
+    const vectors = (result.data || [])
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(d => d.embedding);
+    if (vectors.length !== texts.length) {
+      throw new ProviderError('Embedding response did not match the request.', { code: 'empty_output' });
+    }
+    return vectors;
+  }
+
+  return { name: 'openai', model, embeddingModel, generate, stream, embed };
+}
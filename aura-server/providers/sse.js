@@ -0,0 +1,34 @@
+// providers/sse.js - minimal server-sent-events reader for streaming model responses
+
+// An abort signal for streamed calls that fires after `ms` without data rather than `ms`
+// after the request started, so long answers are not cut off; call reset() on every chunk
+// and clear() when the stream ends.
+export function idleTimeout(ms) {
+  const controller = new AbortController();
+  let timer;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new DOMException(`No data for ${ms} ms`, 'TimeoutError')), ms);
+  };
+  reset();
+  return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+// Yields the payload of every `data:` line from a fetch response body.
+// onChunk is called for every chunk received (e.g. an idleTimeout's reset).
+export async function* readSseData(body, onChunk) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    onChunk?.();
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+  const rest = buffer.trim();
+  if (rest.startsWith('data:')) yield rest.slice(5).trim();
+}
@@ -1,7 +1,7 @@
-// server.js - Gemini API Proxy for Reliable Q&A
+// server.js - LLM API Proxy for Reliable Q&A
 import express from 'express';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { createProvider, ProviderError } from './providers/index.js';
 dotenv.config();
 
 const app = express();
@@ -14,13 +14,14 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '1mb' }));
 
 // --- CONFIGURATION ---
-// IMPORTANT: You must change your .env file to use GEMINI_API_KEY
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY; 
-const MODEL_NAME = 'gemini-2.5-flash-preview-09-2025';
+// The model backend is chosen by LLM_PROVIDER (gemini | openai | mock); see providers/index.js
 const PORT = process.env.PORT && process.env.PORT.trim() !== '' ? Number(process.env.PORT) : 3000;
 
-if (!GEMINI_API_KEY) {
-  console.error('CRITICAL: Set GEMINI_API_KEY in your .env file to enable the chatbot.');
+let provider;
+try {
+  provider = createProvider();
+} catch (err) {
+  console.error(`CRITICAL: ${err.message}`);
   process.exit(1);
 }
 
@@ -56,6 +57,34 @@ const RESPONSE_SCHEMA = {
     propertyOrdering: ["tldr", "bullets", "details", "citations"]
 };
 
+// Conversation history limits for follow-up questions
+const MAX_HISTORY_MESSAGES = 8;
+const MAX_HISTORY_MESSAGE_CHARS = 600;
+const MAX_HISTORY_CHARS = 3000;
+// Rough ceiling for context blocks + history so long threads do not crowd out the page content
+const PROMPT_CHAR_BUDGET = 16000;
+
+// Keep the most recent valid { role, content } messages that fit in maxChars
+function buildHistoryText(history, maxChars) {
+  if (!Array.isArray(history) || history.length === 0 || maxChars <= 0) return '';
+  const lines = [];
+  let used = 0;
+  const recent = history
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim())
+    .slice(-MAX_HISTORY_MESSAGES);
+  // Walk newest-first so the oldest turns are the ones dropped
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const m = recent[i];
+    let content = m.content.replace(/\s+/g, ' ').trim();
+    if (content.length > MAX_HISTORY_MESSAGE_CHARS) content = content.slice(0, MAX_HISTORY_MESSAGE_CHARS) + '…';
+    const line = `${m.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+    if (used + line.length > maxChars) break;
+    lines.unshift(line);
+    used += line.length + 1;
+  }
+  return lines.join('\n');
+}
+
 function buildContextText(sections){
   if (!Array.isArray(sections) || sections.length === 0) return '';
   return sections.slice(0, 6).map((s, i) => {
@@ -69,189 +98,534 @@ function buildContextText(sections){
 }
 
 
-app.post('/ask', async (req, res) => {
-    console.log('[/ask] incoming body:', JSON.stringify(req.body).slice(0, 2000));
-
-    const { question = '', sections = [], pageInfo = {} } = req.body || {};
+// Validate an /ask-style body and build the prompts; returns { error } or { system, prompt, input }
+function prepareAsk(body) {
+    // JSON null counts as missing, so { "pageInfo": null } is not a crash further down
+    const question = body?.question ?? '';
+    const sections = body?.sections ?? [];
+    const pageInfo = body?.pageInfo ?? {};
+    const history = body?.history ?? [];
+    const badRequest = (tldr, bullet, details) => ({ error: { status: 400, body: { tldr, bullets: [bullet], details, citations: [] } } });
 
     // Basic validations
     if (!question || typeof question !== 'string') {
-        return res.status(400).json({
-        tldr: 'Bad Request',
-        bullets: ['Missing or invalid "question" in request body.'],
-        details: 'Provide { question: string, sections: [...], pageInfo: {...} }',
-        citations: []
-        });
+        return badRequest('Bad Request',
+            'Missing or invalid "question" in request body.',
+            'Provide { question: string, sections: [...], pageInfo: {...} }');
+    }
+    if (typeof pageInfo !== 'object' || Array.isArray(pageInfo)) {
+        return badRequest('Bad Request',
+            'Invalid "pageInfo" in request body.',
+            'When given, "pageInfo" must be an object such as { title, url }.');
     }
 
     // If client provided no sections, either fail fast or include an explicit fallback.
     // Option A (recommended): return 400 so the caller fixes the request:
     if (!Array.isArray(sections) || sections.length === 0) {
-        return res.status(400).json({
-        tldr: 'No Context Provided',
-        bullets: ['The request did not include any "sections". The model requires context blocks.'],
-        details: 'Include a non-empty "sections" array in the request body. Example: sections: [{ heading, text, anchor }, ...]',
-        citations: []
-        });
+        return badRequest('No Context Provided',
+            'The request did not include any "sections". The model requires context blocks.',
+            'Include a non-empty "sections" array in the request body. Example: sections: [{ heading, text, anchor }, ...]');
     }
 
     const context = buildContextText(sections);
 
     // If buildContextText produced an empty string (e.g., all sections had no text), return helpful error
     if (!context || context.trim().length === 0) {
-        return res.status(400).json({
-        tldr: 'Empty Context Blocks',
-        bullets: ['Context blocks were present but contained no usable text.'],
-        details: 'Ensure each section has a non-empty "text" (or "body" / "content") field.',
-        citations: []
-        });
+        return badRequest('Empty Context Blocks',
+            'Context blocks were present but contained no usable text.',
+            'Ensure each section has a non-empty "text" (or "body" / "content") field.');
     }
     console.log("Context being sent:\n", context);
-  // System instruction defines the model's role and output format.
-  const systemInstruction = `You are a helpful text analysis assistant. Your task is to analyze the provided CONTEXT BLOCKS from a webpage and answer the user's QUESTION strictly based on that content. You MUST format your response as a single JSON object that conforms to the provided schema. Do not include any text outside the JSON object. The citations should reference the 'HEADING' and 'ANCHOR' of the CONTEXT BLOCKS you used.`;
-  const userPrompt = `Page Title: ${pageInfo.title}\nPage URL: ${pageInfo.url}\n\nCONTEXT BLOCKS:\n${context}\n\nQUESTION: ${question}`;
-
-  const payload = {
-    contents: [{ parts: [{ text: userPrompt }] }],
-    systemInstruction: { parts: [{ text: systemInstruction }] },
-    generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: RESPONSE_SCHEMA
+    const historyText = buildHistoryText(history, Math.min(MAX_HISTORY_CHARS, PROMPT_CHAR_BUDGET - context.length));
+    // System instruction defines the model's role and output format.
+    const system = `You are a helpful text analysis assistant. Your task is to analyze the provided CONTEXT BLOCKS from a webpage and answer the user's QUESTION strictly based on that content. If a CONVERSATION SO FAR is given, use it only to understand follow-up questions (for example "the second point"); the facts must still come from the CONTEXT BLOCKS. You MUST format your response as a single JSON object that conforms to the provided schema. Do not include any text outside the JSON object. The citations should reference the 'HEADING' and 'ANCHOR' of the CONTEXT BLOCKS you used.`;
+    const conversation = historyText ? `CONVERSATION SO FAR:\n${historyText}\n\n` : '';
+    const prompt = `Page Title: ${pageInfo.title}\nPage URL: ${pageInfo.url}\n\nCONTEXT BLOCKS:\n${context}\n\n${conversation}QUESTION: ${question}`;
+
+    return { system, prompt, input: { question, sections, pageInfo, history } };
+}
+
+function parseAnswerJson(jsonText) {
+    try {
+        const parsedData = JSON.parse(jsonText);
+        // Ensure lists are arrays even if model skips elements
+        parsedData.bullets = Array.isArray(parsedData.bullets) ? parsedData.bullets : [];
+        parsedData.citations = Array.isArray(parsedData.citations) ? parsedData.citations : [];
+        return parsedData;
+    } catch (e) {
+        // Handle malformed JSON response
+        console.error('Failed to parse model JSON response:', e, jsonText);
+        return { 
+            tldr: 'Parsing Error', 
+            bullets: ['Could not read the LLM response. Check the server console for details.'], 
+            details: String(jsonText).slice(0, 500), 
+            citations: []
+        };
     }
-  };
+}
+
+// Read a JSON string value that may still be arriving; returns null until the opening quote is seen
+function readPartialString(text, from) {
+    if (text[from] !== '"') return null;
+    let out = '';
+    for (let i = from + 1; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            if (i + 1 >= text.length) break;
+            const esc = text[i + 1];
+            if (esc === 'u') {
+                if (i + 5 >= text.length) break;
+                out += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+                i += 5;
+            } else {
+                out += ({ n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' })[esc] ?? esc;
+                i += 1;
+            }
+            continue;
+        }
+        if (ch === '"') return { value: out, end: i + 1, complete: true };
+        out += ch;
+    }
+    return { value: out, end: text.length, complete: false };
+}
+
+// Pull tldr and bullets out of a partially streamed answer object so the panel can render early
+function extractPartialAnswer(text) {
+    const partial = { tldr: '', bullets: [] };
+
+    const tldrKey = text.match(/"tldr"\s*:\s*/);
+    if (tldrKey) {
+        const str = readPartialString(text, tldrKey.index + tldrKey[0].length);
+        if (str) partial.tldr = str.value;
+    }
+
+    const bulletsKey = text.match(/"bullets"\s*:\s*\[/);
+    if (bulletsKey) {
+        let i = bulletsKey.index + bulletsKey[0].length;
+        while (i < text.length) {
+            while (i < text.length && /[\s,]/.test(text[i])) i++;
+            if (text[i] !== '"') break;
+            const str = readPartialString(text, i);
+            partial.bullets.push(str.value);
+            if (!str.complete) break;
+            i = str.end;
+        }
+    }
+    return partial;
+}
+
+app.post('/ask', async (req, res) => {
+    console.log('[/ask] incoming body:', JSON.stringify(req.body).slice(0, 2000));
+
+    const prepared = prepareAsk(req.body);
+    if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body);
 
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${GEMINI_API_KEY}`;
-  
   try {
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+    const jsonText = await provider.generate({
+        task: 'ask',
+        system: prepared.system,
+        prompt: prepared.prompt,
+        schema: RESPONSE_SCHEMA,
+        input: prepared.input
     });
+    return res.json(parseAnswerJson(jsonText));
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Gemini API Error:', response.status, errorText);
-        return res.status(502).json({ 
-            tldr: 'LLM Error', 
-            bullets: ['API call failed.'], 
-            details: `Gemini API Status ${response.status}: ${errorText.slice(0, 100)}`,
-            citations: []
-        });
-    }
+  } catch (err) {
+    return sendProviderError(res, err);
+  }
+});
+
+// Streaming variant of /ask. Responds with newline-delimited JSON events:
+//   { type: 'partial', tldr, bullets }   whenever the visible part of the answer grows
+//   { type: 'done', answer }             once, with the full parsed answer
+//   { type: 'error', answer }            on failure (answer follows the usual error contract)
+// Closing the connection aborts the upstream model call.
+app.post('/ask/stream', async (req, res) => {
+    const prepared = prepareAsk(req.body);
+    if (prepared.error) return res.status(prepared.error.status).json(prepared.error.body);
 
-    const result = await response.json();
-    const candidate = result.candidates?.[0];
-
-    if (candidate && candidate.content?.parts?.[0]?.text) {
-        let jsonText = candidate.content.parts[0].text;
-        let parsedData;
-        try {
-            parsedData = JSON.parse(jsonText);
-            // Ensure lists are arrays even if model skips elements
-            parsedData.bullets = Array.isArray(parsedData.bullets) ? parsedData.bullets : [];
-            parsedData.citations = Array.isArray(parsedData.citations) ? parsedData.citations : [];
-        } catch (e) {
-            // Handle malformed JSON response
-            console.error('Failed to parse Gemini JSON response:', e, jsonText);
-            parsedData = { 
-                tldr: 'Parsing Error', 
-                bullets: ['Could not read the LLM response. Check the server console for details.'], 
-                details: jsonText.slice(0, 500), 
-                citations: []
-            };
+    const controller = new AbortController();
+    let finished = false;
+    res.on('close', () => { if (!finished) controller.abort(); });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+    const send = (event) => res.write(JSON.stringify(event) + '\n');
+
+    let jsonText = '';
+    let lastSent = '';
+    try {
+        for await (const chunk of provider.stream({
+            task: 'ask',
+            system: prepared.system,
+            prompt: prepared.prompt,
+            schema: RESPONSE_SCHEMA,
+            input: prepared.input,
+            signal: controller.signal
+        })) {
+            jsonText += chunk;
+            const partial = extractPartialAnswer(jsonText);
+            const key = JSON.stringify(partial);
+            if (key !== lastSent) {
+                lastSent = key;
+                send({ type: 'partial', ...partial });
+            }
         }
-        return res.json(parsedData);
+        if (controller.signal.aborted) return;
+        send({ type: 'done', answer: parseAnswerJson(jsonText) });
+    } catch (err) {
+        if (!controller.signal.aborted) {
+            console.error('Server error during streaming API call', err);
+            send({ type: 'error', answer: providerErrorBody(err) });
+        }
+    } finally {
+        finished = true;
+        if (controller.signal.aborted) console.log('[/ask/stream] client disconnected, upstream call aborted');
+        res.end();
+    }
+});
 
-    } else {
-        // Handle cases where candidate structure is unexpected (e.g., blocked due to safety)
-        const detail = JSON.stringify(result, null, 2).slice(0, 500);
-        console.warn('Unexpected Gemini response structure:', detail);
-        return res.status(502).json({
+// Map provider failures onto the answer contract so the side panel can render them
+function providerErrorBody(err) {
+    if (err instanceof ProviderError && err.code === 'upstream_error') {
+        return {
+            tldr: 'LLM Error',
+            bullets: [err.message],
+            details: err.detail,
+            citations: []
+        };
+    }
+    if (err instanceof ProviderError && err.code === 'empty_output') {
+        return {
             tldr: 'Model Output Failed',
-            bullets: ['LLM did not return a valid answer candidate.'],
-            details: detail,
+            bullets: [err.message],
+            details: err.detail,
             citations: []
-        });
+        };
     }
-
-  } catch (err) {
-    console.error('Server error during API call', err);
-    return res.status(500).json({ 
+    return { 
         tldr: 'Proxy Error',
         bullets: ['The proxy server encountered a network failure.'],
-        details: String(err),
+        details: err instanceof ProviderError ? `${err.message} ${err.detail}`.trim() : String(err),
         citations: []
+    };
+}
+
+// The same failures as { error, details } for the routes that do not use the answer contract
+function providerErrorJson(err) {
+    return {
+        error: err instanceof ProviderError ? err.message : 'Proxy Error',
+        details: err instanceof ProviderError ? err.detail : String(err)
+    };
+}
+
+function sendProviderError(res, err, toBody = providerErrorBody) {
+    if (!(err instanceof ProviderError) || err.code === 'network') {
+        console.error('Server error during API call', err);
+    }
+    const status = err instanceof ProviderError ? err.status : 500;
+    return res.status(status).json(toBody(err));
+}
+
+
+
+
+// Schema for /detect: Gemini schemas cannot describe free-form maps, so the model returns pairs
+const DETECT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        replacements: {
+            type: "ARRAY",
+            description: "Emotionally distressing, violent or vulgar words found in the input, each with a milder replacement.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    word: { type: "STRING", description: "The word or short phrase exactly as it appears in the input, lowercase." },
+                    replacement: { type: "STRING", description: "A calmer single word or short phrase with a similar meaning." }
+                }
+            }
+        }
+    },
+    propertyOrdering: ["replacements"]
+};
+
+const DETECT_MAX_SECTIONS = 12;
+const DETECT_SNIPPET_CHARS = 800;
+const DETECT_MAX_ENTRIES = 60;
+const DETECT_MAX_TERM_LENGTH = 40;
+
+// Accepts { replacements: [{ word, replacement }] }, a flat { word: replacement } object,
+// or "word: replacement" lines, since not every backend honours the schema.
+function parseDetectOutput(textOutput) {
+    const mapping = {};
+    const m = String(textOutput || '').match(/(\{[\s\S]*\})/);
+    if (m && m[1]) {
+        let parsed = null;
+        try { parsed = JSON.parse(m[1]); } catch (e) {}
+        if (parsed && Array.isArray(parsed.replacements)) {
+            for (const r of parsed.replacements) {
+                if (r && typeof r === 'object') mapping[r.word] = r.replacement;
+            }
+        } else if (parsed && typeof parsed === 'object') {
+            Object.assign(mapping, parsed);
+        }
+        return mapping;
+    }
+    // fallback parse: lines like "gun: firearm"
+    const lines = String(textOutput || '').split('\n').map(l => l.trim()).filter(Boolean);
+    for (const ln of lines) {
+        const mm = ln.match(/^["']?([^"'\:\-]+)["']?\s*[:\-]\s*["']?(.+?)["']?$/);
+        if (mm) mapping[mm[1].trim()] = mm[2].trim();
+    }
+    return mapping;
+}
+
+// Keep only entries that are short plain strings, differ from the original and actually occur in the page text
+function validateDetectMapping(mapping, sourceText) {
+    const haystack = ` ${sourceText.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+    const isTerm = (v) => typeof v === 'string' && v.trim().length > 0 && v.trim().length <= DETECT_MAX_TERM_LENGTH && !/[<>{}]/.test(v);
+    const normalized = {};
+    for (const [rawWord, rawReplacement] of Object.entries(mapping || {})) {
+        if (Object.keys(normalized).length >= DETECT_MAX_ENTRIES) break;
+        if (!isTerm(rawWord) || !isTerm(rawReplacement)) continue;
+        const word = rawWord.trim().toLowerCase().replace(/\s+/g, ' ');
+        const replacement = rawReplacement.trim();
+        if (word.split(' ').length > 3) continue;
+        if (replacement.toLowerCase() === word) continue;
+        if (!haystack.includes(` ${word} `)) continue;
+        normalized[word] = replacement;
+    }
+    return normalized;
+}
+
+app.post('/detect', async (req, res) => {
+  const body = req.body || {};
+  const pageInfo = body.pageInfo || {};
+  const sections = Array.isArray(body.sections) ? body.sections : [];
+
+  // Sections without text used to crash the route; skip them instead
+  const usable = sections
+    .map(s => ({
+      heading: ((s && (s.heading || s.title)) || '').toString().trim(),
+      text: ((s && (s.text || s.body || s.content)) || '').toString().replace(/\s+/g, ' ').trim()
+    }))
+    .filter(s => s.text.length > 0)
+    .slice(0, DETECT_MAX_SECTIONS);
+
+  if (usable.length === 0) {
+    return res.status(400).json({
+      error: 'No Context Provided',
+      details: 'Include a non-empty "sections" array whose items have a "text" (or "body" / "content") field.'
     });
   }
+
+  // Build a short prompt. Keep the text small — send headings and a sample of each section.
+  const snippets = usable.map(s => `Heading: ${s.heading}\nText: ${s.text.slice(0, DETECT_SNIPPET_CHARS)}\n`).join('\n---\n');
+
+  const systemInstruction = `You are an assistant that finds emotionally impactful, violent or vulgar words in web page text and suggests milder replacements. Only report words that literally appear in the input. Each replacement must be a single word or short phrase that keeps the sentence readable. You MUST respond with a single JSON object that conforms to the provided schema. If nothing needs replacing return {"replacements": []}.`;
+  const prompt = `Page Title: ${pageInfo.title || ''}\nPage URL: ${pageInfo.url || ''}\n\nInput:\n${snippets}`;
+
+  try {
+    const textOutput = await provider.generate({
+      task: 'detect',
+      system: systemInstruction,
+      prompt,
+      schema: DETECT_SCHEMA,
+      input: { sections: usable, pageInfo }
+    });
+
+    const sourceText = usable.map(s => `${s.heading} ${s.text.slice(0, DETECT_SNIPPET_CHARS)}`).join(' ');
+    const mapping = validateDetectMapping(parseDetectOutput(textOutput), sourceText);
+    return res.json(mapping);
+  } catch (err) {
+    return sendProviderError(res, err, providerErrorJson);
+  }
 });
 
+// Inline markup is sent to /simplify and /translate as numbered placeholders: <3>link text</3>
+// wraps content, <4/> stands alone. Answers must keep exactly the placeholders they were sent.
+const PLACEHOLDER_RE = /<\/?\d+\/?>/g;
+const PLACEHOLDER_RULES = 'Text may contain numbered placeholder tags standing for links and other inline markup: <N>...</N> wraps words, <N/> stands alone. Keep every placeholder exactly once with the same number, put each pair around the words that correspond to what it wrapped (you may reorder them to suit the grammar), and leave &lt; and &amp; as they are.';
 
+function placeholderSignature(text) {
+    return (text.match(PLACEHOLDER_RE) || []).sort().join('');
+}
 
+// Reads { [listKey]: [{ id, text }] } from the model output. Items that were dropped, or came back
+// with placeholders added, lost or changed, are left out so the caller keeps the original text.
+function parseNumberedOutput(textOutput, items, listKey) {
+    let parsed = null;
+    const m = String(textOutput || '').match(/(\{[\s\S]*\})/);
+    try { parsed = m ? JSON.parse(m[1]) : null; } catch (e) {}
+    const wanted = new Map(items.map(item => [item.id, placeholderSignature(item.text)]));
+    const out = [];
+    for (const item of Array.isArray(parsed?.[listKey]) ? parsed[listKey] : []) {
+        const id = item && String(item.id);
+        const text = item && typeof item.text === 'string' ? item.text.trim() : '';
+        if (!wanted.has(id) || !text || placeholderSignature(text) !== wanted.get(id)) continue;
+        wanted.delete(id);
+        out.push({ id, text });
+    }
+    return out;
+}
 
-app.post('/detect', async (req, res) => {
-  try {
+// Schema for /simplify: each passage comes back under the id it was sent with
+const SIMPLIFY_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        passages: {
+            type: "ARRAY",
+            description: "Every input passage rewritten at the requested reading level, in input order.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING", description: "The id of the input passage, unchanged." },
+                    text: { type: "STRING", description: "The rewritten passage as plain text." }
+                }
+            }
+        }
+    },
+    propertyOrdering: ["passages"]
+};
+
+// Reading-level targets the extension offers (profile option readingLevel)
+const READING_LEVELS = {
+    'A2': 'CEFR A2 (elementary): the most common everyday words, sentences of about 8-10 words, one idea per sentence, no idioms',
+    'B1': 'CEFR B1 (intermediate): common words, sentences of about 12-15 words, explain any technical term in a few words',
+    'B2': 'CEFR B2 (upper intermediate): clear standard language, sentences under 20 words, keep necessary technical terms',
+    'grade-3': 'US grade 3 reading level: short familiar words, sentences under 10 words',
+    'grade-5': 'US grade 5 reading level: simple words, sentences under 14 words',
+    'grade-8': 'US grade 8 reading level: plain language, sentences under 20 words'
+};
+const DEFAULT_READING_LEVEL = 'B1';
+const SIMPLIFY_MAX_PASSAGES = 20;
+const SIMPLIFY_MAX_PASSAGE_CHARS = 2000;
+const SIMPLIFY_MAX_TOTAL_CHARS = 8000;
+
+// { passages: [{ id, text }], level?, pageInfo? } -> { level, passages: [{ id, text }] }
+app.post('/simplify', async (req, res) => {
     const body = req.body || {};
     const pageInfo = body.pageInfo || {};
-    const sections = body.sections || [];
-    // Build a short prompt. Keep the text small — send headings or a sample of each section.
-    const snippets = sections.map(s => `Heading: ${s.heading}\nText: ${s.text.slice(0,800)}\n`).join('\n---\n');
-
-    const prompt = `
-You are an assistant that finds emotionally impactful or dangerous words or vulgar words in the input text and suggests milder replacements.
-Return ONLY a JSON object mapping each detected word or short phrase (lowercase) to a single-word or short-phrase replacement.
-Do NOT include commentary, do not include extra fields.
-If no dangerous words are found return an empty JSON object {}.
-
-Input:
-${snippets}
-`;
-
-    // Example: call Gemini (pseudo). Replace with actual endpoint/provider.
-    // --- PSEUDO: replace with real call to Gemini/VertexAI ---
-    // For example, using a hypothetical endpoint (adjust headers & body as required).
-    const modelResp = await fetch('https://api.example.com/v1/generate', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer ' + GEMINI_API_KEY
-      },
-      body: JSON.stringify({
-        model: 'gemini-1', // update appropriately
-        prompt: prompt,
-        max_tokens: 400
-      })
-    });
-    const modelJson = await modelResp.json();
-    // Extract textual output from modelJson (depends on provider)
-    const textOutput = (modelJson && modelJson.output_text) ? modelJson.output_text : JSON.stringify(modelJson);
+    const level = body.level === undefined ? DEFAULT_READING_LEVEL : body.level;
+    const passages = Array.isArray(body.passages)
+        ? body.passages.map(p => ({ id: String(p?.id ?? ''), text: typeof p?.text === 'string' ? p.text.replace(/\s+/g, ' ').trim() : '' }))
+        : [];
 
-    // Try to parse JSON object from output
-    let mapping = {};
-    const m = textOutput.match(/(\{[\s\S]*\})/);
-    if (m && m[1]) {
-      try { mapping = JSON.parse(m[1]); } catch(e) {}
-    } else {
-      // fallback parse: lines like "gun: firearm"
-      const lines = textOutput.split('\n').map(l => l.trim()).filter(Boolean);
-      for (const ln of lines) {
-        const mm = ln.match(/^["']?([^"'\:\-]+)["']?\s*[:\-]\s*["']?(.+?)["']?$/);
-        if (mm) mapping[mm[1].trim().toLowerCase()] = mm[2].trim();
-      }
+    const problem = !READING_LEVELS[level] ? `"level" must be one of ${Object.keys(READING_LEVELS).join(', ')}.`
+        : passages.length === 0 || passages.length > SIMPLIFY_MAX_PASSAGES ? `Provide 1-${SIMPLIFY_MAX_PASSAGES} passages as { id, text }.`
+        : passages.some(p => !p.id || !p.text) ? 'Every passage needs a non-empty "id" and "text".'
+        : new Set(passages.map(p => p.id)).size !== passages.length ? 'Passage ids must be unique.'
+        : passages.some(p => p.text.length > SIMPLIFY_MAX_PASSAGE_CHARS) ? `Passages must be at most ${SIMPLIFY_MAX_PASSAGE_CHARS} characters.`
+        : passages.reduce((n, p) => n + p.text.length, 0) > SIMPLIFY_MAX_TOTAL_CHARS ? `Send at most ${SIMPLIFY_MAX_TOTAL_CHARS} characters per request.`
+        : null;
+    if (problem) return res.status(400).json({ error: 'Bad Request', details: problem });
+
+    const system = `You rewrite web page text so that people with reading difficulties, dyslexia or limited language skills can follow it. Target: ${READING_LEVELS[level]}. Keep every fact, number, name and the original language; do not add opinions, headings or commentary. ${PLACEHOLDER_RULES} Rewrite each passage on its own and return it under the same id. You MUST respond with a single JSON object that conforms to the provided schema.`;
+    const prompt = `Page Title: ${pageInfo.title || ''}\nPage URL: ${pageInfo.url || ''}\n\nPASSAGES:\n${passages.map(p => `[${p.id}]\n${p.text}`).join('\n\n')}`;
+
+    try {
+        const textOutput = await provider.generate({
+            task: 'simplify',
+            system,
+            prompt,
+            schema: SIMPLIFY_SCHEMA,
+            input: { passages, level, pageInfo }
+        });
+        return res.json({ level, passages: parseNumberedOutput(textOutput, passages, 'passages') });
+    } catch (err) {
+        return sendProviderError(res, err, providerErrorJson);
     }
+});
 
-    // ensure values are strings
-    const normalized = {};
-    for (const k of Object.keys(mapping||{})) {
-      if (!mapping[k]) continue;
-      normalized[String(k).toLowerCase()] = String(mapping[k]);
+// Schema for /translate: each segment comes back under its id with its placeholders intact
+const TRANSLATE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        segments: {
+            type: "ARRAY",
+            description: "Every input segment translated into the target language, in input order.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING", description: "The id of the input segment, unchanged." },
+                    text: { type: "STRING", description: "The translated segment, with every placeholder tag of the input kept exactly once." }
+                }
+            }
+        }
+    },
+    propertyOrdering: ["segments"]
+};
+
+const TRANSLATE_MAX_SEGMENTS = 40;
+const TRANSLATE_MAX_SEGMENT_CHARS = 2000;
+const TRANSLATE_MAX_TOTAL_CHARS = 8000;
+
+// BCP 47 code -> English language name, or null when the code is not a known language
+function languageName(code) {
+    if (typeof code !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code)) return null;
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(code) || null;
+    } catch (e) {
+        return null;
     }
+}
+
+// { segments: [{ id, text }], target, pageInfo? } -> { target, segments: [{ id, text }] }
+app.post('/translate', async (req, res) => {
+    const body = req.body || {};
+    const pageInfo = body.pageInfo || {};
+    const target = typeof body.target === 'string' ? body.target.trim() : '';
+    const language = languageName(target);
+    const segments = Array.isArray(body.segments)
+        ? body.segments.map(s => ({ id: String(s?.id ?? ''), text: typeof s?.text === 'string' ? s.text.replace(/\s+/g, ' ').trim() : '' }))
+        : [];
+
+    const problem = !language ? '"target" must be a language code such as "es" or "pt-BR".'
+        : segments.length === 0 || segments.length > TRANSLATE_MAX_SEGMENTS ? `Provide 1-${TRANSLATE_MAX_SEGMENTS} segments as { id, text }.`
+        : segments.some(s => !s.id || !s.text) ? 'Every segment needs a non-empty "id" and "text".'
+        : new Set(segments.map(s => s.id)).size !== segments.length ? 'Segment ids must be unique.'
+        : segments.some(s => s.text.length > TRANSLATE_MAX_SEGMENT_CHARS) ? `Segments must be at most ${TRANSLATE_MAX_SEGMENT_CHARS} characters.`
+        : segments.reduce((n, s) => n + s.text.length, 0) > TRANSLATE_MAX_TOTAL_CHARS ? `Send at most ${TRANSLATE_MAX_TOTAL_CHARS} characters per request.`
+        : null;
+    if (problem) return res.status(400).json({ error: 'Bad Request', details: problem });
+
+    const system = `You translate web page text into ${language} (${target}). ${PLACEHOLDER_RULES} Do not translate names, code, URLs or numbers, and add no commentary. Translate each segment on its own and return it under the same id. You MUST respond with a single JSON object that conforms to the provided schema.`;
+    const prompt = `Page Title: ${pageInfo.title || ''}\nPage URL: ${pageInfo.url || ''}\n\nSEGMENTS:\n${segments.map(s => `[${s.id}]\n${s.text}`).join('\n\n')}`;
 
-    return res.json(normalized);
+    try {
+        const textOutput = await provider.generate({
+            task: 'translate',
+            system,
+            prompt,
+            schema: TRANSLATE_SCHEMA,
+            input: { segments, target, pageInfo }
+        });
+        return res.json({ target, segments: parseNumberedOutput(textOutput, segments, 'segments') });
+    } catch (err) {
+        return sendProviderError(res, err, providerErrorJson);
+    }
+});
+
+// Embeddings for page-chunk retrieval in the extension: { texts: [string] } -> { model, vectors }
+const EMBED_MAX_TEXTS = 64;
+const EMBED_MAX_CHARS = 2000;
+
+app.post('/embed', async (req, res) => {
+  const texts = Array.isArray(req.body?.texts) ? req.body.texts : null;
+  if (!texts || texts.length === 0 || texts.length > EMBED_MAX_TEXTS || !texts.every(t => typeof t === 'string')) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      details: `Provide { texts: [string] } with 1-${EMBED_MAX_TEXTS} entries.`
+    });
+  }
+  try {
+    const vectors = await provider.embed(texts.map(t => t.replace(/\s+/g, ' ').trim().slice(0, EMBED_MAX_CHARS) || ' '));
+    return res.json({ model: provider.embeddingModel, vectors });
   } catch (err) {
-    console.error('detect error', err);
-    return res.status(500).send(String(err));
+    return sendProviderError(res, err, providerErrorJson);
   }
 });
 
-app.listen(PORT, ()=> console.log(`Gemini API proxy listening on ${PORT} — model=${MODEL_NAME}`));
\ No newline at end of file
+app.listen(PORT, ()=> console.log(`AURA API proxy listening on ${PORT} — provider=${provider.name} model=${provider.model}`));
\ No newline at end of file
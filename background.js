@@ -1,6 +1,11 @@
 // background.js — AURA: Full Features + Ad Block + Auto Night Dark Mode
 const DEFAULT_TIMEOUT_MS = 3500;
 const ADBLOCK_RULESET_ID = "adblock_rules";
+const PROXY_URL = 'http://localhost:3000';
+const NIGHT_ALARM = 'aura-night-check';
+const STATS_ALARM = 'aura-block-stats';
+
+importScripts('profiles.js', 'schedule.js', 'filterLists.js', 'cosmeticFilters.js', 'blockStats.js', 'imageFrames.js');
 
 // -----------------------
 // 1. State Variables
@@ -9,67 +14,66 @@ let adBlockEnabled = true;
 let adsBlockedCount = 0;
 let darkModeEnabled = true;
 let isNightTime = false;
+let nightSchedule = AuraSchedule.normalize(null);
+let systemPrefersDark = false;
 
 // -----------------------
-// 2. Night Detection (6 PM – 6 AM)
+// 2. Night Detection (schedule.js)
 // -----------------------
+// The schedule lives in storage.sync (aura_dark_schedule); the OS colour scheme is
+// reported by content scripts and the popup as aura_system_dark, since a service
+// worker cannot run matchMedia. isNightTime is mirrored to storage.session so a
+// restarted worker does not re-insert the dark CSS into tabs that already have it.
 function updateNightStatus() {
-  const now = new Date();
-  const hour = now.getHours();
   const prevNight = isNightTime;
-  isNightTime = hour >= 18 || hour < 6;
+  isNightTime = AuraSchedule.isNight(nightSchedule, new Date(), { prefersDark: systemPrefersDark });
 
   if (prevNight !== isNightTime) {
+    chrome.storage.session.set({ aura_is_night: isNightTime });
     applyDarkModeToAllTabs();
   }
 }
 
-// -----------------------
-// 3. Dark Mode CSS
-// -----------------------
-const DARK_MODE_CSS = `
-  html, body, div, span, applet, object, iframe,
-  h1, h2, h3, h4, h5, h6, p, blockquote, pre,
-  a, abbr, acronym, address, big, cite, code,
-  del, dfn, em, img, ins, kbd, q, s, samp,
-  small, strike, strong, sub, sup, tt, var,
-  b, u, i, center, dl, dt, dd, ol, ul, li,
-  fieldset, form, label, legend,
-  table, caption, tbody, tfoot, thead, tr, th, td,
-  article, aside, canvas, details, embed,
-  figure, figcaption, footer, header, hgroup,
-  menu, nav, output, ruby, section, summary,
-  time, mark, audio, video {
-    background-color: #1a1a1a !important;
-    color: #e0e0e0 !important;
-    border-color: #444 !important;
-  }
-  a { color: #82aaff !important; }
-  a:visited { color: #c792ea !important; }
-  input, textarea, select {
-    background-color: #2d2d2d !important;
-    color: #e0e0e0 !important;
-    border: 1px solid #555 !important;
+async function loadNightState() {
+  const [sync, local, session] = await Promise.all([
+    chrome.storage.sync.get([AuraSchedule.STORAGE_KEY]),
+    chrome.storage.local.get(['darkModeEnabled', 'aura_system_dark']),
+    chrome.storage.session.get(['aura_is_night'])
+  ]);
+  nightSchedule = AuraSchedule.normalize(sync[AuraSchedule.STORAGE_KEY]);
+  systemPrefersDark = !!local.aura_system_dark;
+  darkModeEnabled = local.darkModeEnabled !== false;
+  isNightTime = !!session.aura_is_night;
+  updateNightStatus();
+}
+
+const nightStateReady = loadNightState().catch(err => console.warn('AURA: night state load failed', err));
+
+chrome.alarms.create(NIGHT_ALARM, { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== NIGHT_ALARM) return;
+  await nightStateReady;
+  updateNightStatus();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if ((area === 'sync' && changes[AuraSchedule.STORAGE_KEY]) || (area === 'local' && changes.aura_system_dark)) {
+    nightStateReady.then(() => {
+      if (changes[AuraSchedule.STORAGE_KEY]) nightSchedule = AuraSchedule.normalize(changes[AuraSchedule.STORAGE_KEY].newValue);
+      if (changes.aura_system_dark) systemPrefersDark = !!changes.aura_system_dark.newValue;
+      updateNightStatus();
+    });
   }
-  img, video, iframe { filter: brightness(0.9) contrast(1.1); }
-  * { scrollbar-color: #555 #2d2d2d; }
-`;
+});
 
-// Inject/Remove CSS
+// -----------------------
+// 3. Dark Mode (rendered by the theme engine in content.js)
+// -----------------------
 async function toggleDarkModeOnTab(tabId, enable) {
   try {
-    if (enable) {
-      await chrome.scripting.insertCSS({
-        target: { tabId },
-        css: DARK_MODE_CSS
-      });
-    } else {
-      await chrome.scripting.removeCSS({
-        target: { tabId },
-        css: DARK_MODE_CSS
-      });
-    }
+    await chrome.tabs.sendMessage(tabId, { type: 'AURA_DARK_MODE', enabled: enable });
   } catch (err) {
+    // No content script in this tab (chrome:// pages, the Web Store, tabs still loading)
     console.warn("AURA: Dark mode failed on tab", tabId, err);
   }
 }
@@ -93,18 +97,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     chrome.tabs.create({ url: chrome.runtime.getURL("setup.html") });
   }
 
-  // Load saved state
+  // Load saved state (adsBlockedCount belongs to the block statistics, section 5c)
   const data = await chrome.storage.local.get([
     "adBlockEnabled",
-    "adsBlockedCount",
     "darkModeEnabled"
   ]);
   adBlockEnabled = data.adBlockEnabled !== false;
-  adsBlockedCount = data.adsBlockedCount || 0;
   darkModeEnabled = data.darkModeEnabled !== false;
 
   // Apply ad block
   updateAdBlockRuleset(adBlockEnabled);
+  // Recompiles filter lists and rebuilds the cosmetic index (the baseline may have changed)
+  syncFilterListRules();
 
   // Context menu
   chrome.contextMenus.create({
@@ -112,10 +116,15 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     title: "AURA: Open side panel",
     contexts: ["all"]
   });
+  chrome.contextMenus.create({
+    id: "aura-hide-element",
+    title: "AURA: Hide this element…",
+    contexts: ["all"]
+  });
 
-  // Start night detection
+  // Night detection runs from the NIGHT_ALARM; settle the current state right away
+  await nightStateReady;
   updateNightStatus();
-  setInterval(updateNightStatus, 60_000); // every minute
 });
 
 // -----------------------
@@ -128,14 +137,459 @@ function updateAdBlockRuleset(enabled) {
   }).catch(err => console.warn("AURA: Ad block toggle failed", err));
 }
 
-// Count blocked ads
-chrome.declarativeNetRequest.onRuleMatchedDebug.addListener((info) => {
-  if (info.request?.tabId && info.rule?.rulesetId === ADBLOCK_RULESET_ID) {
-    adsBlockedCount++;
-    chrome.storage.local.set({ adsBlockedCount });
+// -----------------------
+// 5b. Filter Lists (EasyList syntax, compiled by filterLists.js)
+// -----------------------
+// List metadata lives in storage.local under aura_filter_lists, each list's raw text under
+// aura_filter_list_text_<id>. Compiled rules are dynamic rules numbered from
+// FILTER_RULE_ID_BASE; ids below it are left for other dynamic rules. Element-hiding lines
+// are merged with the built-in baseline into the cosmetic index content.js applies.
+const FILTER_LISTS_KEY = 'aura_filter_lists';
+const FILTER_TEXT_PREFIX = 'aura_filter_list_text_';
+const FILTER_RULE_ID_BASE = 1_000_000;
+const FILTER_RESERVED_RULES = 500;      // headroom for non-list dynamic rules
+const FILTER_MAX_REPORTED_ERRORS = 200;
+const FILTER_RULE_BATCH = 500;
+
+function maxDynamicRules() {
+  const dnr = chrome.declarativeNetRequest;
+  return dnr.MAX_NUMBER_OF_DYNAMIC_RULES || dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000;
+}
+
+async function loadFilterLists() {
+  const data = await chrome.storage.local.get([FILTER_LISTS_KEY]);
+  return Array.isArray(data[FILTER_LISTS_KEY]) ? data[FILTER_LISTS_KEY] : [];
+}
+
+async function saveFilterLists(lists) {
+  await chrome.storage.local.set({ [FILTER_LISTS_KEY]: lists });
+}
+
+// Chrome's regex engine (RE2) rejects lookarounds and backreferences that JS accepts
+async function dropUnsupportedRegexRules(result, lines) {
+  const kept = [];
+  const keptLines = [];
+  for (let i = 0; i < result.rules.length; i++) {
+    const rule = result.rules[i];
+    if (rule.condition.regexFilter) {
+      const check = await chrome.declarativeNetRequest.isRegexSupported({
+        regex: rule.condition.regexFilter,
+        isCaseSensitive: !!rule.condition.isUrlFilterCaseSensitive
+      });
+      if (!check.isSupported) {
+        result.errors.push({ line: result.ruleLines[i], text: (lines[result.ruleLines[i] - 1] || '').trim(), reason: `regular expression not supported (${check.reason})` });
+        continue;
+      }
+    }
+    kept.push(rule);
+    keptLines.push(result.ruleLines[i]);
+  }
+  result.rules = kept;
+  result.ruleLines = keptLines;
+}
+
+// Adds rules in batches; a rejected batch is retried rule by rule so one bad rule
+// only costs itself. Returns the source lines of rules Chrome refused.
+async function addDynamicRulesTolerant(rules) {
+  const rejected = [];
+  for (let i = 0; i < rules.length; i += FILTER_RULE_BATCH) {
+    const batch = rules.slice(i, i + FILTER_RULE_BATCH);
+    try {
+      await chrome.declarativeNetRequest.updateDynamicRules({ addRules: batch });
+    } catch (batchErr) {
+      for (const rule of batch) {
+        try {
+          await chrome.declarativeNetRequest.updateDynamicRules({ addRules: [rule] });
+        } catch (err) {
+          rejected.push({ id: rule.id, reason: err.message });
+        }
+      }
+    }
+  }
+  return rejected;
+}
+
+// Syncs run one at a time so overlapping toggles cannot add the same rule ids twice. A change
+// to the stored lists is passed in as `change` and runs on the same chain, right before its
+// sync; otherwise a sync already compiling would save its stale copy over the change.
+let filterSyncChain = Promise.resolve();
+function syncFilterListRules(change) {
+  const run = filterSyncChain.then(async () => {
+    if (change) await change();
+    return compileFilterListRules();
+  });
+  filterSyncChain = run.catch(err => console.warn('AURA: filter list sync failed', err));
+  return run;
+}
+
+// Recompiles every enabled list into dynamic rules, sharing Chrome's rule budget in list order
+async function compileFilterListRules() {
+  const [lists, state, existing] = await Promise.all([
+    loadFilterLists(),
+    chrome.storage.local.get(['adBlockEnabled']),
+    chrome.declarativeNetRequest.getDynamicRules()
+  ]);
+  const enabled = state.adBlockEnabled !== false;
+
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.filter(r => r.id >= FILTER_RULE_ID_BASE).map(r => r.id)
+  });
+
+  const otherRules = existing.filter(r => r.id < FILTER_RULE_ID_BASE).length;
+  let budget = maxDynamicRules() - otherRules - FILTER_RESERVED_RULES;
+  let regexBudget = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES || 1000;
+  let nextId = FILTER_RULE_ID_BASE;
+  const cosmeticEntries = AuraFilterLists.compile(AuraCosmetic.BASELINE_FILTERS).cosmetic;
+
+  for (const list of lists) {
+    if (!list.enabled || !enabled) {
+      list.activeRules = 0;
+      continue;
+    }
+    const key = FILTER_TEXT_PREFIX + list.id;
+    const text = (await chrome.storage.local.get([key]))[key] || '';
+    const lines = text.split(/\r?\n/);
+    const result = AuraFilterLists.compile(text, { firstId: nextId, maxRules: Math.max(0, budget), maxRegexRules: Math.max(0, regexBudget) });
+    await dropUnsupportedRegexRules(result, lines);
+
+    const rejected = await addDynamicRulesTolerant(result.rules);
+    const rejectedIds = new Set(rejected.map(r => r.id));
+    rejected.forEach((r) => {
+      const line = result.ruleLines[result.rules.findIndex(rule => rule.id === r.id)];
+      result.errors.push({ line, text: (lines[line - 1] || '').trim(), reason: `rejected by Chrome: ${r.reason}` });
+    });
+
+    const active = result.rules.length - rejectedIds.size;
+    budget -= active;
+    regexBudget -= result.rules.filter(r => r.condition.regexFilter && !rejectedIds.has(r.id)).length;
+    nextId += result.rules.length;
+    cosmeticEntries.push(...result.cosmetic);
+
+    result.errors.sort((a, b) => a.line - b.line);
+    Object.assign(list, {
+      activeRules: active,
+      cosmeticCount: result.cosmetic.length,
+      skippedCount: result.errors.length,
+      errors: result.errors.slice(0, FILTER_MAX_REPORTED_ERRORS),
+      compiledAt: Date.now()
+    });
+  }
+
+  await saveFilterLists(lists);
+  await chrome.storage.local.set({ [AuraCosmetic.INDEX_KEY]: AuraCosmetic.buildIndex(cosmeticEntries) });
+  return lists;
+}
+
+// Adds or replaces one list in `lists` (mutated) and stores its text; the caller saves and syncs
+async function storeFilterList(lists, { id, name, text }) {
+  let list = id ? lists.find(l => l.id === id) : null;
+  if (id && !list) throw new Error('Unknown filter list');
+  if (!list) {
+    list = { id: `list_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`, enabled: true };
+    lists.push(list);
   }
+  list.name = String(name || list.name || 'Filter list').slice(0, 80);
+  list.updatedAt = Date.now();
+  list.lineCount = String(text || '').split(/\r?\n/).length;
+  await chrome.storage.local.set({ [FILTER_TEXT_PREFIX + list.id]: String(text || '') });
+  return list;
+}
+
+function importFilterList({ id, name, text }) {
+  return syncFilterListRules(async () => {
+    const lists = await loadFilterLists();
+    await storeFilterList(lists, { id, name, text });
+    await saveFilterLists(lists);
+  });
+}
+
+function setFilterListEnabled(id, enabled) {
+  return syncFilterListRules(async () => {
+    const lists = await loadFilterLists();
+    const list = lists.find(l => l.id === id);
+    if (!list) throw new Error('Unknown filter list');
+    list.enabled = !!enabled;
+    await saveFilterLists(lists);
+  });
+}
+
+function removeFilterList(id) {
+  return syncFilterListRules(async () => {
+    const lists = (await loadFilterLists()).filter(l => l.id !== id);
+    await chrome.storage.local.remove(FILTER_TEXT_PREFIX + id);
+    await saveFilterLists(lists);
+  });
+}
+
+// -----------------------
+// 5c. Block Statistics & Paused Sites (blockStats.js)
+// -----------------------
+// Blocked requests are read back with getMatchedRules (onRuleMatchedDebug only fires for
+// unpacked extensions) on STATS_ALARM and when the popup or setup page asks. Each match is
+// counted against the page its tab showed at the match's timestamp (per tab, in
+// storage.session), and per site and day in storage.local, written at most every
+// STATS_FLUSH_MS. Paused sites become allowAllRequests rules with ids below FILTER_RULE_ID_BASE.
+const STATS_FLUSH_MS = 5000;
+const MATCH_POLL_MIN_INTERVAL_MS = 60 * 1000;
+const MATCH_POLL_WINDOW_MS = 10 * 60 * 1000;
+const MATCH_POLL_BUDGET = 15;            // getMatchedRules calls per window; Chrome allows 20
+const TAB_PAGE_HISTORY = 5;              // pages remembered per tab for matches not read yet
+const PAUSE_RULE_ID_BASE = 1;
+const PAUSE_MAX_SITES = 400;            // fits in FILTER_RESERVED_RULES
+const PAUSE_RULE_PRIORITY = 100;        // above every filter-list priority, $important included
+
+let blockStats = AuraBlockStats.normalize(null);
+let tabBlocks = {};                     // tabId -> { pages: [{ site, start, blocked }], closedAt? }, newest page last
+let lastMatchTime = 0;                  // newest getMatchedRules timestamp already counted
+let lastMatchKeys = [];                 // matches at exactly lastMatchTime already counted (see matchKey)
+let lastOnDemandPoll = 0;
+let matchPollTimes = [];                // getMatchedRules calls in the last MATCH_POLL_WINDOW_MS
+let statsDirty = false;
+let statsFlushTimer = null;
+
+async function loadBlockStatsState() {
+  const [local, session] = await Promise.all([
+    chrome.storage.local.get([AuraBlockStats.STATS_KEY, 'adsBlockedCount']),
+    chrome.storage.session.get(['aura_tab_blocks', 'aura_last_match_time', 'aura_last_match_keys', 'aura_match_poll_times'])
+  ]);
+  blockStats = AuraBlockStats.normalize(local[AuraBlockStats.STATS_KEY]);
+  adsBlockedCount = local.adsBlockedCount || 0;
+  tabBlocks = session.aura_tab_blocks || {};
+  lastMatchTime = session.aura_last_match_time || 0;
+  lastMatchKeys = session.aura_last_match_keys || [];
+  matchPollTimes = session.aura_match_poll_times || [];
+}
+
+const blockStatsReady = loadBlockStatsState().catch(err => console.warn('AURA: block stats load failed', err));
+
+function scheduleStatsFlush() {
+  statsDirty = true;
+  if (!statsFlushTimer) statsFlushTimer = setTimeout(flushBlockStats, STATS_FLUSH_MS);
+}
+
+async function flushBlockStats() {
+  clearTimeout(statsFlushTimer);
+  statsFlushTimer = null;
+  if (!statsDirty) return;
+  statsDirty = false;
+  AuraBlockStats.prune(blockStats);
+  await chrome.storage.local.set({ [AuraBlockStats.STATS_KEY]: blockStats, adsBlockedCount });
+  await chrome.storage.session.set({ aura_tab_blocks: tabBlocks, aura_last_match_time: lastMatchTime, aura_last_match_keys: lastMatchKeys, aura_match_poll_times: matchPollTimes });
+}
+
+// The page a tab showed at `time`: the newest one that started no later
+function pageAt(tabId, time) {
+  const pages = tabBlocks[tabId]?.pages || [];
+  for (let i = pages.length - 1; i >= 0; i--) {
+    if (pages[i].start <= time) return pages[i];
+  }
+  return null;
+}
+
+function currentPageBlocks(tabId) {
+  const pages = tabBlocks[tabId]?.pages || [];
+  return pages.length ? pages[pages.length - 1].blocked : 0;
+}
+
+function recordBlocks(tabId, count, date = new Date()) {
+  const page = pageAt(tabId, date.getTime());
+  if (page) page.blocked += count;
+  adsBlockedCount += count;
+  AuraBlockStats.record(blockStats, page ? page.site : null, count, date);
+  scheduleStatsFlush();
+}
+
+// Matched allow rules (exceptions, paused sites) let the request through; only blocks count
+async function blockingRuleIds(matches) {
+  if (!matches.some(m => m.rule.rulesetId === '_dynamic')) return new Set();
+  const dynamic = await chrome.declarativeNetRequest.getDynamicRules();
+  return new Set(dynamic.filter(r => r.action.type === 'block').map(r => r.id));
+}
+
+function isBlockingMatch(rule, dynamicBlockIds) {
+  if (rule.rulesetId === ADBLOCK_RULESET_ID) return true;
+  return rule.rulesetId === '_dynamic' && dynamicBlockIds.has(rule.ruleId);
+}
+
+function matchKey(m) {
+  return `${m.timeStamp}:${m.rule.rulesetId}:${m.rule.ruleId}:${m.tabId}`;
+}
+
+async function collectMatchedRules() {
+  await blockStatsReady;
+  const polledAt = Date.now();
+  const { rulesMatchedInfo = [] } = await chrome.declarativeNetRequest.getMatchedRules({ minTimeStamp: lastMatchTime });
+  // minTimeStamp is inclusive: matches sharing the newest counted millisecond come back again
+  const counted = new Set(lastMatchKeys);
+  const fresh = rulesMatchedInfo.filter(m => m.timeStamp > lastMatchTime || (m.timeStamp === lastMatchTime && !counted.has(matchKey(m))));
+  if (fresh.length) {
+    const dynamicBlockIds = await blockingRuleIds(fresh);
+    for (const match of fresh) {
+      if (isBlockingMatch(match.rule, dynamicBlockIds)) recordBlocks(match.tabId, 1, new Date(match.timeStamp));
+    }
+    const newest = Math.max(...fresh.map(m => m.timeStamp));
+    const atNewest = fresh.filter(m => m.timeStamp === newest).map(matchKey);
+    lastMatchKeys = newest === lastMatchTime ? [...lastMatchKeys, ...atNewest] : atNewest;
+    lastMatchTime = newest;
+  }
+  // Every match of a closed tab has been read once a poll starts after it closed
+  Object.keys(tabBlocks).forEach((tabId) => {
+    if (tabBlocks[tabId].closedAt && tabBlocks[tabId].closedAt < polledAt) delete tabBlocks[tabId];
+  });
+  scheduleStatsFlush();
+}
+
+// Polls run one at a time so the same match is never counted twice. Chrome allows 20
+// getMatchedRules calls per 10 minutes outside user gestures and rejects the rest. STATS_ALARM
+// (once a minute) and requests from the popup and setup page (onDemand, at most once a minute)
+// share MATCH_POLL_BUDGET calls per window, so a busy popup delays an alarm poll instead of
+// going over; matches stay readable for several minutes, so a skipped poll loses nothing.
+let matchPollChain = Promise.resolve();
+
+function takeMatchPoll(onDemand) {
+  const now = Date.now();
+  matchPollTimes = matchPollTimes.filter(t => now - t < MATCH_POLL_WINDOW_MS);
+  if (matchPollTimes.length >= MATCH_POLL_BUDGET) return false;
+  if (onDemand) {
+    if (now - lastOnDemandPoll < MATCH_POLL_MIN_INTERVAL_MS) return false;
+    lastOnDemandPoll = now;
+  }
+  matchPollTimes.push(now);
+  return true;
+}
+
+function isMatchQuotaError(err) {
+  return /MAX_GETMATCHEDRULES_CALLS_PER_INTERVAL|quota/i.test(String(err?.message || err));
+}
+
+function pollMatchedRules({ onDemand = false } = {}) {
+  if (!chrome.declarativeNetRequest.getMatchedRules) return blockStatsReady;
+  const run = matchPollChain.then(async () => {
+    await blockStatsReady;
+    if (takeMatchPoll(onDemand)) await collectMatchedRules();
+  });
+  matchPollChain = run.catch((err) => {
+    if (!isMatchQuotaError(err)) {
+      console.warn('AURA: reading matched rules failed', err);
+      return;
+    }
+    // Calls made elsewhere (or before a restart) used up Chrome's quota: wait out a full window
+    matchPollTimes = Array(MATCH_POLL_BUDGET).fill(Date.now());
+    scheduleStatsFlush();
+  });
+  return matchPollChain;
+}
+
+// Unpacked builds without getMatchedRules still get live counts from the debug event
+if (!chrome.declarativeNetRequest.getMatchedRules && chrome.declarativeNetRequest.onRuleMatchedDebug) {
+  chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(async (info) => {
+    await blockStatsReady;
+    const dynamicBlockIds = await blockingRuleIds([info]);
+    if (isBlockingMatch(info.rule, dynamicBlockIds)) recordBlocks(info.request.tabId, 1);
+  });
+}
+
+// A new document in a tab starts a new "blocked on this page" count. Earlier pages are kept
+// until a poll has read their matches, so those are still counted against the page they hit.
+async function startTabPage(tabId, url) {
+  await blockStatsReady;
+  let site = null;
+  try {
+    const parsed = new URL(url);
+    if (/^https?:$/.test(parsed.protocol)) site = AuraBlockStats.siteKey(parsed.hostname);
+  } catch (e) { }
+  // A page followed by one that started before the last poll's newest match can get no more matches
+  const pages = (tabBlocks[tabId]?.pages || []).filter((p, i, all) => i === all.length - 1 || all[i + 1].start >= lastMatchTime);
+  pages.push({ site, start: Date.now(), blocked: 0 });
+  tabBlocks[tabId] = { pages: pages.slice(-TAB_PAGE_HISTORY) };
+  scheduleStatsFlush();
+}
+
+// Dropped by the first poll after the tab closed, so its last matches are still counted
+async function endTabPage(tabId) {
+  await blockStatsReady;
+  if (!tabBlocks[tabId]) return;
+  tabBlocks[tabId].closedAt = Date.now();
+  scheduleStatsFlush();
+}
+
+chrome.alarms.create(STATS_ALARM, { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== STATS_ALARM) return;
+  await pollMatchedRules();
+  await flushBlockStats();
 });
 
+async function syncPauseRules(sites) {
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing
+      .filter(r => r.id >= PAUSE_RULE_ID_BASE && r.id < PAUSE_RULE_ID_BASE + PAUSE_MAX_SITES)
+      .map(r => r.id),
+    addRules: sites.map((site, i) => ({
+      id: PAUSE_RULE_ID_BASE + i,
+      priority: PAUSE_RULE_PRIORITY,
+      action: { type: 'allowAllRequests' },
+      condition: { requestDomains: [site], resourceTypes: ['main_frame', 'sub_frame'] }
+    }))
+  });
+}
+
+async function setSitePaused(hostname, paused) {
+  const site = AuraBlockStats.siteKey(hostname);
+  if (!site) throw new Error('Blocking can only be paused on web sites');
+  const current = await AuraBlockStats.loadPausedSites();
+  const sites = paused ? [...new Set([...current, site])] : current.filter(s => s !== site);
+  if (sites.length > PAUSE_MAX_SITES) throw new Error(`Blocking can be paused on at most ${PAUSE_MAX_SITES} sites`);
+  await syncPauseRules(sites);
+  await chrome.storage.local.set({ [AuraBlockStats.PAUSED_SITES_KEY]: sites });
+  return sites;
+}
+
+// The ad-block part of a settings bundle (see profileSchema.js)
+async function exportAdBlockSettings() {
+  const [lists, pausedSites, hiddenElements] = await Promise.all([
+    loadFilterLists(),
+    AuraBlockStats.loadPausedSites(),
+    AuraCosmetic.loadUserRules()
+  ]);
+  const texts = await chrome.storage.local.get(lists.map(l => FILTER_TEXT_PREFIX + l.id));
+  return {
+    enabled: adBlockEnabled,
+    pausedSites,
+    hiddenElements,
+    filterLists: lists.map(l => ({ name: l.name, enabled: !!l.enabled, text: texts[FILTER_TEXT_PREFIX + l.id] || '' }))
+  };
+}
+
+// Applies the ad-block part of a settings bundle (validated by profileSchema.js on the setup
+// page). Filter lists replace lists of the same name; other lists are kept.
+async function importAdBlockSettings({ enabled, pausedSites, hiddenElements, filterLists }) {
+  if (typeof enabled === 'boolean' && enabled !== adBlockEnabled) {
+    adBlockEnabled = enabled;
+    updateAdBlockRuleset(adBlockEnabled);
+    await chrome.storage.local.set({ adBlockEnabled });
+  }
+  if (Array.isArray(pausedSites)) {
+    const sites = [...new Set(pausedSites.map(AuraBlockStats.siteKey).filter(Boolean))];
+    if (sites.length > PAUSE_MAX_SITES) throw new Error(`Blocking can be paused on at most ${PAUSE_MAX_SITES} sites`);
+    await syncPauseRules(sites);
+    await chrome.storage.local.set({ [AuraBlockStats.PAUSED_SITES_KEY]: sites });
+  }
+  if (hiddenElements && typeof hiddenElements === 'object') {
+    await AuraCosmetic.saveUserRules(hiddenElements);
+  }
+  return syncFilterListRules(Array.isArray(filterLists) && (async () => {
+    const lists = await loadFilterLists();
+    for (const imported of filterLists) {
+      const existing = lists.find(l => l.name === imported.name);
+      const list = await storeFilterList(lists, { id: existing?.id, name: imported.name, text: imported.text });
+      list.enabled = imported.enabled !== false;
+    }
+    await saveFilterLists(lists);
+  }));
+}
+
 // -----------------------
 // 6. Context Menu
 // -----------------------
@@ -143,13 +597,22 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === "aura-toggle-panel" && tab?.id) {
     chrome.tabs.sendMessage(tab.id, { type: 'AURA_TOGGLE_PANEL' });
   }
+  if (info.menuItemId === "aura-hide-element" && tab?.id) {
+    // The content script remembers what was right-clicked and starts the picker on it
+    chrome.tabs.sendMessage(tab.id, { type: 'AURA_ELEMENT_PICKER', fromContextMenu: true }, () => void chrome.runtime.lastError);
+  }
 });
 
 // -----------------------
 // 7. Tab Updates: Re-apply dark mode
 // -----------------------
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading' && tab.url) {
+    startTabPage(tabId, tab.url);
+    imageProbeCounts.delete(tabId);
+  }
   if (changeInfo.status === 'complete' && tab.url && !tab.url.startsWith('chrome://')) {
+    await nightStateReady;
     if (darkModeEnabled && isNightTime) {
       toggleDarkModeOnTab(tabId, true);
     }
@@ -165,56 +628,488 @@ async function getActiveTabId() {
 }
 
 // -----------------------
-// 9. Text Processing & Chunk Scoring
+// 9. Retrieval: BM25 + optional embeddings
 // -----------------------
+// Sections are ranked by BM25 over stemmed tokens, blended with cosine similarity
+// from proxy-computed embeddings when /embed is available. Chunks are then kept in
+// rank order until CONTEXT_TOKEN_BUDGET is spent instead of a fixed top-k.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const HEADING_WEIGHT = 2;            // heading tokens are counted this many times
+const EMBEDDING_WEIGHT = 0.5;        // share of the hybrid score taken by cosine similarity
+const CONTEXT_TOKEN_BUDGET = 3000;   // matches the proxy's 6 blocks x 2000 chars
+const MAX_CONTEXT_CHUNKS = 6;
+const SERVER_SECTION_CHARS = 2000;   // the proxy truncates each section to this many chars
+const RELEVANCE_FLOOR = 0.35;        // drop chunks scoring below this share of the best one
+const EMBED_TIMEOUT_MS = 2500;               // per request, plus EMBED_TIMEOUT_PER_TEXT_MS per text
+const EMBED_TIMEOUT_PER_TEXT_MS = 100;
+const EMBED_BATCH_SIZE = 64;                 // the proxy's EMBED_MAX_TEXTS
+const EMBED_RETRY_AFTER_MS = 5 * 60_000;
+const EMBED_CACHE_LIMIT = 20;
+const EMBED_CACHE_KEY = 'aura_embedding_cache';
+
+const STOPWORDS = new Set(('a an and are as at be but by do does for from has have how i if in into is it its ' +
+  'me my of on or our so that the their them then there these this to was we what when where which who why ' +
+  'will with you your can about').split(' '));
+
 function norm(str) { return (str || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' '); }
 function tokenize(str) { return norm(str).split(/\s+/).filter(Boolean); }
-function scoreChunk(q, chunk) {
-  const qTokens = tokenize(q);
-  const text = (chunk.text || '').toLowerCase();
-  const head = (chunk.heading || '').toLowerCase();
-  let tf = 0;
-  let headHits = 0;
-  for (const t of qTokens) {
-    const re = new RegExp(`\\b${t}\\b`, 'g');
-    tf += (text.match(re) || []).length;
-    headHits += (head.match(re) || []).length * 2;
+
+// Light suffix stripper (Porter-style step 1 plus common derivations); good enough to
+// make "costs", "costing" and "cost" meet without shipping a full stemmer.
+function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+  if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+  for (const suffix of ['ational', 'ization', 'fulness', 'iveness', 'ement', 'ment', 'ness', 'ation', 'ingly', 'edly', 'ing', 'ed', 'ly', 'er']) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      break;
+    }
+  }
+  // "running" -> "runn" -> "run"
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  // "price" / "pricing" -> "pric"
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+function stemTokens(str) {
+  return tokenize(str).filter(t => !STOPWORDS.has(t)).map(stem);
+}
+
+function sectionTokens(section) {
+  const head = stemTokens(section.heading);
+  const tokens = stemTokens(section.text);
+  for (let i = 0; i < HEADING_WEIGHT; i++) tokens.push(...head);
+  return tokens;
+}
+
+function bm25Scores(question, sections) {
+  const qTokens = [...new Set(stemTokens(question))];
+  const docs = sections.map(sectionTokens);
+  const avgLen = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+  const df = new Map();
+  for (const doc of docs) {
+    for (const t of new Set(doc)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  return docs.map((doc) => {
+    const tf = new Map();
+    for (const t of doc) tf.set(t, (tf.get(t) || 0) + 1);
+    let score = 0;
+    for (const t of qTokens) {
+      const f = tf.get(t);
+      if (!f) continue;
+      const n = df.get(t) || 0;
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLen));
+    }
+    return score;
+  });
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function minMaxNormalize(values) {
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  if (!isFinite(max) || max === min) return values.map(v => (v > 0 ? 1 : 0));
+  return values.map(v => (v - min) / (max - min));
+}
+
+// --- Embedding cache: url -> { signature, vectors }, kept in memory and storage.session ---
+const embeddingCache = new Map();
+let embeddingCacheLoaded = false;
+let embeddingsUnavailableUntil = 0;
+
+function embeddingText(section) {
+  return `${section.heading || ''}\n${(section.text || '').slice(0, 1500)}`;
+}
+
+function sectionsSignature(sections) {
+  let hash = 5381;
+  for (const s of sections) {
+    const str = embeddingText(s);
+    for (let i = 0; i < str.length; i++) hash = ((hash * 33) ^ str.charCodeAt(i)) >>> 0;
+  }
+  return `${sections.length}:${hash}`;
+}
+
+async function loadEmbeddingCache() {
+  if (embeddingCacheLoaded) return;
+  embeddingCacheLoaded = true;
+  try {
+    const data = await chrome.storage.session.get(EMBED_CACHE_KEY);
+    for (const [url, entry] of Object.entries(data[EMBED_CACHE_KEY] || {})) embeddingCache.set(url, entry);
+  } catch (e) { /* session storage unavailable; memory cache only */ }
+}
+
+function persistEmbeddingCache() {
+  while (embeddingCache.size > EMBED_CACHE_LIMIT) embeddingCache.delete(embeddingCache.keys().next().value);
+  chrome.storage.session.set({ [EMBED_CACHE_KEY]: Object.fromEntries(embeddingCache) }).catch(() => {});
+}
+
+async function fetchEmbeddingBatch(texts) {
+  const resp = await fetch(`${PROXY_URL}/embed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ texts }),
+    signal: AbortSignal.timeout(EMBED_TIMEOUT_MS + EMBED_TIMEOUT_PER_TEXT_MS * texts.length)
+  });
+  if (!resp.ok) {
+    const err = new Error(`Embed proxy error ${resp.status}`);
+    err.status = resp.status;
+    throw err;
   }
-  const lenPenalty = Math.log10(Math.max(200, text.length || 0));
-  return (tf + headHits) / (lenPenalty || 1);
+  const data = await resp.json();
+  if (!Array.isArray(data.vectors) || data.vectors.length !== texts.length) throw new Error('Embed response mismatch');
+  return data.vectors;
 }
-function pickTopChunks(question, sections, k = 2) {
-  const scored = (sections || []).map(s => ({ s, score: scoreChunk(question, s) }));
-  scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, k).map(x => x.s);
+
+// Long pages are sent in batches the proxy accepts, one at a time
+async function fetchEmbeddings(texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    vectors.push(...await fetchEmbeddingBatch(texts.slice(i, i + EMBED_BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+// The proxy is down, too slow or failing (not a problem with this one request)
+function isEmbeddingOutage(err) {
+  return err instanceof TypeError || err?.name === 'TimeoutError' || err?.status >= 500;
+}
+
+// Returns { query, sections } vectors, or null when embeddings are unavailable
+async function embedForRetrieval(question, sections, url) {
+  if (Date.now() < embeddingsUnavailableUntil) return null;
+  try {
+    await loadEmbeddingCache();
+    const signature = sectionsSignature(sections);
+    const cached = url ? embeddingCache.get(url) : null;
+    if (cached && cached.signature === signature) {
+      const [query] = await fetchEmbeddings([question]);
+      return { query, sections: cached.vectors };
+    }
+    const vectors = await fetchEmbeddings([question, ...sections.map(embeddingText)]);
+    const [query, ...sectionVectors] = vectors;
+    if (url) {
+      embeddingCache.delete(url);
+      embeddingCache.set(url, { signature, vectors: sectionVectors });
+      persistEmbeddingCache();
+    }
+    return { query, sections: sectionVectors };
+  } catch (e) {
+    console.warn('AURA: embeddings unavailable, using BM25 only', e);
+    if (isEmbeddingOutage(e)) embeddingsUnavailableUntil = Date.now() + EMBED_RETRY_AFTER_MS;
+    return null;
+  }
+}
+
+function estimateTokens(section) {
+  const chars = Math.min((section.text || '').length, SERVER_SECTION_CHARS) + (section.heading || '').length;
+  return Math.ceil(chars / 4);
+}
+
+// Keep ranked chunks until the token budget is spent; always keep the best one
+function selectWithinBudget(ranked, budget = CONTEXT_TOKEN_BUDGET) {
+  const picked = [];
+  let used = 0;
+  const best = ranked[0]?.score || 0;
+  for (const { s, score } of ranked) {
+    if (picked.length >= MAX_CONTEXT_CHUNKS) break;
+    if (picked.length && score < best * RELEVANCE_FLOOR) break;
+    const cost = estimateTokens(s);
+    if (picked.length && used + cost > budget) continue;
+    picked.push(s);
+    used += cost;
+  }
+  return picked;
+}
+
+// Rank page sections for a question; embeddings are blended in when the proxy provides them
+async function retrieveChunks(question, sections, { url = '', budget = CONTEXT_TOKEN_BUDGET } = {}) {
+  const list = (sections || []).filter(s => s && (s.text || s.heading));
+  if (list.length <= 1) return list;
+
+  const lexical = minMaxNormalize(bm25Scores(question, list));
+  let scores = lexical;
+  const vectors = await embedForRetrieval(question, list, url);
+  if (vectors) {
+    const semantic = minMaxNormalize(vectors.sections.map(v => cosine(vectors.query, v)));
+    scores = lexical.map((l, i) => (1 - EMBEDDING_WEIGHT) * l + EMBEDDING_WEIGHT * semantic[i]);
+  }
+
+  const ranked = list.map((s, i) => ({ s, score: scores[i] })).sort((a, b) => b.score - a.score);
+  return selectWithinBudget(ranked, budget);
 }
 
 // -----------------------
 // 10. LLM Query
 // -----------------------
-async function askLLM({ question, contextBlocks, pageInfo }) {
+async function askLLM({ question, contextBlocks, pageInfo, history = [] }) {
   try {
-    const resp = await fetch('http://localhost:3000/ask', {
+    const resp = await fetch(`${PROXY_URL}/ask`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ question, sections: contextBlocks, pageInfo })
+      body: JSON.stringify({ question, sections: contextBlocks, pageInfo, history })
     });
     if (!resp.ok) {
       const txt = await resp.text();
       return { tldr: 'Error', bullets: ['LLM proxy error'], details: txt };
     }
     const data = await resp.json();
-    return {
-      tldr: data.tldr || '',
-      bullets: data.bullets || [],
-      details: data.details || '',
-      citations: data.citations || []
-    };
+    return normalizeAnswer(data);
   } catch (e) {
     return { tldr: 'Error', bullets: [String(e)], details: '' };
   }
 }
 
+function normalizeAnswer(data) {
+  return {
+    tldr: data?.tldr || '',
+    bullets: data?.bullets || [],
+    details: data?.details || '',
+    citations: data?.citations || []
+  };
+}
+
+// Gives each citation the sentence of its section that best matches the answer, so the
+// content script can highlight the exact passage (and find sections that have no anchor).
+function attachCitationExcerpts(answer, contextBlocks = []) {
+  if (!answer?.citations?.length) return answer;
+  const answerTokens = new Set(stemTokens([answer.tldr, ...(answer.bullets || [])].join(' ')));
+  const citations = answer.citations.map((c) => {
+    const heading = String(c?.heading || '').trim();
+    const block = contextBlocks.find(b => c?.anchor && b.anchor === c.anchor)
+      || contextBlocks.find(b => norm(b.heading) === norm(heading));
+    if (!block?.text) return { ...c, heading };
+    const sentences = block.text.split(/(?<=[.!?])\s+|\n+/).map(x => x.trim()).filter(x => x.length > 20);
+    let best = sentences[0] || block.text.slice(0, 160);
+    let bestScore = -1;
+    for (const sentence of sentences) {
+      const score = stemTokens(sentence).filter(t => answerTokens.has(t)).length;
+      if (score > bestScore) { best = sentence; bestScore = score; }
+    }
+    return { ...c, heading: heading || block.heading, anchor: c.anchor || block.anchor || '', excerpt: best.slice(0, 300) };
+  });
+  return { ...answer, citations };
+}
+
+// Streams /ask/stream (newline-delimited JSON) and reports the growing tldr/bullets via onPartial.
+// Resolves with the final answer (failed: true when it is an error report); rejects with an
+// AbortError when signal is aborted.
+async function streamLLM({ question, contextBlocks, pageInfo, history = [], signal, onPartial }) {
+  const resp = await fetch(`${PROXY_URL}/ask/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ question, sections: contextBlocks, pageInfo, history }),
+    signal
+  });
+  if (resp.status === 404) {
+    // Older proxy without the streaming endpoint
+    return askLLM({ question, contextBlocks, pageInfo, history });
+  }
+  if (!resp.ok || !resp.body) {
+    const txt = await resp.text();
+    return { tldr: 'Error', bullets: ['LLM proxy error'], details: txt, failed: true };
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let answer = null;
+  let failed = false;
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let event;
+    try { event = JSON.parse(line); } catch { return; }
+    if (event.type === 'partial') onPartial?.({ tldr: event.tldr || '', bullets: event.bullets || [] });
+    else if (event.type === 'done' || event.type === 'error') {
+      answer = event.answer;
+      failed = event.type === 'error';
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      handleLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  handleLine(buffer);
+
+  if (!answer) return { tldr: 'Error', bullets: ['The answer stream ended early.'], details: '', failed: true };
+  return { ...normalizeAnswer(answer), failed };
+}
+
+// -----------------------
+// 10b. Page Emotion-Word Detection
+// -----------------------
+// Cached per page URL so re-running the emotion filter does not hit the model again; force
+// (a forced re-scan of the page) asks the model anyway and replaces the cached words
+const detectedWordCache = new Map();
+const DETECT_CACHE_LIMIT = 50;
+// A little over the proxy's own model timeout, so a hung proxy cannot hold the request forever
+const DETECT_TIMEOUT_MS = 35000;
+
+async function detectEmotionWords({ sections, pageInfo, force = false }) {
+  const key = pageInfo?.url || '';
+  if (key && !force && detectedWordCache.has(key)) return detectedWordCache.get(key);
+
+  let resp;
+  try {
+    resp = await fetch(`${PROXY_URL}/detect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sections, pageInfo }),
+      signal: AbortSignal.timeout(DETECT_TIMEOUT_MS)
+    });
+  } catch (e) {
+    // A timed-out request fails the same way as an unreachable proxy
+    if (e?.name === 'TimeoutError' || e?.name === 'AbortError') throw new TypeError(`Detect proxy did not answer within ${DETECT_TIMEOUT_MS / 1000} s`);
+    throw e;
+  }
+  if (!resp.ok) {
+    const txt = await resp.text();
+    throw new Error(`Detect proxy error ${resp.status}: ${txt.slice(0, 200)}`);
+  }
+  const data = await resp.json();
+  const mapping = {};
+  for (const [word, replacement] of Object.entries(data || {})) {
+    if (typeof word === 'string' && typeof replacement === 'string' && word.trim() && replacement.trim()) {
+      mapping[word.trim().toLowerCase()] = replacement.trim();
+    }
+  }
+
+  if (key) {
+    detectedWordCache.delete(key);
+    if (detectedWordCache.size >= DETECT_CACHE_LIMIT) {
+      detectedWordCache.delete(detectedWordCache.keys().next().value);
+    }
+    detectedWordCache.set(key, mapping);
+  }
+  return mapping;
+}
+
+// -----------------------
+// 10c. Conversation Threads (per tab)
+// -----------------------
+// Kept in storage.session so a thread survives service worker restarts but not the
+// browser session; dropped when its tab closes. Each turn:
+//   { question, answer: { tldr, bullets, details, citations, pageUrl } }
+const THREAD_KEY_PREFIX = 'aura_thread_';
+const MAX_THREAD_TURNS = 20;
+
+async function loadThread(tabId) {
+  const key = THREAD_KEY_PREFIX + tabId;
+  const data = await chrome.storage.session.get(key);
+  return Array.isArray(data[key]) ? data[key] : [];
+}
+
+async function saveThread(tabId, turns) {
+  await chrome.storage.session.set({ [THREAD_KEY_PREFIX + tabId]: turns.slice(-MAX_THREAD_TURNS) });
+}
+
+async function clearThread(tabId) {
+  await chrome.storage.session.remove(THREAD_KEY_PREFIX + tabId);
+}
+
+// Flatten a thread into the { role, content } history the proxy expects
+function threadToHistory(turns) {
+  const history = [];
+  for (const turn of turns) {
+    history.push({ role: 'user', content: turn.question });
+    const a = turn.answer || {};
+    const content = [a.tldr, ...(a.bullets || []).map(b => `- ${b}`)].filter(Boolean).join('\n');
+    history.push({ role: 'assistant', content });
+  }
+  return history;
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearThread(tabId).catch(() => {});
+  endTabPage(tabId);
+  imageProbeCounts.delete(tabId);
+});
+
+// -----------------------
+// 10d. Animated Image Probe (imageFrames.js)
+// -----------------------
+// The photosensitivity guard in content.js only freezes images with more than one frame. The
+// bytes are fetched here, where host permissions lift CORS. Only the first IMAGE_PROBE_MAX_BYTES
+// are asked for (a Range request, and the read stops there when the server sends the whole
+// file), which holds the headers and usually the second frame; a first frame larger than that
+// answers null. null means the image could not be read or its format is not known, and content.js
+// falls back to the file extension. Answers are cached by URL, and each page load in a tab may
+// start at most IMAGE_PROBES_PER_PAGE downloads so a page full of images cannot use the extension
+// to fetch without limit.
+const imageAnimationCache = new Map();   // url -> Promise<boolean|null>
+const imageProbeCounts = new Map();      // tabId -> downloads started for the current page
+const IMAGE_CACHE_LIMIT = 300;
+const IMAGE_PROBE_MAX_BYTES = 64 * 1024;
+const IMAGE_PROBE_TIMEOUT_MS = 15000;
+const IMAGE_PROBES_PER_PAGE = 100;
+
+async function probeImageAnimation(url) {
+  const resp = await fetch(url, {
+    headers: { Range: `bytes=0-${IMAGE_PROBE_MAX_BYTES - 1}` },
+    credentials: 'omit',
+    signal: AbortSignal.timeout(IMAGE_PROBE_TIMEOUT_MS)
+  });
+  if (!resp.ok || !resp.body) return null;
+  // A partial response ends after the range; it is the whole file only if the total says so
+  const total = resp.status === 206 ? Number(/\/(\d+)$/.exec(resp.headers.get('Content-Range') || '')?.[1]) : Infinity;
+  const reader = resp.body.getReader();
+  const bytes = new Uint8Array(IMAGE_PROBE_MAX_BYTES);
+  let length = 0;
+  try {
+    while (length < IMAGE_PROBE_MAX_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) return AuraImageFrames.isAnimated(bytes.subarray(0, length), resp.status !== 206 || length >= total);
+      const take = value.subarray(0, IMAGE_PROBE_MAX_BYTES - length);
+      bytes.set(take, length);
+      length += take.length;
+      const answer = AuraImageFrames.isAnimated(bytes.subarray(0, length));
+      if (answer !== null) return answer;
+    }
+    return null;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+function isAnimatedImage(url, tabId) {
+  if (imageAnimationCache.has(url)) return imageAnimationCache.get(url);
+  if (!/^(https?|data):/i.test(url)) return Promise.resolve(null);
+  if (tabId !== undefined) {
+    const started = imageProbeCounts.get(tabId) || 0;
+    if (started >= IMAGE_PROBES_PER_PAGE) return Promise.resolve(null);
+    imageProbeCounts.set(tabId, started + 1);
+  }
+  if (imageAnimationCache.size >= IMAGE_CACHE_LIMIT) {
+    imageAnimationCache.delete(imageAnimationCache.keys().next().value);
+  }
+  const probe = probeImageAnimation(url).catch(() => null);
+  imageAnimationCache.set(url, probe);
+  return probe;
+}
+
 // -----------------------
 // 11. Tab Communication
 // -----------------------
@@ -253,6 +1148,17 @@ function askTabForSections(tabId) {
   });
 }
 
+// --- Speech: chrome.tts options from the active profile (ttsVoice, ttsRate, ttsPitch) ---
+const TTS_FORWARDED_EVENTS = new Set(['word', 'end', 'error']);
+
+async function speechOptions() {
+  const profile = await AuraProfiles.loadActive();
+  const clamp = (value) => Math.min(2, Math.max(0.5, Number(value) || 1));
+  const options = { rate: clamp(profile?.ttsRate), pitch: clamp(profile?.ttsPitch) };
+  if (profile?.ttsVoice) options.voiceName = profile.ttsVoice;
+  return options;
+}
+
 // -----------------------
 // 12. Message Handler (Main Entry)
 // -----------------------
@@ -264,16 +1170,88 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         adBlockEnabled = !adBlockEnabled;
         updateAdBlockRuleset(adBlockEnabled);
         await chrome.storage.local.set({ adBlockEnabled });
+        await syncFilterListRules();
         sendResponse({ enabled: adBlockEnabled });
         return;
       }
+
+      // --- Filter Lists ---
+      if (msg.type === 'AURA_FILTER_LISTS') {
+        sendResponse({ lists: await loadFilterLists() });
+        return;
+      }
+      if (msg.type === 'AURA_FILTER_LIST_IMPORT') {
+        try {
+          sendResponse({ ok: true, lists: await importFilterList(msg) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e.message || e) });
+        }
+        return;
+      }
+      if (msg.type === 'AURA_FILTER_LIST_SET_ENABLED') {
+        try {
+          sendResponse({ ok: true, lists: await setFilterListEnabled(msg.id, msg.enabled) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e.message || e) });
+        }
+        return;
+      }
+      if (msg.type === 'AURA_FILTER_LIST_REMOVE') {
+        try {
+          sendResponse({ ok: true, lists: await removeFilterList(msg.id) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e.message || e) });
+        }
+        return;
+      }
+      if (msg.type === 'AURA_ADBLOCK_EXPORT') {
+        sendResponse({ ok: true, adBlock: await exportAdBlockSettings() });
+        return;
+      }
+      if (msg.type === 'AURA_ADBLOCK_IMPORT') {
+        try {
+          sendResponse({ ok: true, lists: await importAdBlockSettings(msg.adBlock || {}) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e.message || e) });
+        }
+        return;
+      }
       if (msg.type === 'AURA_ADBLOCK_STATUS') {
-        sendResponse({ enabled: adBlockEnabled, blocked: adsBlockedCount });
+        // msg.tabId / msg.url (from the popup) add this page's count and pause state
+        await pollMatchedRules({ onDemand: true });
+        const resp = { enabled: adBlockEnabled, blocked: adsBlockedCount };
+        if (msg.tabId) resp.page = currentPageBlocks(msg.tabId);
+        if (msg.url) {
+          try {
+            const { hostname } = new URL(msg.url);
+            // A subdomain paused through its parent reports the parent, so resuming removes that entry
+            const pausedBy = (await AuraBlockStats.loadPausedSites()).find(site => AuraBlockStats.isPaused([site], hostname));
+            resp.site = pausedBy || AuraBlockStats.siteKey(hostname);
+            resp.paused = !!pausedBy;
+          } catch (e) { }
+        }
+        sendResponse(resp);
+        return;
+      }
+      if (msg.type === 'AURA_BLOCKING_PAUSE') {
+        try {
+          const sites = await setSitePaused(msg.site, msg.paused);
+          sendResponse({ ok: true, pausedSites: sites });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e.message || e) });
+        }
+        return;
+      }
+      if (msg.type === 'AURA_BLOCK_STATS') {
+        await pollMatchedRules({ onDemand: true });
+        await flushBlockStats();
+        sendResponse({ stats: blockStats, blocked: adsBlockedCount, pausedSites: await AuraBlockStats.loadPausedSites() });
         return;
       }
 
       // --- Dark Mode Controls ---
       if (msg.type === 'AURA_DARKMODE_TOGGLE') {
+        await nightStateReady;
         darkModeEnabled = !darkModeEnabled;
         await chrome.storage.local.set({ darkModeEnabled });
         await applyDarkModeToAllTabs();
@@ -281,6 +1259,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
       if (msg.type === 'AURA_DARKMODE_STATUS') {
+        await nightStateReady;
         sendResponse({ enabled: darkModeEnabled, isNight: isNightTime });
         return;
       }
@@ -297,13 +1276,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ tldr: 'Error', bullets: [tabResp.error], details: '' });
           return;
         }
-        const topChunks = pickTopChunks(msg.question, tabResp.sections, 2);
+        const topChunks = await retrieveChunks(msg.question, tabResp.sections, { url: tabResp.url });
         const llmResp = await askLLM({
           question: msg.question,
           contextBlocks: topChunks,
           pageInfo: { url: tabResp.url, title: tabResp.title }
         });
-        sendResponse({ ...llmResp, pageUrl: tabResp.url });
+        sendResponse({ ...attachCitationExcerpts(llmResp, topChunks), pageUrl: tabResp.url });
         return;
       }
 
@@ -325,18 +1304,38 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
       // --- Pick Top Chunks ---
       if (msg.type === 'AURA_PICK_CHUNKS') {
-        const top = pickTopChunks(msg.question, msg.sections, 2);
+        const top = await retrieveChunks(msg.question, msg.sections, { url: msg.url || '' });
         sendResponse(top);
         return;
       }
 
+      // --- Page-specific emotion words (merged over aura_mapping.json by content.js) ---
+      if (msg.type === 'AURA_DETECT_EMOTION_WORDS') {
+        try {
+          const mapping = await detectEmotionWords({
+            sections: msg.sections || [],
+            pageInfo: msg.pageInfo || { url: sender.tab?.url || '', title: sender.tab?.title || '' },
+            force: !!msg.force
+          });
+          sendResponse({ ok: true, mapping });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e), mapping: {} });
+        }
+        return;
+      }
+
+      // --- Photosensitivity guard: does this image have more than one frame? ---
+      if (msg.type === 'AURA_IMAGE_ANIMATED') {
+        sendResponse({ animated: await isAnimatedImage(String(msg.url || ''), sender.tab?.id) });
+        return;
+      }
+
       // --- Text-to-Speech ---
       if (msg.type === 'AURA_TTS') {
         try {
           chrome.tts.speak(msg.text || "", {
-            enqueue: false,
-            rate: 1.0,
-            pitch: 1.0
+            ...await speechOptions(),
+            enqueue: false
           });
         } catch (e) {
           console.warn('AURA TTS error:', e);
@@ -344,6 +1343,36 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      // --- Read aloud: one sentence for content.js, events sent back to the same frame ---
+      if (msg.type === 'AURA_TTS_SPEAK') {
+        const tabId = sender.tab?.id;
+        const target = { frameId: sender.frameId || 0 };
+        chrome.tts.speak(msg.text || '', {
+          ...await speechOptions(),
+          enqueue: false,
+          onEvent: (event) => {
+            if (!tabId || !TTS_FORWARDED_EVENTS.has(event.type)) return;
+            chrome.tabs.sendMessage(tabId, {
+              type: 'AURA_TTS_EVENT',
+              id: msg.id,
+              event: { type: event.type, charIndex: event.charIndex, length: event.length, errorMessage: event.errorMessage }
+            }, target, () => void chrome.runtime.lastError);
+          }
+        }, () => {
+          const error = chrome.runtime.lastError;
+          sendResponse(error ? { ok: false, error: error.message } : { ok: true });
+        });
+        return;
+      }
+
+      if (msg.type === 'AURA_TTS_CONTROL') {
+        if (msg.action === 'pause') chrome.tts.pause();
+        else if (msg.action === 'resume') chrome.tts.resume();
+        else if (msg.action === 'stop') chrome.tts.stop();
+        sendResponse({ ok: true });
+        return;
+      }
+
     } catch (e) {
       console.error('AURA background error:', e);
       try { sendResponse({ tldr: 'Error', bullets: [String(e)], details: '' }); } catch {}
@@ -352,11 +1381,98 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   return true; // async response
 });
+
+// -----------------------
+// 12b. Side Panel Ask Port (streaming answers)
+// -----------------------
+// The panel keeps a port open while it is visible; the open port also keeps this
+// service worker alive for the length of a slow answer.
+//   panel -> worker: { type: 'ask', question } | { type: 'cancel' } | { type: 'history' } | { type: 'reset' }
+//   worker -> panel: { type: 'status', text } | { type: 'partial', tldr, bullets }
+//                    | { type: 'done', answer } | { type: 'error', answer } | { type: 'cancelled' }
+//                    | { type: 'history', turns }
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'aura-ask') return;
+  let controller = null;
+
+  port.onDisconnect.addListener(() => controller?.abort());
+
+  port.onMessage.addListener(async (msg) => {
+    if (msg?.type === 'cancel') {
+      controller?.abort();
+      return;
+    }
+    if (msg?.type === 'history' || msg?.type === 'reset') {
+      const tabId = port.sender?.tab?.id || await getActiveTabId();
+      if (!tabId) return;
+      if (msg.type === 'reset') {
+        controller?.abort();
+        await clearThread(tabId);
+      }
+      try { port.postMessage({ type: 'history', turns: await loadThread(tabId) }); } catch {}
+      return;
+    }
+    if (msg?.type !== 'ask') return;
+
+    controller?.abort();
+    const current = controller = new AbortController();
+    const post = (m) => {
+      if (controller !== current) return;
+      try { port.postMessage(m); } catch {}
+    };
+
+    try {
+      const tabId = port.sender?.tab?.id || await getActiveTabId();
+      if (!tabId) {
+        post({ type: 'error', answer: { tldr: 'Error', bullets: ['No active tab'], details: '' } });
+        return;
+      }
+      post({ type: 'status', text: 'Reading the page…' });
+      const tabResp = await askTabForSections(tabId);
+      if (current.signal.aborted) {
+        post({ type: 'cancelled' });
+        return;
+      }
+      if (tabResp.error) {
+        post({ type: 'error', answer: { tldr: 'Error', bullets: [tabResp.error], details: '' } });
+        return;
+      }
+
+      post({ type: 'status', text: 'Answering…' });
+      const turns = await loadThread(tabId);
+      // Follow-ups like "explain the second point" rarely share words with the page,
+      // so retrieve with the previous question as well
+      const previous = turns[turns.length - 1]?.question || '';
+      const topChunks = await retrieveChunks(`${previous} ${msg.question}`.trim(), tabResp.sections, { url: tabResp.url });
+      const answer = await streamLLM({
+        question: msg.question,
+        contextBlocks: topChunks,
+        pageInfo: { url: tabResp.url, title: tabResp.title },
+        history: threadToHistory(turns),
+        signal: current.signal,
+        onPartial: (partial) => post({ type: 'partial', ...partial })
+      });
+      const { failed, ...rest } = answer;
+      const finalAnswer = { ...attachCitationExcerpts(rest, topChunks), pageUrl: tabResp.url };
+      if (!failed && answer.tldr !== 'Error') {
+        await saveThread(tabId, [...turns, { question: msg.question, answer: finalAnswer }]);
+      }
+      post({ type: failed ? 'error' : 'done', answer: finalAnswer });
+    } catch (e) {
+      if (current.signal.aborted) post({ type: 'cancelled' });
+      else post({ type: 'error', answer: { tldr: 'Error', bullets: [String(e)], details: '' } });
+    } finally {
+      if (controller === current) controller = null;
+    }
+  });
+});
+
 chrome.commands.onCommand.addListener(async (command) => {
   console.log("Shortcut pressed:", command);
 
   // 1️⃣ Toggle Night Mode
   if (command === "toggle_night_mode") {
+    await nightStateReady;
     darkModeEnabled = !darkModeEnabled;
     chrome.storage.local.set({ darkModeEnabled });
     applyDarkModeToAllTabs();
@@ -389,6 +1505,46 @@ chrome.commands.onCommand.addListener(async (command) => {
     return;
   }
 
+  // Cycle profiles (no default shortcut: Chrome allows four suggested keys; set one in chrome://extensions/shortcuts)
+  if (command === "cycle_profile") {
+    const [library, active] = await Promise.all([AuraProfiles.loadLibrary(), AuraProfiles.loadActive()]);
+    const next = AuraProfiles.nextProfile(library, active?.id);
+    await AuraProfiles.activate(next);
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.id) {
+      chrome.tabs.sendMessage(tab.id, { type: "AURA_PROFILE_SWITCHED", name: next.name }, () => void chrome.runtime.lastError);
+    }
+    return;
+  }
+
+  // Focus mode (no default shortcut, see cycle_profile)
+  if (command === "toggle_focus_mode") {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.id) chrome.tabs.sendMessage(tab.id, { type: "AURA_READER_TOGGLE" }, () => void chrome.runtime.lastError);
+    return;
+  }
+
+  // Simplify this page (no default shortcut, see cycle_profile)
+  if (command === "simplify_page") {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.id) chrome.tabs.sendMessage(tab.id, { type: "AURA_SIMPLIFY_PAGE" }, () => void chrome.runtime.lastError);
+    return;
+  }
+
+  // Translate this page (no default shortcut, see cycle_profile)
+  if (command === "translate_page") {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.id) chrome.tabs.sendMessage(tab.id, { type: "AURA_TRANSLATE_PAGE" }, () => void chrome.runtime.lastError);
+    return;
+  }
+
+  // Read aloud (no default shortcut, see cycle_profile)
+  if (command === "read_aloud") {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab?.id) chrome.tabs.sendMessage(tab.id, { type: "AURA_READ_ALOUD_TOGGLE" }, () => void chrome.runtime.lastError);
+    return;
+  }
+
   // 4️⃣ Open Sidepanel
   if (command === "open_sidepanel") {
     const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
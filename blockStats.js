@@ -0,0 +1,115 @@
+// blockStats.js - blocked-request statistics and paused sites, shared by background.js
+// (importScripts), content.js, popup.js and setup.js
+//
+// storage.local aura_block_stats, written in batches by background.js:
+//   { days: { '2026-10-19': { total: 42, sites: { 'example.com': 30, 'news.org': 12 } } } }
+// Sites are hostnames without a leading "www."; days are local dates, kept for HISTORY_DAYS.
+//
+// storage.local aura_paused_sites: ['example.com', ...] — sites (and their subdomains) where
+// blocking is paused. background.js mirrors the list into dynamic allow rules and content.js
+// skips list-based element hiding there.
+(function (global) {
+  const STATS_KEY = 'aura_block_stats';
+  const PAUSED_SITES_KEY = 'aura_paused_sites';
+  const HISTORY_DAYS = 90;
+  const MAX_SITES_PER_DAY = 300;
+  const OTHER_SITES = '(other sites)';
+
+  function siteKey(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  }
+
+  function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function normalize(stats) {
+    const days = stats && typeof stats.days === 'object' && stats.days ? stats.days : {};
+    return { days };
+  }
+
+  // Adds count blocked requests for site (null when the tab is unknown); mutates and returns stats
+  function record(stats, site, count = 1, date = new Date()) {
+    const key = dayKey(date);
+    const day = stats.days[key] || (stats.days[key] = { total: 0, sites: {} });
+    day.total += count;
+    if (site) {
+      // Busy days are capped so one day cannot grow without bound
+      const bucket = day.sites[site] !== undefined || Object.keys(day.sites).length < MAX_SITES_PER_DAY ? site : OTHER_SITES;
+      day.sites[bucket] = (day.sites[bucket] || 0) + count;
+    }
+    return stats;
+  }
+
+  function prune(stats, today = new Date()) {
+    const oldest = dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - HISTORY_DAYS + 1));
+    Object.keys(stats.days).forEach((key) => {
+      if (key < oldest) delete stats.days[key];
+    });
+    return stats;
+  }
+
+  // Oldest first, one entry per day including days without blocks: [{ day, total }]
+  function history(stats, days = 30, today = new Date()) {
+    const out = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const key = dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i));
+      out.push({ day: key, total: stats.days[key]?.total || 0 });
+    }
+    return out;
+  }
+
+  // Sites with the most blocks over the last `days` days: [{ site, total }]
+  function topSites(stats, days = 30, limit = 10, today = new Date()) {
+    const totals = new Map();
+    history(stats, days, today).forEach(({ day }) => {
+      Object.entries(stats.days[day]?.sites || {}).forEach(([site, n]) => totals.set(site, (totals.get(site) || 0) + n));
+    });
+    return [...totals]
+      .map(([site, total]) => ({ site, total }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+  }
+
+  function isPaused(pausedSites, hostname) {
+    const host = siteKey(hostname);
+    return (Array.isArray(pausedSites) ? pausedSites : []).some(site => host === site || host.endsWith(`.${site}`));
+  }
+
+  function load() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([STATS_KEY], (res) => resolve(normalize(res?.[STATS_KEY])));
+      } catch (e) {
+        resolve(normalize(null));
+      }
+    });
+  }
+
+  function loadPausedSites() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([PAUSED_SITES_KEY], (res) => resolve(Array.isArray(res?.[PAUSED_SITES_KEY]) ? res[PAUSED_SITES_KEY] : []));
+      } catch (e) {
+        resolve([]);
+      }
+    });
+  }
+
+  global.AuraBlockStats = {
+    STATS_KEY,
+    PAUSED_SITES_KEY,
+    HISTORY_DAYS,
+    siteKey,
+    dayKey,
+    normalize,
+    record,
+    prune,
+    history,
+    topSites,
+    isPaused,
+    load,
+    loadPausedSites
+  };
+})(globalThis);
@@ -0,0 +1,243 @@
+// colorUtils.js - colour parsing, conversions and contrast checks shared by content.js and setup.js
+//
+// Colours are plain objects { r, g, b, a } with 0–255 channels and 0–1 alpha.
+// OKLab / OKLCH (Björn Ottosson) are used wherever colours are changed, because equal
+// steps in L look equally bright whatever the hue. Contrast is reported both as the
+// WCAG 2.x ratio and as an APCA lightness contrast (Lc, APCA-W3 0.0.98G-4g).
+(function (global) {
+  function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+
+  // Accepts #rgb, #rgba, #rrggbb, #rrggbbaa, rgb() and rgba() (what getComputedStyle returns)
+  function parse(str) {
+    const s = String(str || '').trim().toLowerCase();
+    if (s === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    let m = /^#([0-9a-f]{3,8})$/.exec(s);
+    if (m) {
+      let hex = m[1];
+      if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(ch => ch + ch).join('');
+      if (hex.length !== 6 && hex.length !== 8) return null;
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+      };
+    }
+    m = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(s);
+    if (m) {
+      let a = m[4] === undefined ? 1 : parseFloat(m[4]);
+      if (m[4] && m[4].endsWith('%')) a /= 100;
+      return { r: +m[1], g: +m[2], b: +m[3], a: clamp(a, 0, 1) };
+    }
+    return null;
+  }
+
+  function toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(v => Math.round(clamp(v, 0, 255)).toString(16).padStart(2, '0')).join('');
+  }
+
+  function toCss(c) {
+    const [r, g, b] = [c.r, c.g, c.b].map(v => Math.round(clamp(v, 0, 255)));
+    return c.a === undefined || c.a >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${+c.a.toFixed(3)})`;
+  }
+
+  function srgbToLinear(v) {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  function linearToSrgb(v) {
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return c * 255;
+  }
+
+  // WCAG 2.x relative luminance
+  function relativeLuminance(c) {
+    return 0.2126 * srgbToLinear(c.r) + 0.7152 * srgbToLinear(c.g) + 0.0722 * srgbToLinear(c.b);
+  }
+
+  function contrastRatio(a, b) {
+    const la = relativeLuminance(a);
+    const lb = relativeLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  }
+
+  // WCAG 2.x: 4.5:1 for body text (AA), 7:1 (AAA); large text (24px, or 18.66px bold) needs 3:1 / 4.5:1
+  function wcagThresholds(large = false) {
+    return large ? { AA: 3, AAA: 4.5 } : { AA: 4.5, AAA: 7 };
+  }
+
+  function wcagLevel(ratio, large = false) {
+    const t = wcagThresholds(large);
+    if (ratio >= t.AAA) return 'AAA';
+    if (ratio >= t.AA) return 'AA';
+    return 'Fail';
+  }
+
+  const APCA = {
+    mainTRC: 2.4, rCo: 0.2126729, gCo: 0.7151522, bCo: 0.0721750,
+    normBG: 0.56, normTXT: 0.57, revTXT: 0.62, revBG: 0.65,
+    blkThrs: 0.022, blkClmp: 1.414, scale: 1.14, offset: 0.027, deltaYmin: 0.0005, loClip: 0.1
+  };
+
+  function apcaLuminance(c) {
+    const y = APCA.rCo * Math.pow(c.r / 255, APCA.mainTRC)
+      + APCA.gCo * Math.pow(c.g / 255, APCA.mainTRC)
+      + APCA.bCo * Math.pow(c.b / 255, APCA.mainTRC);
+    // Soft clamp near black, where screens flare
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+  }
+
+  // Lc from about -108 to 106: positive for dark text on light backgrounds, negative for reversed
+  function apcaContrast(text, background) {
+    const txtY = apcaLuminance(text);
+    const bgY = apcaLuminance(background);
+    if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+    if (bgY > txtY) {
+      const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scale;
+      return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+    }
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scale;
+    return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+  }
+
+  // Rough APCA use-case bands (|Lc|): 90 preferred body text, 75 body text, 60 other content
+  // text, 45 large or bold headings, 30 minimum for any text
+  function apcaRating(lc) {
+    const v = Math.abs(lc);
+    if (v >= 90) return 'preferred for body text';
+    if (v >= 75) return 'body text';
+    if (v >= 60) return 'content text';
+    if (v >= 45) return 'large text only';
+    if (v >= 30) return 'spot text only';
+    return 'not readable as text';
+  }
+
+  function toOklab(c) {
+    const r = srgbToLinear(c.r), g = srgbToLinear(c.g), b = srgbToLinear(c.b);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return {
+      L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+  }
+
+  // Returns linear-light channels, possibly outside 0–1 (out of gamut)
+  function oklabToLinear({ L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  }
+
+  function toOklch(c) {
+    const { L, a, b } = toOklab(c);
+    const C = Math.sqrt(a * a + b * b);
+    const h = C < 1e-4 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return { L, C, h };
+  }
+
+  // Keeps L and hue, reducing chroma until the colour fits in sRGB
+  function fromOklch({ L, C, h }, alpha = 1) {
+    const lightness = clamp(L, 0, 1);
+    const rad = h * Math.PI / 180;
+    const inGamut = (chroma) => oklabToLinear({ L: lightness, a: chroma * Math.cos(rad), b: chroma * Math.sin(rad) })
+      .every(v => v >= -1e-4 && v <= 1 + 1e-4);
+    let chroma = Math.max(0, C);
+    if (!inGamut(chroma)) {
+      let lo = 0;
+      let hi = chroma;
+      for (let i = 0; i < 16; i++) {
+        const mid = (lo + hi) / 2;
+        if (inGamut(mid)) lo = mid; else hi = mid;
+      }
+      chroma = lo;
+    }
+    const [r, g, b] = oklabToLinear({ L: lightness, a: chroma * Math.cos(rad), b: chroma * Math.sin(rad) })
+      .map(v => clamp(linearToSrgb(clamp(v, 0, 1)), 0, 255));
+    return { r, g, b, a: alpha };
+  }
+
+  // The colour closest in lightness to `color` (same hue, chroma as close as the gamut allows)
+  // with at least minRatio contrast against background; null when neither black nor white reaches it
+  function nearestCompliant(color, background, minRatio) {
+    if (contrastRatio(color, background) >= minRatio) return { ...color };
+    const lch = toOklch(color);
+    const candidates = [0, 1].map((extreme) => {
+      if (contrastRatio(fromOklch({ ...lch, L: extreme }), background) < minRatio) return null;
+      let lo = lch.L;          // fails
+      let hi = extreme;        // passes
+      for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        if (contrastRatio(fromOklch({ ...lch, L: mid }), background) >= minRatio) hi = mid; else lo = mid;
+      }
+      // Rounding to 8-bit channels can land just under the target; step on until it passes
+      let result = fromOklch({ ...lch, L: hi });
+      const step = extreme > lch.L ? 0.002 : -0.002;
+      for (let L = hi; contrastRatio(roundColor(result), background) < minRatio && L >= 0 && L <= 1; L += step) {
+        result = fromOklch({ ...lch, L });
+      }
+      return { color: roundColor(result), distance: Math.abs(hi - lch.L) };
+    }).filter(Boolean);
+    if (!candidates.length) return null;
+    candidates.sort((a, b) => a.distance - b.distance);
+    return candidates[0].color;
+  }
+
+  function roundColor(c) {
+    return { r: Math.round(c.r), g: Math.round(c.g), b: Math.round(c.b), a: c.a === undefined ? 1 : c.a };
+  }
+
+  // Machado, Oliveira & Fernandes (2009), severity 1.0; rows apply to linear-light RGB,
+  // which is also the colour space SVG feColorMatrix filters work in by default
+  const COLOR_VISION_MATRICES = {
+    protanopia: [
+      0.152286, 1.052583, -0.204868,
+      0.114503, 0.786281, 0.099216,
+      -0.003882, -0.048116, 1.051998
+    ],
+    deuteranopia: [
+      0.367322, 0.860646, -0.227968,
+      0.280085, 0.672501, 0.047413,
+      -0.011820, 0.042940, 0.968881
+    ],
+    tritanopia: [
+      1.255528, -0.076749, -0.178779,
+      -0.078411, 0.930809, 0.147602,
+      0.004733, 0.691367, 0.303900
+    ]
+  };
+
+  function simulateColorVision(c, type) {
+    const m = COLOR_VISION_MATRICES[type];
+    if (!m) return { ...c };
+    const lin = [srgbToLinear(c.r), srgbToLinear(c.g), srgbToLinear(c.b)];
+    const [r, g, b] = [0, 1, 2].map(row => clamp(m[row * 3] * lin[0] + m[row * 3 + 1] * lin[1] + m[row * 3 + 2] * lin[2], 0, 1));
+    return { r: linearToSrgb(r), g: linearToSrgb(g), b: linearToSrgb(b), a: c.a };
+  }
+
+  global.AuraColor = {
+    parse,
+    toHex,
+    toCss,
+    relativeLuminance,
+    contrastRatio,
+    wcagThresholds,
+    wcagLevel,
+    apcaContrast,
+    apcaRating,
+    nearestCompliant,
+    COLOR_VISION_MATRICES,
+    simulateColorVision,
+    toOklab,
+    toOklch,
+    fromOklch
+  };
+})(globalThis);
@@ -121,6 +121,9 @@
   const MAPPING_FILE = 'aura_mapping.json'; // packaged file (change if needed)
   let AURA_MAP = null;          // mapping object once loaded
   let AURA_RE = null;           // compiled regex that captures base + suffix
+  let AURA_STATIC_MAP = null;   // normalized aura_mapping.json / stored map, before page words are merged in
+  let AURA_PAGE_MAP = {};       // page-specific words from the proxy's /detect, merged over the static map
+  let AURA_PAGE_MAP_URL = null; // location.href the page map was requested for
 
   // Build regex: capture (prefix non-word), (base token), optional suffix group, lookahead for boundary.
   // We'll match suffixes like ing, ed, s, es, er, est, ly, and possessive 's
@@ -329,8 +332,10 @@
       if (__aura_emotion_observer) return;
 
       const scheduledApply = debounce((nodes) => {
+        // AURA_MAP may have been replaced since install (e.g. page words merged in)
+        const activeMap = AURA_MAP || map;
         for (const n of nodes) {
-          try { applyMapToNodeOrSubtree(n, map); } catch (e) {}
+          try { applyMapToNodeOrSubtree(n, activeMap); } catch (e) {}
         }
       }, 300);
 
@@ -562,8 +567,63 @@
     }
   }
 
+  // Merge page-specific words over the static map, then recompile the regex
+  function setActiveEmotionMap(staticMap) {
+    AURA_STATIC_MAP = {};
+    for (const k of Object.keys(staticMap || {})) AURA_STATIC_MAP[String(k).toLowerCase()] = String(staticMap[k]);
+    AURA_MAP = { ...AURA_STATIC_MAP, ...AURA_PAGE_MAP };
+    AURA_RE = buildRegexFromMap(AURA_MAP);
+    return AURA_MAP;
+  }
+
+  // Ask the proxy (via background.js) for distressing words specific to this page.
+  // Resolves true when the page map changed and the merged map should be re-applied.
+  async function refreshPageEmotionMap(force = false) {
+    if (!force && AURA_PAGE_MAP_URL === location.href) return false;
+    AURA_PAGE_MAP_URL = location.href;
+
+    const sections = scrapeSections();
+    if (!sections.length) return false;
+
+    const resp = await new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({
+          type: 'AURA_DETECT_EMOTION_WORDS',
+          sections: sections.map(s => ({ heading: s.heading, text: s.text.slice(0, 800) })),
+          pageInfo: { url: location.href, title: document.title },
+          force
+        }, (r) => resolve(chrome.runtime.lastError ? null : r));
+      } catch (e) { resolve(null); }
+    });
+    if (!resp || !resp.ok) {
+      safeWarn('AURA: page emotion-word detection unavailable', resp?.error || '');
+      return false;
+    }
+
+    const pageMap = {};
+    for (const k of Object.keys(resp.mapping || {})) {
+      const v = resp.mapping[k];
+      if (!k || !v) continue;
+      pageMap[String(k).toLowerCase()] = String(v);
+    }
+    const changed = JSON.stringify(pageMap) !== JSON.stringify(AURA_PAGE_MAP);
+    AURA_PAGE_MAP = pageMap;
+    return changed;
+  }
+
+  // Fire-and-forget: fetch page words and re-apply the merged map if emotion mode is still active
+  function applyPageEmotionWords(force = false) {
+    refreshPageEmotionMap(force).then((changed) => {
+      if (!changed || !AURA_STATIC_MAP || !__aura_emotion_observer) return;
+      const merged = setActiveEmotionMap(AURA_STATIC_MAP);
+      applyEmotionFilter(merged);
+      try { applyAttributesOnDocument(merged); } catch (e) {}
+      safeLog('AURA: applied page-specific emotion words', Object.keys(AURA_PAGE_MAP).length);
+    }).catch((e) => safeWarn('AURA: applyPageEmotionWords failed', e));
+  }
+
   // Run replacement pipeline: ensure we have a mapping (load or fallback), store mapping, apply filter
-  async function runEmotionReplacePipeline() {
+  async function runEmotionReplacePipeline({ forceDetect = false } = {}) {
     try {
       const getStored = () => new Promise((resolve) => {
         try {
@@ -618,15 +678,14 @@
         }
       }
 
-      // set global map and compiled regex
-      AURA_MAP = {};
-      for (const k of Object.keys(map)) AURA_MAP[String(k).toLowerCase()] = String(map[k]);
-      AURA_RE = buildRegexFromMap(AURA_MAP);
+      // set global map (static + page words) and compiled regex
+      setActiveEmotionMap(map);
 
       // Apply filter
       applyEmotionFilter(AURA_MAP);
       try { applyAttributesOnDocument(AURA_MAP); } catch(e) { safeWarn('applyAttributes failed', e); }
       try { installEmotionMutationObserver(AURA_MAP); } catch(e) { safeWarn('AURA: failed to install emotion observer', e); }
+      applyPageEmotionWords(forceDetect);
       safeLog('AURA: emotion filter applied (replacements count unknown)');
     } catch (e) {
       safeWarn('AURA: runEmotionReplacePipeline error', e);
@@ -637,12 +696,11 @@
   loadEmotionMapFromStorage((enabled, map) => {
     if (enabled && map && Object.keys(map).length) {
       // use stored map synchronously
-      AURA_MAP = {};
-      for (const k of Object.keys(map)) AURA_MAP[String(k).toLowerCase()] = String(map[k]);
-      AURA_RE = buildRegexFromMap(AURA_MAP);
+      setActiveEmotionMap(map);
       applyEmotionFilter(AURA_MAP);
       try { applyAttributesOnDocument(AURA_MAP); } catch (e) {}
       try { installEmotionMutationObserver(AURA_MAP); } catch (e) { /* ignore */ }
+      applyPageEmotionWords();
     } else if (enabled && (!map || Object.keys(map).length === 0)) {
       // If enabled but no map present, attempt to load one (fire-and-forget)
       runEmotionReplacePipeline().catch(() => {});
@@ -663,13 +721,12 @@
             const map = changes.aura_emotion_map ? (changes.aura_emotion_map.newValue || {}) : JSON.parse(localStorage.getItem('aura_emotion_map') || '{}');
             if (enabled && map && Object.keys(map).length) {
               // update global map & reapply
-              AURA_MAP = {};
-              for (const k of Object.keys(map)) AURA_MAP[String(k).toLowerCase()] = String(map[k]);
-              AURA_RE = buildRegexFromMap(AURA_MAP);
+              setActiveEmotionMap(map);
               setTimeout(() => {
                 applyEmotionFilter(AURA_MAP);
                 try { applyAttributesOnDocument(AURA_MAP); } catch (e) {}
                 try { installEmotionMutationObserver(AURA_MAP); } catch (e) { safeWarn('AURA: install observer failed on storage change', e); }
+                applyPageEmotionWords();
               }, 60);
             } else if (enabled && (!map || Object.keys(map).length === 0)) {
               // enabled but no mapping — attempt to fetch mapping file
@@ -774,140 +831,3097 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       const existing = document.getElementById(STYLE_ID);
       if (existing) existing.remove();
 
-      const style = document.createElement('style');
-      style.id = STYLE_ID;
-      style.appendChild(document.createTextNode(css));
+      const style = document.createElement('style');
+      style.id = STYLE_ID;
+      style.appendChild(document.createTextNode(css));
+
+      const head = document.head || document.getElementsByTagName('head')[0] || document.documentElement;
+      head.appendChild(style);
+      safeLog('AURA content: applied global style');
+    } catch (e) {
+      safeWarn('AURA content: injectGlobalStyle error', e);
+    }
+  }
+
+  function injectIntoShadowRoots(profile) {
+    try {
+      if (!profile) return;
+      const walker = document.createTreeWalker(
+        document.body,
+        NodeFilter.SHOW_ELEMENT,
+        {
+          acceptNode: (node) => node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
+        }
+      );
+
+      const roots = [];
+      let node;
+      while ((node = walker.nextNode())) {
+        if (node.shadowRoot) roots.push(node.shadowRoot);
+      }
+
+      const css = buildCSS(profile);
+      roots.forEach(root => {
+        if (!root) return;
+        if (root.querySelector(`#${SHADOW_STYLE_ID}`)) return;
+        try {
+          const style = document.createElement('style');
+          style.id = SHADOW_STYLE_ID;
+          style.appendChild(document.createTextNode(css));
+          root.appendChild(style);
+        } catch (ee) {
+          safeWarn('AURA content: injectIntoShadowRoots append error', ee);
+        }
+      });
+
+      safeLog('AURA content: injected into shadow roots');
+    } catch (e) {
+      safeWarn('AURA content: injectIntoShadowRoots error', e);
+    }
+  }
+
+  function removeInjectedStyles() {
+    try {
+      document.getElementById(STYLE_ID)?.remove();
+      document.querySelectorAll(`#${SHADOW_STYLE_ID}`).forEach(el => el.remove());
+      safeLog('AURA content: removed injected styles');
+    } catch (e) { safeWarn('AURA content: removeInjectedStyles', e); }
+  }
+
+  // ---------- Updated applyProfileToDocument (drop-in replacement) ----------
+  function applyProfileToDocument(profile) {
+    if (!profile) return;
+    currentProfile = profile;
+    try {
+      try { document.getElementById(STYLE_ID)?.remove(); } catch (e) { /* ignore */ }
+      try { document.querySelectorAll(`#${SHADOW_STYLE_ID}`).forEach(el => el.remove()); } catch (e) { /* ignore */ }
+
+      if (!isEnabled) {
+        stopReadingRuler();
+        stopPhotosensitivityGuard();
+        stopMotorAssist();
+        safeLog('AURA content: applyProfileToDocument skipped (disabled)');
+        return;
+      }
+
+      Promise.resolve().then(() => {
+        try {
+          try {
+            if (profile && profile.fontFamily && profile.fontFamily.toLowerCase().includes('opendyslexic')) {
+              injectExtensionFontFaces();
+            }
+          } catch (e) { /* ignore */ }
+
+          injectGlobalStyle(profile);
+          refreshDarkTheme();
+          updateReadingRuler(profile);
+          updatePhotosensitivityGuard(profile);
+          updateMotorAssist(profile);
+          refreshReaderStyle();
+
+          setTimeout(() => {
+            try {
+              injectIntoShadowRoots(profile);
+            } catch (e) {
+              safeWarn('AURA content: injectIntoShadowRoots error', e);
+            }
+          }, 40);
+        } catch (e) {
+          safeWarn('AURA content: injectGlobalStyle/injectIntoShadowRoots error', e);
+        }
+      });
+    } catch (e) {
+      safeWarn('AURA content: applyProfileToDocument error', e);
+    }
+  }
+
+  // --- Smart dark theme (replaces background.js DARK_MODE_CSS) ---
+  // Reads each element's computed colours and remaps them in OKLCH: backgrounds go dark,
+  // text and borders go light, hue is kept and text keeps its lightness lead over its
+  // background. Each distinct output colour becomes one rule in a managed stylesheet,
+  // e.g. [data-aura-dark-bg="b3"] { background-color: ... !important }, so reverting just
+  // drops the stylesheet and the attributes. Media subtrees are never touched, and pages
+  // that are already dark are left alone.
+  const DARK_STYLE_ID = 'aura-dark-theme';
+  const DARK_ATTRS = { bg: 'data-aura-dark-bg', fg: 'data-aura-dark-fg', border: 'data-aura-dark-border' };
+  const DARK_SKIP_TAGS = new Set(['IMG', 'PICTURE', 'VIDEO', 'AUDIO', 'CANVAS', 'SVG', 'IFRAME', 'EMBED', 'OBJECT', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK']);
+  const DARK_SLICE_MS = 12;
+  const DARK_DEEP_RECHECK_LIMIT = 300;
+  const ALREADY_DARK_L = 0.45;        // OKLab lightness below which a page background counts as dark
+
+  const darkTheme = {
+    active: false,
+    palette: { bg: new Map(), fg: new Map(), border: new Map() },
+    produced: new Set(),               // output colours, to spot values merely inherited from a remapped parent
+    queue: [],                         // { root, deep } waiting to be expanded
+    pending: [],                       // elements waiting to be styled, in document order
+    cursor: 0,
+    scheduled: false,
+    observer: null
+  };
+
+  function darkenBackground(c) {
+    const { L, C, h } = AuraColor.toOklch(c);
+    return AuraColor.fromOklch({ L: Math.min(L, 0.16 + (1 - L) * 0.45), C, h }, c.a);
+  }
+
+  function lightenText(c) {
+    const { L, C, h } = AuraColor.toOklch(c);
+    return AuraColor.fromOklch({ L: L >= 0.65 ? L : 0.95 - L * 0.4, C, h }, c.a);
+  }
+
+  function remapBorder(c) {
+    const { L, C, h } = AuraColor.toOklch(c);
+    return AuraColor.fromOklch({ L: L >= 0.5 ? 0.22 + (1 - L) * 0.4 : 0.75 - L * 0.5, C, h }, c.a);
+  }
+
+  // Background actually painted behind an element (walks up through transparent ancestors)
+  function effectiveBackground(el) {
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const c = AuraColor.parse(getComputedStyle(node).backgroundColor);
+      if (c && c.a > 0.5) return c;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  }
+
+  function pageAlreadyDark() {
+    const probe = document.body || document.documentElement;
+    return AuraColor.toOklab(effectiveBackground(probe)).L < ALREADY_DARK_L;
+  }
+
+  function darkStyleSheet() {
+    let style = document.getElementById(DARK_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = DARK_STYLE_ID;
+      const canvas = AuraColor.toCss(darkenBackground({ r: 255, g: 255, b: 255, a: 1 }));
+      const text = AuraColor.toCss(lightenText({ r: 0, g: 0, b: 0, a: 1 }));
+      // The canvas colour covers pages whose html/body backgrounds are transparent
+      style.textContent = `:root { color-scheme: dark !important; background-color: ${canvas}; color: ${text}; }`;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    return style.sheet;
+  }
+
+  function paletteKey(kind, color) {
+    const css = AuraColor.toCss(color);
+    const palette = darkTheme.palette[kind];
+    let key = palette.get(css);
+    if (!key) {
+      key = `${kind[0]}${palette.size}`;
+      palette.set(css, key);
+      darkTheme.produced.add(css);
+      const prop = kind === 'bg' ? 'background-color' : kind === 'fg' ? 'color' : 'border-color';
+      try {
+        const sheet = darkStyleSheet();
+        sheet.insertRule(`[${DARK_ATTRS[kind]}="${key}"] { ${prop}: ${css} !important; }`, sheet.cssRules.length);
+      } catch (e) { safeWarn('AURA dark: insertRule failed', e); }
+    }
+    return key;
+  }
+
+  function clearDarkAttributes(el) {
+    for (const attr of Object.values(DARK_ATTRS)) el.removeAttribute(attr);
+  }
+
+  // Read phase: original computed colours -> planned attribute values
+  function planDarkElement(el) {
+    const cs = getComputedStyle(el);
+    const plan = { el };
+    const bg = AuraColor.parse(cs.backgroundColor);
+    if (bg && bg.a > 0) plan.bg = darkenBackground(bg);
+
+    const fgCss = cs.color;
+    const fg = AuraColor.parse(fgCss);
+    // Inherited from an already remapped parent: leave it to inheritance
+    const inherited = darkTheme.produced.has(fgCss) && el.parentElement?.closest(`[${DARK_ATTRS.fg}]`);
+    if (fg && fg.a > 0 && !inherited) plan.fg = lightenText(fg);
+
+    const hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some(side => parseFloat(cs[`border${side}Width`]) > 0);
+    if (hasBorder) {
+      const border = AuraColor.parse(cs.borderTopColor);
+      if (border && border.a > 0 && !darkTheme.produced.has(cs.borderTopColor)) plan.border = remapBorder(border);
+    }
+    return plan;
+  }
+
+  function applyDarkPlan(plan) {
+    for (const kind of ['bg', 'fg', 'border']) {
+      if (plan[kind]) plan.el.setAttribute(DARK_ATTRS[kind], paletteKey(kind, plan[kind]));
+    }
+  }
+
+  function isDarkSkipped(el) {
+    return DARK_SKIP_TAGS.has(el.tagName.toUpperCase())
+      || (el.id && el.id.startsWith('aura-'))
+      || el.closest('[id^="aura-"]');
+  }
+
+  // deep = false re-checks just the element (used for class/style flips on big containers)
+  function queueDarkSubtree(root, deep = true) {
+    if (!root || root.nodeType !== Node.ELEMENT_NODE) return;
+    darkTheme.queue.push({ root, deep });
+    scheduleDarkWork();
+  }
+
+  function scheduleDarkWork() {
+    if (darkTheme.scheduled) return;
+    darkTheme.scheduled = true;
+    const run = () => { darkTheme.scheduled = false; processDarkQueue(); };
+    if (typeof requestIdleCallback === 'function') requestIdleCallback(run, { timeout: 200 });
+    else setTimeout(run, 16);
+  }
+
+  // Expands queued subtrees into a flat document-ordered list, then styles it a time slice at
+  // a time. Each slice reads every element before writing any attribute, so reads are not
+  // skewed by rules added in the same slice.
+  function processDarkQueue() {
+    if (!darkTheme.active) return;
+    while (darkTheme.queue.length) {
+      const { root, deep } = darkTheme.queue.shift();
+      if (!root.isConnected || isDarkSkipped(root)) continue;
+      if (!deep) { darkTheme.pending.push(root); continue; }
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: (n) => DARK_SKIP_TAGS.has(n.tagName.toUpperCase()) || (n.id && n.id.startsWith('aura-'))
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+      for (let el = root; el; el = walker.nextNode()) darkTheme.pending.push(el);
+    }
+
+    const deadline = performance.now() + DARK_SLICE_MS;
+    const plans = [];
+    while (darkTheme.cursor < darkTheme.pending.length && performance.now() < deadline) {
+      const el = darkTheme.pending[darkTheme.cursor++];
+      if (!el.isConnected) continue;
+      clearDarkAttributes(el);
+      plans.push(planDarkElement(el));
+    }
+    plans.forEach(applyDarkPlan);
+
+    if (darkTheme.cursor < darkTheme.pending.length) {
+      scheduleDarkWork();
+    } else {
+      darkTheme.pending = [];
+      darkTheme.cursor = 0;
+    }
+  }
+
+  function enableDarkTheme() {
+    if (darkTheme.active) return;
+    if (!document.documentElement) return;
+    if (pageAlreadyDark()) {
+      safeLog('AURA dark: page is already dark — skipping');
+      return;
+    }
+    darkTheme.active = true;
+    darkStyleSheet();
+    queueDarkSubtree(document.documentElement);
+
+    darkTheme.observer = new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        if (m.type === 'childList') {
+          m.addedNodes.forEach(node => queueDarkSubtree(node));
+        } else if (m.type === 'attributes' && m.target.nodeType === Node.ELEMENT_NODE) {
+          // class/style changes can restyle a whole subtree; re-walk it unless it is huge
+          queueDarkSubtree(m.target, m.target.getElementsByTagName('*').length <= DARK_DEEP_RECHECK_LIMIT);
+        }
+      }
+    });
+    darkTheme.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style']
+    });
+    safeLog('AURA dark: enabled');
+  }
+
+  function disableDarkTheme() {
+    if (!darkTheme.active) return;
+    darkTheme.active = false;
+    darkTheme.observer?.disconnect();
+    darkTheme.observer = null;
+    darkTheme.queue = [];
+    darkTheme.pending = [];
+    darkTheme.cursor = 0;
+    darkTheme.palette = { bg: new Map(), fg: new Map(), border: new Map() };
+    darkTheme.produced.clear();
+    document.getElementById(DARK_STYLE_ID)?.remove();
+    const selector = Object.values(DARK_ATTRS).map(a => `[${a}]`).join(',');
+    document.querySelectorAll(selector).forEach(clearDarkAttributes);
+    safeLog('AURA dark: disabled');
+  }
+
+  // Profile colours feed into the remap, so a profile change means starting over
+  function refreshDarkTheme() {
+    if (!darkTheme.active) return;
+    disableDarkTheme();
+    enableDarkTheme();
+  }
+
+  // --- Reading ruler: a band over the current line with the rest of the page dimmed ---
+  // Turned on per profile (readingRuler; rulerHeight px, rulerOpacity 0–0.9 dimming, rulerTint).
+  // The band snaps to the text line under the pointer, follows keyboard focus, and
+  // Alt+ArrowDown / Alt+ArrowUp step it one line at a time. When the page scrolls it snaps
+  // again under the pointer, or after a step or focus move stays with its line. The overlay
+  // never takes pointer events, so the page underneath stays usable.
+  const RULER_HOST_ID = 'aura-reading-ruler';
+  const RULER_DEFAULTS = { height: 48, opacity: 0.5, tint: '#fff3a0' };
+  const RULER_MIN_HEIGHT = 24;              // the rulerHeight range in profileSchema.js
+  const RULER_MAX_HEIGHT = 120;
+  const RULER_PROBE_STEP = 4;               // px between probes when looking for the next line
+  const RULER_PROBE_RANGE = 240;            // how far past the current line to look
+
+  const ruler = {
+    settings: null,
+    host: null,
+    parts: null,
+    listeners: null,
+    line: null,                             // { top, bottom } of the line under the band (viewport px)
+    x: null,
+    pointerY: null,                         // null while a step or focus move placed the band
+    scrollY: 0,
+    frame: 0
+  };
+
+  function rulerSettings(profile) {
+    if (!profile?.readingRuler) return null;
+    const height = Number(profile.rulerHeight);
+    const opacity = Number(profile.rulerOpacity);
+    return {
+      height: Number.isFinite(height) ? Math.min(RULER_MAX_HEIGHT, Math.max(RULER_MIN_HEIGHT, height)) : RULER_DEFAULTS.height,
+      opacity: Number.isFinite(opacity) ? Math.min(0.9, Math.max(0, opacity)) : RULER_DEFAULTS.opacity,
+      tint: /^#[0-9a-f]{6}$/i.test(profile.rulerTint || '') ? profile.rulerTint : RULER_DEFAULTS.tint
+    };
+  }
+
+  function buildRulerUi() {
+    const host = document.createElement('div');
+    host.id = RULER_HOST_ID;
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483645; pointer-events: none;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .dim, .band { position: fixed; left: 0; right: 0; }
+        .dim { background: var(--dim); }
+        .top { top: 0; }
+        .bottom { bottom: 0; }
+        .band { background: var(--tint); border-block: 2px solid var(--edge); box-sizing: border-box; }
+        @media print { .dim, .band { display: none; } }
+      </style>
+      <div class="dim top"></div>
+      <div class="band"></div>
+      <div class="dim bottom"></div>`;
+    ruler.parts = {
+      top: shadow.querySelector('.top'),
+      band: shadow.querySelector('.band'),
+      bottom: shadow.querySelector('.bottom')
+    };
+    return host;
+  }
+
+  function styleRuler() {
+    const { opacity, tint } = ruler.settings;
+    const color = AuraColor.parse(tint) || AuraColor.parse(RULER_DEFAULTS.tint);
+    ruler.host.style.setProperty('--dim', `rgba(0, 0, 0, ${opacity})`);
+    ruler.host.style.setProperty('--tint', AuraColor.toCss({ ...color, a: 0.22 }));
+    ruler.host.style.setProperty('--edge', AuraColor.toCss({ ...color, a: 0.9 }));
+  }
+
+  // Centres the band on a line (viewport px); the band is never shorter than the line
+  function placeRuler(top, bottom) {
+    ruler.line = { top, bottom };
+    const lineHeight = bottom - top;
+    const height = Math.max(ruler.settings.height, lineHeight + 8);
+    const bandTop = Math.round(top + lineHeight / 2 - height / 2);
+    const { top: dimTop, band, bottom: dimBottom } = ruler.parts;
+    dimTop.style.height = `${Math.max(0, bandTop)}px`;
+    band.style.top = `${bandTop}px`;
+    band.style.height = `${height}px`;
+    dimBottom.style.top = `${bandTop + height}px`;
+  }
+
+  // The viewport rectangle of the text line at (x, y), or null when there is no text there
+  function lineRectAt(x, y) {
+    const range = document.caretRangeFromPoint ? document.caretRangeFromPoint(x, y) : null;
+    const node = range?.startContainer;
+    if (!node || node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) return null;
+    const lineRange = document.createRange();
+    lineRange.selectNodeContents(node);
+    for (const rect of lineRange.getClientRects()) {
+      if (rect.height > 0 && y >= rect.top && y <= rect.bottom && x >= rect.left - 40 && x <= rect.right + 40) return rect;
+    }
+    return null;
+  }
+
+  function followPointer() {
+    ruler.frame = 0;
+    if (!ruler.settings || ruler.pointerY === null) return;
+    const rect = lineRectAt(ruler.x, ruler.pointerY);
+    if (rect) placeRuler(rect.top, rect.bottom);
+    else if (!ruler.line || ruler.pointerY < ruler.line.top - ruler.settings.height || ruler.pointerY > ruler.line.bottom + ruler.settings.height) {
+      // Off text: keep the last line unless the pointer has clearly moved away from it
+      placeRuler(ruler.pointerY, ruler.pointerY);
+    }
+  }
+
+  // Moves the band to the next text line above or below, scrolling when it reaches the edge
+  function stepRuler(direction) {
+    ruler.pointerY = null;
+    const x = ruler.x ?? window.innerWidth / 2;
+    if (!ruler.line) {
+      const y = window.innerHeight / 3;
+      ruler.line = { top: y, bottom: y };
+    }
+    const margin = ruler.settings.height;
+    const edge = direction > 0 ? ruler.line.bottom + margin - window.innerHeight : margin - ruler.line.top;
+    if (edge > 0) {
+      const before = window.scrollY;
+      window.scrollBy(0, direction * Math.max(edge, margin));
+      const moved = window.scrollY - before;
+      ruler.line = { top: ruler.line.top - moved, bottom: ruler.line.bottom - moved };
+      ruler.scrollY = window.scrollY;       // already accounted for; onRulerScroll skips it
+    }
+    const from = direction > 0 ? ruler.line.bottom : ruler.line.top;
+    for (let d = RULER_PROBE_STEP; d <= RULER_PROBE_RANGE; d += RULER_PROBE_STEP) {
+      const y = from + direction * d;
+      if (y < 0 || y > window.innerHeight) break;
+      const rect = lineRectAt(x, y);
+      if (rect && (direction > 0 ? rect.top >= ruler.line.bottom - 1 : rect.bottom <= ruler.line.top + 1)) {
+        placeRuler(rect.top, rect.bottom);
+        return;
+      }
+    }
+    // No text nearby: move by one band height
+    const shift = direction * ruler.settings.height;
+    placeRuler(ruler.line.top + shift, ruler.line.bottom + shift);
+  }
+
+  function onRulerPointerMove(e) {
+    ruler.x = e.clientX;
+    ruler.pointerY = e.clientY;
+    if (!ruler.frame) ruler.frame = requestAnimationFrame(followPointer);
+  }
+
+  // Scroll events also come from scrolling elements (captured); only window scrolling moves a
+  // line the band stays with, and the band is kept on screen
+  function onRulerScroll() {
+    const moved = window.scrollY - ruler.scrollY;
+    ruler.scrollY = window.scrollY;
+    if (ruler.pointerY !== null) {
+      if (!ruler.frame) ruler.frame = requestAnimationFrame(followPointer);
+    } else if (ruler.line && moved) {
+      const lineHeight = ruler.line.bottom - ruler.line.top;
+      const top = Math.min(window.innerHeight - lineHeight, Math.max(0, ruler.line.top - moved));
+      placeRuler(top, top + lineHeight);
+    }
+  }
+
+  function onRulerKeyDown(e) {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    if (isEditable(e.target)) return;
+    e.preventDefault();
+    stepRuler(e.key === 'ArrowDown' ? 1 : -1);
+  }
+
+  function onRulerFocusIn(e) {
+    const el = e.target;
+    if (!(el instanceof Element) || el === document.body || !el.matches(':focus-visible')) return;
+    const rect = el.getBoundingClientRect();
+    if (!rect.height) return;
+    ruler.pointerY = null;
+    placeRuler(rect.top, rect.top + Math.min(rect.height, ruler.settings.height));
+  }
+
+  function updateReadingRuler(profile) {
+    const settings = rulerSettings(profile);
+    if (!settings) {
+      stopReadingRuler();
+      return;
+    }
+    ruler.settings = settings;
+    if (!ruler.host) {
+      ruler.host = buildRulerUi();
+      ruler.listeners = new AbortController();
+      const { signal } = ruler.listeners;
+      document.addEventListener('pointermove', onRulerPointerMove, { passive: true, signal });
+      document.addEventListener('keydown', onRulerKeyDown, { capture: true, signal });
+      document.addEventListener('focusin', onRulerFocusIn, { signal });
+      window.addEventListener('scroll', onRulerScroll, { capture: true, passive: true, signal });
+      ruler.scrollY = window.scrollY;
+    }
+    if (!ruler.host.isConnected) document.documentElement.appendChild(ruler.host);
+    styleRuler();
+    const start = window.innerHeight / 3;
+    placeRuler(ruler.line?.top ?? start, ruler.line?.bottom ?? start);
+  }
+
+  function stopReadingRuler() {
+    if (ruler.listeners) ruler.listeners.abort();
+    if (ruler.frame) cancelAnimationFrame(ruler.frame);
+    if (ruler.host) ruler.host.remove();
+    Object.assign(ruler, { settings: null, host: null, parts: null, listeners: null, line: null, frame: 0 });
+  }
+
+  // --- Photosensitivity guard (profile option photosensitivityGuard) ---
+  // Stops CSS animation, pauses media that starts playing without a user gesture, freezes
+  // GIF/WebP/APNG images with more than one frame (background.js reads their headers) on
+  // their first frame until clicked, and watches playing
+  // <video> frames for general flashes: opposing changes of 10% or more in relative luminance
+  // (the darker side below 0.8), more than three flashes (six changes) in one second, measured
+  // for the whole frame and each cell of a 3×3 grid so a flashing corner is caught too.
+  // Flashing video is dimmed and blurred until the user chooses "Show anyway". Cross-origin
+  // video that cannot be read is left to the autoplay rule.
+  const GUARD_STYLE_ID = 'aura-photosensitivity';
+  const GUARD_LAYER_ID = 'aura-photosensitivity-controls';
+  const GUARD_FROZEN_ATTR = 'data-aura-frozen';
+  const GUARD_DIMMED_ATTR = 'data-aura-flash-dimmed';
+  const GUARD_IMAGE_RE = /\.(gif|webp|a?png)([?#]|$)|^data:image\/(gif|webp|a?png)/i;  // worth probing
+  const GUARD_GIF_RE = /\.(gif|apng)([?#]|$)|^data:image\/(gif|apng)/i;  // assumed animated when unreadable
+  const FLASH_SAMPLE_MS = 40;              // 25 samples a second catches flashing up to 12 Hz
+  const FLASH_SAMPLE_SIZE = 24;            // frames are scaled to 24×24 before measuring
+  const FLASH_GRID = 3;
+  const FLASH_MIN_DELTA = 0.1;
+  const FLASH_DARK_LIMIT = 0.8;
+  const FLASH_MAX_TRANSITIONS = 6;
+  const FLASH_WINDOW_MS = 1000;
+
+  const guard = {
+    active: false,
+    style: null,
+    layer: null,
+    observer: null,
+    listeners: null,
+    controls: new Map(),                   // element -> control button in the layer
+    samplers: new Map(),                   // video -> sampling state
+    frozen: new Map(),                     // img -> canvas showing its first frame
+    allowedPlay: new WeakSet(),
+    allowedFlash: new WeakSet(),
+    allowedImages: new WeakSet(),
+    imageProbes: new Map(),                // src -> Promise<boolean>
+    layoutFrame: 0
+  };
+
+  // sRGB channel -> linear light, for relative luminance
+  const LINEAR_LUT = Array.from({ length: 256 }, (_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  function guardCss() {
+    return `
+*, *::before, *::after { animation: none !important; transition: none !important; scroll-behavior: auto !important; }
+img[${GUARD_FROZEN_ATTR}] { display: none !important; }
+[${GUARD_DIMMED_ATTR}] { filter: brightness(0.4) contrast(0.6) blur(12px) !important; }
+`;
+  }
+
+  function buildGuardLayer() {
+    const host = document.createElement('div');
+    host.id = GUARD_LAYER_ID;
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483645; pointer-events: none;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        button {
+          position: fixed; pointer-events: auto; max-width: 260px; padding: 8px 12px;
+          border: 2px solid #fff; border-radius: 8px; background: #1f2937; color: #fff; cursor: pointer;
+          font: 600 13px/1.3 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+          box-shadow: 0 2px 10px rgba(0, 0, 0, 0.4);
+        }
+        button:focus-visible { outline: 3px solid #93c5fd; outline-offset: 2px; }
+      </style>`;
+    return host;
+  }
+
+  function positionGuardControls() {
+    guard.layoutFrame = 0;
+    for (const [el, button] of guard.controls) {
+      if (!el.isConnected) { removeGuardControl(el); continue; }
+      const rect = el.getBoundingClientRect();
+      const visible = rect.width > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+      button.hidden = !visible;
+      if (!visible) continue;
+      button.style.left = `${Math.max(4, rect.left + 8)}px`;
+      button.style.top = `${Math.max(4, rect.top + 8)}px`;
+    }
+  }
+
+  function scheduleGuardLayout() {
+    if (!guard.layoutFrame && guard.controls.size) guard.layoutFrame = requestAnimationFrame(positionGuardControls);
+  }
+
+  function showGuardControl(el, label, onActivate) {
+    removeGuardControl(el);
+    if (!guard.layer.isConnected) document.documentElement.appendChild(guard.layer);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      removeGuardControl(el);
+      onActivate();
+    });
+    guard.layer.shadowRoot.appendChild(button);
+    guard.controls.set(el, button);
+    scheduleGuardLayout();
+  }
+
+  function removeGuardControl(el) {
+    guard.controls.get(el)?.remove();
+    guard.controls.delete(el);
+  }
+
+  // --- Media: autoplay ---
+  function blockAutoplay(media) {
+    if (guard.allowedPlay.has(media)) return;
+    media.pause();
+    media.autoplay = false;
+    showGuardControl(media, '▶ Play (autoplay paused by AURA)', () => {
+      guard.allowedPlay.add(media);
+      media.play().catch(() => { });
+    });
+  }
+
+  function onGuardPlay(e) {
+    const media = e.target;
+    if (!(media instanceof HTMLMediaElement)) return;
+    // A click on the page's own play button counts as the user's choice
+    if (navigator.userActivation?.isActive) guard.allowedPlay.add(media);
+    if (!guard.allowedPlay.has(media)) {
+      blockAutoplay(media);
+      return;
+    }
+    removeGuardControl(media);
+    if (media instanceof HTMLVideoElement) startFlashSampler(media);
+  }
+
+  // --- Media: flash detection ---
+  function newFlashSignal() {
+    return { ref: null, dir: 0, transitions: [] };
+  }
+
+  // Returns true when this signal has flashed more than three times in the last second
+  function trackFlash(signal, luminance, now) {
+    if (signal.ref === null) {
+      signal.ref = luminance;
+      return false;
+    }
+    const delta = luminance - signal.ref;
+    const dir = Math.sign(delta);
+    if (dir && dir === signal.dir) {
+      signal.ref = luminance; // still moving the same way: extend the current change
+    } else if (Math.abs(delta) >= FLASH_MIN_DELTA && Math.min(luminance, signal.ref) < FLASH_DARK_LIMIT) {
+      signal.transitions.push(now);
+      signal.dir = dir;
+      signal.ref = luminance;
+    }
+    while (signal.transitions.length && now - signal.transitions[0] >= FLASH_WINDOW_MS) signal.transitions.shift();
+    return signal.transitions.length > FLASH_MAX_TRANSITIONS;
+  }
+
+  // Mean relative luminance of the whole frame and of each grid cell
+  function frameLuminance(ctx) {
+    const size = FLASH_SAMPLE_SIZE;
+    const cell = size / FLASH_GRID;
+    const { data } = ctx.getImageData(0, 0, size, size);
+    const cells = new Array(FLASH_GRID * FLASH_GRID).fill(0);
+    let total = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const i = (y * size + x) * 4;
+        const l = 0.2126 * LINEAR_LUT[data[i]] + 0.7152 * LINEAR_LUT[data[i + 1]] + 0.0722 * LINEAR_LUT[data[i + 2]];
+        total += l;
+        cells[Math.floor(y / cell) * FLASH_GRID + Math.floor(x / cell)] += l;
+      }
+    }
+    const perCell = cell * cell;
+    return [total / (size * size), ...cells.map(sum => sum / perCell)];
+  }
+
+  function startFlashSampler(video) {
+    if (guard.samplers.has(video) || guard.allowedFlash.has(video)) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = FLASH_SAMPLE_SIZE;
+    const state = {
+      ctx: canvas.getContext('2d', { willReadFrequently: true }),
+      signals: Array.from({ length: FLASH_GRID * FLASH_GRID + 1 }, newFlashSignal),
+      last: 0,
+      handle: null
+    };
+    guard.samplers.set(video, state);
+
+    const sample = (now) => {
+      if (!guard.samplers.has(video)) return;
+      if (video.paused || video.ended || !video.isConnected) {
+        stopFlashSampler(video);
+        return;
+      }
+      if (now - state.last >= FLASH_SAMPLE_MS && video.readyState >= 2) {
+        state.last = now;
+        try {
+          state.ctx.drawImage(video, 0, 0, FLASH_SAMPLE_SIZE, FLASH_SAMPLE_SIZE);
+          const values = frameLuminance(state.ctx);
+          if (values.some((l, i) => trackFlash(state.signals[i], l, now))) {
+            stopFlashSampler(video);
+            dimFlashingVideo(video);
+            return;
+          }
+        } catch (e) {
+          // Cross-origin video without CORS cannot be read
+          safeLog('AURA guard: cannot sample video frames', e?.name);
+          stopFlashSampler(video);
+          return;
+        }
+      }
+      state.handle = video.requestVideoFrameCallback
+        ? video.requestVideoFrameCallback(sample)
+        : requestAnimationFrame(sample);
+    };
+    sample(performance.now());
+  }
+
+  function stopFlashSampler(video) {
+    const state = guard.samplers.get(video);
+    if (!state) return;
+    guard.samplers.delete(video);
+    if (state.handle === null) return;
+    if (video.cancelVideoFrameCallback) video.cancelVideoFrameCallback(state.handle);
+    else cancelAnimationFrame(state.handle);
+  }
+
+  function dimFlashingVideo(video) {
+    video.setAttribute(GUARD_DIMMED_ATTR, '');
+    safeLog('AURA guard: flashing detected, video dimmed');
+    showGuardControl(video, '⚠ Flashing content dimmed — show anyway', () => {
+      guard.allowedFlash.add(video);
+      video.removeAttribute(GUARD_DIMMED_ATTR);
+    });
+  }
+
+  // --- Animated images ---
+  function isAnimatedImage(src) {
+    if (!guard.imageProbes.has(src)) {
+      guard.imageProbes.set(src, new Promise((resolve) => {
+        try {
+          chrome.runtime.sendMessage({ type: 'AURA_IMAGE_ANIMATED', url: src }, (r) => {
+            const animated = chrome.runtime.lastError ? null : r?.animated;
+            resolve(typeof animated === 'boolean' ? animated : GUARD_GIF_RE.test(src));
+          });
+        } catch (e) { resolve(GUARD_GIF_RE.test(src)); }
+      }));
+    }
+    return guard.imageProbes.get(src);
+  }
+
+  async function freezeImage(img) {
+    const src = img.currentSrc || img.src || '';
+    if (guard.frozen.has(img) || guard.allowedImages.has(img) || !GUARD_IMAGE_RE.test(src)) return;
+    const rect = img.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    guard.frozen.set(img, null);
+    try {
+      const animated = await isAnimatedImage(src);
+      if ((img.currentSrc || img.src) !== src) return;   // a newer call handles the new source
+      if (!animated) {
+        guard.frozen.delete(img);
+        return;
+      }
+      // A fresh decode gives the first frame; drawing the live image would give the current one
+      const first = new Image();
+      first.src = src;
+      await first.decode();
+      if (!guard.active || !guard.frozen.has(img)) return;
+      const canvas = document.createElement('canvas');
+      canvas.width = first.naturalWidth;
+      canvas.height = first.naturalHeight;
+      canvas.getContext('2d').drawImage(first, 0, 0);
+      canvas.className = img.className;
+      canvas.style.cssText = `${img.style.cssText}; width: ${rect.width}px; height: ${rect.height}px; cursor: pointer;`;
+      canvas.tabIndex = 0;
+      canvas.setAttribute('role', 'button');
+      canvas.setAttribute('aria-label', `${img.alt ? `${img.alt}. ` : ''}Animated image paused by AURA. Activate to play.`);
+      canvas.title = 'Animated image paused by AURA — click to play';
+      const unfreeze = (e) => {
+        if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        e.stopPropagation();
+        guard.allowedImages.add(img);
+        thawImage(img);
+      };
+      canvas.addEventListener('click', unfreeze);
+      canvas.addEventListener('keydown', unfreeze);
+      img.before(canvas);
+      img.setAttribute(GUARD_FROZEN_ATTR, '');
+      guard.frozen.set(img, canvas);
+    } catch (e) {
+      guard.frozen.delete(img);
+    }
+  }
+
+  function thawImage(img) {
+    guard.frozen.get(img)?.remove();
+    guard.frozen.delete(img);
+    img.removeAttribute(GUARD_FROZEN_ATTR);
+  }
+
+  function scanGuardSubtree(root) {
+    if (!root || root.nodeType !== Node.ELEMENT_NODE || root.closest(`#${GUARD_LAYER_ID}`)) return;
+    const pick = (selector) => (root.matches(selector) ? [root] : []).concat([...root.querySelectorAll(selector)]);
+    pick('video, audio').forEach((media) => {
+      if (!media.paused && !guard.allowedPlay.has(media)) blockAutoplay(media);
+      else if (media.autoplay && !guard.allowedPlay.has(media)) media.autoplay = false;
+    });
+    pick('img').forEach((img) => {
+      if (img.complete) freezeImage(img);
+      else img.addEventListener('load', () => guard.active && freezeImage(img), { once: true });
+    });
+  }
+
+  function updatePhotosensitivityGuard(profile) {
+    if (!profile?.photosensitivityGuard) {
+      stopPhotosensitivityGuard();
+      return;
+    }
+    if (guard.active) return;
+    guard.active = true;
+    guard.style = document.createElement('style');
+    guard.style.id = GUARD_STYLE_ID;
+    guard.style.textContent = guardCss();
+    document.documentElement.appendChild(guard.style);
+    guard.layer = buildGuardLayer();
+
+    guard.listeners = new AbortController();
+    const { signal } = guard.listeners;
+    document.addEventListener('play', onGuardPlay, { capture: true, signal });
+    window.addEventListener('scroll', scheduleGuardLayout, { capture: true, passive: true, signal });
+    window.addEventListener('resize', scheduleGuardLayout, { signal });
+
+    guard.observer = new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        if (m.type === 'childList') m.addedNodes.forEach(scanGuardSubtree);
+        else if (m.target.tagName === 'IMG') {
+          // A new src on a frozen or played image is a new animation
+          thawImage(m.target);
+          guard.allowedImages.delete(m.target);
+          scanGuardSubtree(m.target);
+        }
+      }
+      if (!guard.style.isConnected) document.documentElement.appendChild(guard.style);
+      scheduleGuardLayout();
+    });
+    guard.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'srcset'] });
+    scanGuardSubtree(document.documentElement);
+    safeLog('AURA guard: enabled');
+  }
+
+  function stopPhotosensitivityGuard() {
+    if (!guard.active) return;
+    guard.active = false;
+    guard.observer?.disconnect();
+    guard.listeners?.abort();
+    if (guard.layoutFrame) cancelAnimationFrame(guard.layoutFrame);
+    [...guard.samplers.keys()].forEach(stopFlashSampler);
+    [...guard.frozen.keys()].forEach(thawImage);
+    document.querySelectorAll(`[${GUARD_DIMMED_ATTR}]`).forEach(el => el.removeAttribute(GUARD_DIMMED_ATTR));
+    guard.controls.clear();
+    guard.style?.remove();
+    guard.layer?.remove();
+    Object.assign(guard, { style: null, layer: null, observer: null, listeners: null, layoutFrame: 0 });
+    safeLog('AURA guard: disabled');
+  }
+
+  // --- Motor assistance (profile options motorAssist, dwellClick, dwellTime) ---
+  // Small targets get a 44×44 px hit area without touching the page layout: a click that lands
+  // on nothing clickable goes to the nearest small target whose enlarged box contains it, and
+  // the pointer shows which target that is. Focus rings are always visible, a second click on
+  // the same target within MOTOR_DEBOUNCE_MS is dropped, and dwell clicking activates a target
+  // once the pointer rests on it for dwellTime, drawing a progress ring meanwhile.
+  const MOTOR_STYLE_ID = 'aura-motor-style';
+  const MOTOR_LAYER_ID = 'aura-motor-layer';
+  const MOTOR_MIN_TARGET = 44;
+  const MOTOR_PROBE_OFFSETS = [0, 8, 16, 22];
+  const MOTOR_DEBOUNCE_MS = 400;
+  const DWELL_DEFAULT_MS = 1200;
+  const DWELL_TOLERANCE_PX = 8;
+  const MOTOR_DRAG_PX = 4;                 // a click further than this from its pointerdown ends a drag
+  const MOTOR_INTERACTIVE = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary', 'label[for]',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[onclick]', '[contenteditable="true"]'
+  ].join(', ');
+
+  const motor = {
+    settings: null,
+    style: null,
+    layer: null,
+    parts: null,
+    listeners: null,
+    frame: 0,
+    pointer: null,                         // { x, y } last pointer position
+    down: null,                            // { x, y } of the last pointerdown
+    snapped: null,                         // small target an off-target click would go to
+    lastClick: { el: null, time: 0 },
+    dwell: { el: null, x: 0, y: 0, start: 0, done: false, frame: 0 },
+    redirecting: false
+  };
+
+  function motorSettings(profile) {
+    if (!profile?.motorAssist && !profile?.dwellClick) return null;
+    const time = Number(profile.dwellTime);
+    return {
+      assist: !!profile.motorAssist,
+      dwell: !!profile.dwellClick,
+      dwellTime: Number.isFinite(time) ? Math.min(3000, Math.max(400, time)) : DWELL_DEFAULT_MS,
+      ring: profile.linkColor || '#1a73e8'
+    };
+  }
+
+  function buildMotorLayer() {
+    const host = document.createElement('div');
+    host.id = MOTOR_LAYER_ID;
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483645; pointer-events: none;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .snap { position: fixed; display: none; border: 3px dashed var(--ring); border-radius: 6px; box-sizing: border-box; }
+        .dwell { position: fixed; display: none; width: 36px; height: 36px; margin: -18px 0 0 -18px; }
+        .dwell circle { fill: none; stroke-width: 5; }
+        .dwell .track { stroke: rgba(0, 0, 0, 0.25); }
+        .dwell .progress { stroke: var(--ring); stroke-linecap: round; transform: rotate(-90deg); transform-origin: 50% 50%; }
+      </style>
+      <div class="snap"></div>
+      <svg class="dwell" viewBox="0 0 36 36"><circle class="track" cx="18" cy="18" r="14"></circle><circle class="progress" cx="18" cy="18" r="14" stroke-dasharray="87.96" stroke-dashoffset="87.96"></circle></svg>`;
+    motor.parts = {
+      snap: shadow.querySelector('.snap'),
+      dwell: shadow.querySelector('.dwell'),
+      progress: shadow.querySelector('.progress')
+    };
+    return host;
+  }
+
+  function interactiveAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    return el && !el.closest(`#${MOTOR_LAYER_ID}`) ? el.closest(MOTOR_INTERACTIVE) : null;
+  }
+
+  function isSmallTarget(rect) {
+    return rect.width < MOTOR_MIN_TARGET || rect.height < MOTOR_MIN_TARGET;
+  }
+
+  // The 44×44 box centred on a small target (or the target itself when it is larger)
+  function hitBox(rect) {
+    const w = Math.max(rect.width, MOTOR_MIN_TARGET);
+    const h = Math.max(rect.height, MOTOR_MIN_TARGET);
+    const cx = rect.left + rect.width / 2;
+    const cy = rect.top + rect.height / 2;
+    return { left: cx - w / 2, right: cx + w / 2, top: cy - h / 2, bottom: cy + h / 2, cx, cy };
+  }
+
+  // The closest small target whose enlarged box contains (x, y), probing around the point
+  function snapTarget(x, y) {
+    let best = null;
+    let bestDistance = Infinity;
+    const seen = new Set();
+    for (const d of MOTOR_PROBE_OFFSETS) {
+      const points = d ? [[x - d, y], [x + d, y], [x, y - d], [x, y + d], [x - d, y - d], [x + d, y - d], [x - d, y + d], [x + d, y + d]] : [[x, y]];
+      for (const [px, py] of points) {
+        const el = interactiveAt(px, py);
+        if (!el || seen.has(el)) continue;
+        seen.add(el);
+        const rect = el.getBoundingClientRect();
+        if (!isSmallTarget(rect)) continue;
+        const box = hitBox(rect);
+        if (x < box.left || x > box.right || y < box.top || y > box.bottom) continue;
+        const distance = Math.hypot(x - box.cx, y - box.cy);
+        if (distance < bestDistance) { best = el; bestDistance = distance; }
+      }
+    }
+    return best;
+  }
+
+  // The element a click at the pointer would activate: what is under it, else a snapped target
+  function motorTargetAt(x, y) {
+    const direct = interactiveAt(x, y);
+    if (direct) return { el: direct, snapped: false };
+    const snapped = motor.settings.assist ? snapTarget(x, y) : null;
+    return snapped ? { el: snapped, snapped: true } : null;
+  }
+
+  function showSnap(el) {
+    motor.snapped = el;
+    const { snap } = motor.parts;
+    if (!el) { snap.style.display = 'none'; return; }
+    const rect = el.getBoundingClientRect();
+    const box = hitBox(rect);
+    Object.assign(snap.style, {
+      display: 'block',
+      left: `${box.left}px`,
+      top: `${box.top}px`,
+      width: `${box.right - box.left}px`,
+      height: `${box.bottom - box.top}px`
+    });
+  }
+
+  function resetDwell() {
+    if (motor.dwell.frame) cancelAnimationFrame(motor.dwell.frame);
+    motor.dwell = { el: null, x: 0, y: 0, start: 0, done: false, frame: 0 };
+    if (motor.parts) motor.parts.dwell.style.display = 'none';
+  }
+
+  function tickDwell(now) {
+    const dwell = motor.dwell;
+    dwell.frame = 0;
+    if (!dwell.el || dwell.done) return;
+    const progress = Math.min(1, (now - dwell.start) / motor.settings.dwellTime);
+    motor.parts.progress.setAttribute('stroke-dashoffset', String(87.96 * (1 - progress)));
+    if (progress < 1) {
+      dwell.frame = requestAnimationFrame(tickDwell);
+      return;
+    }
+    dwell.done = true;                     // one click per rest; move away to dwell again
+    motor.parts.dwell.style.display = 'none';
+    safeLog('AURA motor: dwell click');
+    motorClick(dwell.el);
+  }
+
+  function updateDwell(target, x, y) {
+    const dwell = motor.dwell;
+    // Small tremors keep the current dwell; leaving the target or a real move starts over
+    if (dwell.el && target === dwell.el && Math.hypot(x - dwell.x, y - dwell.y) <= DWELL_TOLERANCE_PX) return;
+    resetDwell();
+    if (!target) return;
+    motor.dwell = { el: target, x, y, start: performance.now(), done: false, frame: 0 };
+    const ring = motor.parts.dwell;
+    ring.style.display = 'block';
+    ring.style.left = `${x}px`;
+    ring.style.top = `${y}px`;
+    motor.parts.progress.setAttribute('stroke-dashoffset', '87.96');
+    motor.dwell.frame = requestAnimationFrame(tickDwell);
+  }
+
+  function motorClick(el) {
+    motor.redirecting = true;
+    try {
+      if (el.matches('input, textarea, select, [contenteditable="true"]')) el.focus();
+      el.click();
+    } finally {
+      motor.redirecting = false;
+    }
+  }
+
+  function onMotorPointerMove(e) {
+    if (e.pointerType && e.pointerType !== 'mouse' && e.pointerType !== 'pen') return;
+    motor.pointer = { x: e.clientX, y: e.clientY };
+    if (motor.frame) return;
+    motor.frame = requestAnimationFrame(() => {
+      motor.frame = 0;
+      const { x, y } = motor.pointer;
+      const target = motorTargetAt(x, y);
+      showSnap(target?.snapped ? target.el : null);
+      if (motor.settings.dwell) updateDwell(target?.el || null, x, y);
+    });
+  }
+
+  // Text fields take double clicks to select words, so they are never debounced
+  function isTextEntry(el) {
+    if (el.isContentEditable || el.matches('textarea, select')) return true;
+    return el.matches('input') && !/^(checkbox|radio|button|submit|reset|image|file|color|range)$/i.test(el.type);
+  }
+
+  function onMotorPointerDown(e) {
+    motor.down = { x: e.clientX, y: e.clientY };
+    resetDwell();
+  }
+
+  // Clicks are only moved to a nearby target when they hit nothing that may handle them itself:
+  // not the end of a text selection or other drag, and not an element styled as clickable
+  // (pages attach handlers to plain divs that MOTOR_INTERACTIVE cannot see)
+  function mayRedirectClick(e) {
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return false;
+    if (motor.down && Math.hypot(e.clientX - motor.down.x, e.clientY - motor.down.y) > MOTOR_DRAG_PX) return false;
+    for (let el = e.target instanceof Element ? e.target : null; el; el = el.parentElement) {
+      if (getComputedStyle(el).cursor === 'pointer') return false;
+    }
+    return true;
+  }
+
+  function onMotorClick(e) {
+    if (motor.redirecting || !e.isTrusted) return;
+    const direct = e.target instanceof Element ? e.target.closest(MOTOR_INTERACTIVE) : null;
+    // Keyboard activation (detail 0) has no pointer position to snap from
+    const target = direct || (motor.settings.assist && e.detail > 0 && mayRedirectClick(e) ? snapTarget(e.clientX, e.clientY) : null);
+    if (!target) return;
+    const now = performance.now();
+    if (motor.settings.assist && !isTextEntry(target)) {
+      if (e.detail > 1 || (motor.lastClick.el === target && now - motor.lastClick.time < MOTOR_DEBOUNCE_MS)) {
+        // An accidental second press: drop it
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        return;
+      }
+    }
+    motor.lastClick = { el: target, time: now };
+    if (!direct) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      motorClick(target);
+    }
+  }
+
+  function motorCss(settings) {
+    if (!settings.assist) return '';
+    return `
+:focus-visible { outline: 3px solid ${settings.ring} !important; outline-offset: 2px !important; box-shadow: 0 0 0 5px #ffffff !important; }
+`;
+  }
+
+  function updateMotorAssist(profile) {
+    const settings = motorSettings(profile);
+    if (!settings) {
+      stopMotorAssist();
+      return;
+    }
+    motor.settings = settings;
+    if (!motor.layer) {
+      motor.layer = buildMotorLayer();
+      motor.style = document.createElement('style');
+      motor.style.id = MOTOR_STYLE_ID;
+      motor.listeners = new AbortController();
+      const { signal } = motor.listeners;
+      document.addEventListener('pointermove', onMotorPointerMove, { passive: true, signal });
+      document.addEventListener('click', onMotorClick, { capture: true, signal });
+      document.addEventListener('pointerdown', onMotorPointerDown, { passive: true, capture: true, signal });
+      window.addEventListener('scroll', () => { showSnap(null); resetDwell(); }, { capture: true, passive: true, signal });
+    }
+    if (!motor.layer.isConnected) document.documentElement.appendChild(motor.layer);
+    motor.style.textContent = motorCss(settings);
+    if (!motor.style.isConnected) document.documentElement.appendChild(motor.style);
+    motor.layer.style.setProperty('--ring', settings.ring);
+    if (!settings.dwell) resetDwell();
+  }
+
+  function stopMotorAssist() {
+    if (!motor.layer) return;
+    motor.listeners.abort();
+    if (motor.frame) cancelAnimationFrame(motor.frame);
+    resetDwell();
+    motor.layer.remove();
+    motor.style.remove();
+    Object.assign(motor, { settings: null, style: null, layer: null, parts: null, listeners: null, frame: 0, down: null, snapped: null, lastClick: { el: null, time: 0 } });
+  }
+
+  // --- Cosmetic filtering: element hiding (see cosmeticFilters.js) ---
+  // Matching selectors go into one managed stylesheet, so elements added later are hidden by
+  // the browser itself. The observer only re-attaches the stylesheet when a page rewrites the
+  // document, and lifts the scroll lock a hidden consent or newsletter overlay leaves behind.
+  // List rules are skipped on sites where blocking is paused (see blockStats.js).
+  const COSMETIC_STYLE_ID = 'aura-cosmetic';
+  const COSMETIC_RULE_CHUNK = 200;          // selectors per CSS rule
+  const COSMETIC_UNLOCK_ATTR = 'data-aura-scroll-unlocked';
+  const COSMETIC_CHECK_MS = 400;
+
+  const cosmetic = {
+    adBlockEnabled: true,
+    pausedSites: [],
+    index: null,
+    userRules: {},
+    chunks: [],
+    style: null,
+    observer: null,
+    checkTimer: null
+  };
+
+  // One selector the browser cannot parse (e.g. uBlock's :has-text) would void its whole rule
+  const selectorProbe = document.createDocumentFragment();
+  function isValidSelector(selector) {
+    try { selectorProbe.querySelector(selector); return true; } catch (e) { return false; }
+  }
+
+  function cosmeticSelectors() {
+    if (typeof AuraCosmetic === 'undefined') return [];
+    const { list, user } = AuraCosmetic.selectorsFor(cosmetic.index, cosmetic.userRules, location.hostname);
+    const paused = typeof AuraBlockStats !== 'undefined' && AuraBlockStats.isPaused(cosmetic.pausedSites, location.hostname);
+    const wanted = cosmetic.adBlockEnabled && !paused ? [...list, ...user] : user;
+    return [...new Set(wanted)].filter(isValidSelector);
+  }
+
+  function applyCosmeticFilters() {
+    const selectors = cosmeticSelectors();
+    cosmetic.chunks = [];
+    for (let i = 0; i < selectors.length; i += COSMETIC_RULE_CHUNK) {
+      cosmetic.chunks.push(selectors.slice(i, i + COSMETIC_RULE_CHUNK).join(',\n'));
+    }
+    if (!cosmetic.chunks.length) {
+      removeCosmeticFilters();
+      return;
+    }
+    if (!cosmetic.style) {
+      cosmetic.style = document.createElement('style');
+      cosmetic.style.id = COSMETIC_STYLE_ID;
+    }
+    cosmetic.style.textContent = cosmetic.chunks.map(chunk => `${chunk} { display: none !important; }`).join('\n')
+      + `\nhtml[${COSMETIC_UNLOCK_ATTR}], body[${COSMETIC_UNLOCK_ATTR}] { overflow: auto !important; }`;
+    // Attached to <html> rather than <head>, which single-page apps tend to rebuild
+    if (!cosmetic.style.isConnected) document.documentElement.appendChild(cosmetic.style);
+    startCosmeticObserver();
+    scheduleScrollLockCheck();
+  }
+
+  function removeCosmeticFilters() {
+    cosmetic.chunks = [];
+    if (cosmetic.observer) cosmetic.observer.disconnect();
+    cosmetic.observer = null;
+    clearTimeout(cosmetic.checkTimer);
+    cosmetic.checkTimer = null;
+    if (cosmetic.style) cosmetic.style.remove();
+    document.documentElement.removeAttribute(COSMETIC_UNLOCK_ATTR);
+    if (document.body) document.body.removeAttribute(COSMETIC_UNLOCK_ATTR);
+  }
+
+  // A hidden fixed-position element (or one wrapping a fixed child) is an overlay we removed
+  function hasHiddenOverlay() {
+    const isFixed = (el) => !!el && getComputedStyle(el).position === 'fixed';
+    return cosmetic.chunks.some((chunk) => {
+      for (const el of document.querySelectorAll(chunk)) {
+        if (isFixed(el) || isFixed(el.firstElementChild)) return true;
+      }
+      return false;
+    });
+  }
+
+  function checkScrollLock() {
+    cosmetic.checkTimer = null;
+    const roots = [document.documentElement, document.body].filter(Boolean);
+    const unlocked = roots.filter(el => el.hasAttribute(COSMETIC_UNLOCK_ATTR));
+    const locked = roots.filter(el => !el.hasAttribute(COSMETIC_UNLOCK_ATTR) && getComputedStyle(el).overflowY === 'hidden');
+    if (!locked.length && !unlocked.length) return;
+    if (hasHiddenOverlay()) {
+      locked.forEach(el => el.setAttribute(COSMETIC_UNLOCK_ATTR, ''));
+    } else {
+      // The overlay is gone, so the page's own scroll locks (lightboxes, menus) work again
+      unlocked.forEach(el => el.removeAttribute(COSMETIC_UNLOCK_ATTR));
+    }
+  }
+
+  function scheduleScrollLockCheck() {
+    if (cosmetic.checkTimer || !cosmetic.chunks.length) return;
+    cosmetic.checkTimer = setTimeout(checkScrollLock, COSMETIC_CHECK_MS);
+  }
+
+  function startCosmeticObserver() {
+    if (cosmetic.observer) return;
+    cosmetic.observer = new MutationObserver(() => {
+      if (cosmetic.style && !cosmetic.style.isConnected) document.documentElement.appendChild(cosmetic.style);
+      scheduleScrollLockCheck();
+    });
+    cosmetic.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style']
+    });
+  }
+
+  function initCosmeticFilters() {
+    if (typeof AuraCosmetic === 'undefined' || !chrome?.storage?.local) return;
+    const pausedKey = typeof AuraBlockStats !== 'undefined' ? AuraBlockStats.PAUSED_SITES_KEY : 'aura_paused_sites';
+    const keys = ['adBlockEnabled', pausedKey, AuraCosmetic.INDEX_KEY, AuraCosmetic.USER_RULES_KEY];
+    chrome.storage.local.get(keys, (res) => {
+      cosmetic.adBlockEnabled = res?.adBlockEnabled !== false;
+      cosmetic.pausedSites = res?.[pausedKey] || [];
+      cosmetic.index = res?.[AuraCosmetic.INDEX_KEY] || null;
+      cosmetic.userRules = res?.[AuraCosmetic.USER_RULES_KEY] || {};
+      applyCosmeticFilters();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !keys.some(k => changes[k])) return;
+      if (changes.adBlockEnabled) cosmetic.adBlockEnabled = changes.adBlockEnabled.newValue !== false;
+      if (changes[pausedKey]) cosmetic.pausedSites = changes[pausedKey].newValue || [];
+      if (changes[AuraCosmetic.INDEX_KEY]) cosmetic.index = changes[AuraCosmetic.INDEX_KEY].newValue || null;
+      if (changes[AuraCosmetic.USER_RULES_KEY]) cosmetic.userRules = changes[AuraCosmetic.USER_RULES_KEY].newValue || {};
+      applyCosmeticFilters();
+    });
+  }
+
+  // --- Element picker: click an element to add a hiding rule for this site ---
+  // Mouse: hover outlines, click selects. Keyboard: arrows widen (up) or narrow (down) the
+  // selection, Enter hides it, Escape cancels. The generated selector is the shortest
+  // child-combinator path that matches only the chosen element, built from ids and class
+  // names that do not look generated.
+  const PICKER_HOST_ID = 'aura-picker-host';
+  const PICKER_MAX_DEPTH = 6;
+  const PICKER_BLOCKED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'auxclick', 'dblclick'];
+
+  const picker = {
+    active: false,
+    host: null,
+    ui: null,
+    target: null,
+    narrower: [],
+    returnFocus: null,
+    listeners: []
+  };
+  let lastContextTarget = null;
+
+  document.addEventListener('contextmenu', (e) => {
+    lastContextTarget = e.target instanceof Element ? e.target : null;
+  }, true);
+
+  function cssIdent(value) {
+    return (window.CSS && CSS.escape) ? CSS.escape(value) : String(value).replace(/[^\w-]/g, '\\$&');
+  }
+
+  // Hashed class names and ids (CSS-in-JS, build tools) change between deploys
+  function isStableToken(token) {
+    return /^[A-Za-z][\w-]{1,40}$/.test(token)
+      && !/\d{3,}/.test(token)
+      && !/^(css|sc|jsx|emotion)-/.test(token);
+  }
+
+  function selectorStep(el) {
+    if (el.id && isStableToken(el.id)) return `#${cssIdent(el.id)}`;
+    const classes = [...el.classList].filter(isStableToken).slice(0, 2).map(c => `.${cssIdent(c)}`).join('');
+    let step = el.tagName.toLowerCase() + classes;
+    const siblings = el.parentElement ? [...el.parentElement.children] : [];
+    if (siblings.filter(s => s !== el && s.matches(step)).length) {
+      const sameTag = siblings.filter(s => s.tagName === el.tagName);
+      step += `:nth-of-type(${sameTag.indexOf(el) + 1})`;
+    }
+    return step;
+  }
+
+  function selectorForElement(el) {
+    const steps = [];
+    for (let node = el; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      steps.unshift(selectorStep(node));
+      const selector = steps.join(' > ');
+      try {
+        if (document.querySelectorAll(selector).length === 1) return selector;
+      } catch (e) { break; }
+      if (steps.length >= PICKER_MAX_DEPTH) break;
+    }
+    return steps.join(' > ');
+  }
+
+  function isPickable(el) {
+    return el instanceof Element
+      && el !== document.body
+      && el !== document.documentElement
+      && !el.closest(`#${PICKER_HOST_ID}`);
+  }
+
+  function buildPickerUi() {
+    const host = document.createElement('div');
+    host.id = PICKER_HOST_ID;
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>
+        .box { position: fixed; pointer-events: none; outline: 3px solid #4b6cff; background: rgba(75, 108, 255, 0.15); border-radius: 2px; }
+        .bar { position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%); pointer-events: auto;
+               width: min(560px, calc(100vw - 32px)); box-sizing: border-box; padding: 12px 14px;
+               font: 14px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937;
+               background: #fff; border-radius: 10px; box-shadow: 0 6px 24px rgba(0, 0, 0, 0.25); }
+        .hint { margin: 0 0 8px; }
+        .selector { display: block; margin-bottom: 4px; padding: 6px 8px; background: #f3f4f6; border-radius: 6px;
+                    font: 12px/1.4 ui-monospace, Menlo, Consolas, monospace; overflow-wrap: anywhere; }
+        .count { font-size: 12px; color: #4b5563; }
+        .buttons { display: flex; gap: 8px; justify-content: flex-end; margin-top: 8px; }
+        button { padding: 6px 12px; border-radius: 6px; border: 1px solid #d1d5db; background: #fff; color: #1f2937; font: inherit; cursor: pointer; }
+        button.hide { background: #4b6cff; border-color: #4b6cff; color: #fff; }
+        button:disabled { opacity: 0.5; cursor: default; }
+        button:focus-visible { outline: 3px solid #1e3a8a; outline-offset: 2px; }
+      </style>
+      <div class="box" hidden></div>
+      <div class="bar" role="dialog" aria-label="Hide an element">
+        <p class="hint">Click the part of the page to hide. ↑ selects a larger area, ↓ a smaller one, Enter hides it, Esc cancels.</p>
+        <code class="selector" aria-live="polite">Nothing selected</code>
+        <span class="count"></span>
+        <div class="buttons">
+          <button type="button" class="cancel">Cancel</button>
+          <button type="button" class="hide" disabled>Hide on this site</button>
+        </div>
+      </div>`;
+    const ui = {
+      box: root.querySelector('.box'),
+      selector: root.querySelector('.selector'),
+      count: root.querySelector('.count'),
+      hide: root.querySelector('.hide'),
+      cancel: root.querySelector('.cancel')
+    };
+    ui.hide.addEventListener('click', () => hidePickedElement());
+    ui.cancel.addEventListener('click', () => stopElementPicker());
+    return { host, ui };
+  }
+
+  function positionPickerBox() {
+    const { box } = picker.ui;
+    if (!picker.target || !picker.target.isConnected) {
+      box.hidden = true;
+      return;
+    }
+    const r = picker.target.getBoundingClientRect();
+    Object.assign(box.style, { top: `${r.top}px`, left: `${r.left}px`, width: `${r.width}px`, height: `${r.height}px` });
+    box.hidden = false;
+  }
+
+  function setPickerTarget(el, { keepNarrower = false } = {}) {
+    if (!isPickable(el)) return;
+    if (!keepNarrower) picker.narrower = [];
+    picker.target = el;
+    const selector = selectorForElement(el);
+    let count = 0;
+    try { count = document.querySelectorAll(selector).length; } catch (e) { }
+    picker.ui.selector.textContent = selector;
+    picker.ui.count.textContent = count > 1 ? `Matches ${count} elements on this page` : '';
+    picker.ui.hide.disabled = false;
+    positionPickerBox();
+  }
+
+  function onPickerEvent(type, handler) {
+    window.addEventListener(type, handler, true);
+    picker.listeners.push([type, handler]);
+  }
+
+  function startElementPicker(initialTarget) {
+    if (picker.active) stopElementPicker();
+    const { host, ui } = buildPickerUi();
+    Object.assign(picker, { active: true, host, ui, target: null, narrower: [], returnFocus: document.activeElement, listeners: [] });
+    document.documentElement.appendChild(host);
+
+    const fromPicker = (e) => e.composedPath().includes(host);
+
+    onPickerEvent('mousemove', (e) => {
+      if (!fromPicker(e)) setPickerTarget(e.target);
+    });
+    onPickerEvent('click', (e) => {
+      if (fromPicker(e)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      setPickerTarget(e.target);
+      ui.hide.focus();
+    });
+    PICKER_BLOCKED_EVENTS.forEach(type => onPickerEvent(type, (e) => {
+      if (fromPicker(e)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }));
+    onPickerEvent('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        stopElementPicker();
+        return;
+      }
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        const current = picker.target || document.elementFromPoint(window.innerWidth / 2, window.innerHeight / 2);
+        if (!picker.target) { setPickerTarget(current); return; }
+        if (e.key === 'ArrowUp' && isPickable(current.parentElement)) {
+          picker.narrower.push(current);
+          setPickerTarget(current.parentElement, { keepNarrower: true });
+        } else if (e.key === 'ArrowDown') {
+          const child = picker.narrower.pop() || current.firstElementChild;
+          if (child) setPickerTarget(child, { keepNarrower: true });
+        }
+        return;
+      }
+      // Enter on the picker's own buttons activates them as usual
+      if (e.key === 'Enter' && picker.target && !fromPicker(e)) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        hidePickedElement();
+      }
+    });
+    onPickerEvent('scroll', positionPickerBox);
+    onPickerEvent('resize', positionPickerBox);
+
+    if (initialTarget && isPickable(initialTarget)) {
+      setPickerTarget(initialTarget);
+      ui.hide.focus();
+    } else {
+      ui.cancel.focus();
+    }
+  }
+
+  function stopElementPicker() {
+    if (!picker.active) return;
+    picker.listeners.forEach(([type, handler]) => window.removeEventListener(type, handler, true));
+    if (picker.host) picker.host.remove();
+    const returnFocus = picker.returnFocus;
+    Object.assign(picker, { active: false, host: null, ui: null, target: null, narrower: [], returnFocus: null, listeners: [] });
+    try { if (returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true }); } catch (e) { }
+  }
+
+  async function hidePickedElement() {
+    if (!picker.target || typeof AuraCosmetic === 'undefined') return;
+    const selector = selectorForElement(picker.target);
+    stopElementPicker();
+    try {
+      const rules = AuraCosmetic.addUserRule(await AuraCosmetic.loadUserRules(), location.hostname, selector);
+      await AuraCosmetic.saveUserRules(rules);
+      // storage.onChanged re-applies too; doing it now avoids a visible delay
+      cosmetic.userRules = rules;
+      applyCosmeticFilters();
+      safeLog('AURA cosmetic: hiding', selector, 'on', location.hostname);
+    } catch (e) { safeWarn('AURA cosmetic: could not save hiding rule', e); }
+  }
+
+  // --- Main-content extraction (readability-style) ---
+  // Finds the page's main content, drops boilerplate, and splits it into sections at
+  // headings of any depth. Pages without headings get synthesized sections. Every
+  // section carries a stable anchor: the heading's own id when present, otherwise a
+  // data-aura-anchor attribute derived from the heading (or opening) text.
+  const SECTION_TARGET_CHARS = 1800;   // synthesized / split sections aim for this size
+  const SECTION_SPLIT_CHARS = 2400;    // headed sections longer than this are split
+  const MAX_CONTENT_CHARS = 200000;
+  const BOILERPLATE_TAGS = new Set(['NAV', 'ASIDE', 'FOOTER', 'FORM', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'BUTTON', 'SELECT', 'TEXTAREA', 'INPUT', 'CANVAS', 'VIDEO', 'AUDIO', 'OBJECT', 'TEMPLATE', 'DIALOG', 'MENU']);
+  const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog', 'menu', 'menubar', 'toolbar', 'tablist']);
+  const BOILERPLATE_HINT_RE = /(^|[\s_-])(nav|navbar|menu|footer|sidebar|comments?|share|sharing|social|related|promo|advert|ads?|sponsor(ed)?|cookie|consent|newsletter|subscribe|breadcrumbs?|pagination|pager|popup|modal|masthead|widget|outbrain|taboola|skip-link)([\s_-]|$)/i;
+  const CONTENT_HINT_RE = /(^|[\s_-])(article|content|main|post|entry|story|body|text|blog)([\s_-]|$)/i;
+  const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL']);
+
+  function normalizeSpace(str) { return String(str || '').replace(/\s+/g, ' ').trim(); }
+
+  function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) hash = ((hash * 33) ^ str.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+  }
+
+  function headingLevel(el) {
+    const m = /^H([1-6])$/.exec(el.tagName);
+    if (m) return Number(m[1]);
+    if (el.getAttribute('role') === 'heading') return Number(el.getAttribute('aria-level')) || 2;
+    return 0;
+  }
+
+  function isBoilerplate(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
+    if (el.id && el.id.startsWith('aura-')) return true;
+    if (BOILERPLATE_TAGS.has(el.tagName)) return true;
+    // Page headers are chrome; an article's own <header> usually holds its title
+    if (el.tagName === 'HEADER' && !el.closest('article, main, [role="main"]')) return true;
+    const role = el.getAttribute('role');
+    if (role && BOILERPLATE_ROLES.has(role)) return true;
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    const hint = `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''}`;
+    if (hint.trim() && BOILERPLATE_HINT_RE.test(hint) && !CONTENT_HINT_RE.test(hint)) return true;
+    return false;
+  }
+
+  function linkDensity(el) {
+    const total = normalizeSpace(el.textContent).length;
+    if (!total) return 0;
+    let linked = 0;
+    el.querySelectorAll('a').forEach(a => { linked += normalizeSpace(a.textContent).length; });
+    return linked / total;
+  }
+
+  // Readability-style scoring: paragraphs vote for their parent and grandparent
+  function findMainContentRoot() {
+    const body = document.body;
+    if (!body) return null;
+    const bodyLength = normalizeSpace(body.innerText).length || 1;
+
+    // Trust explicit landmarks when they hold a meaningful share of the page
+    const landmarks = [...document.querySelectorAll('article, main, [role="main"]')]
+      .filter(el => !el.closest('[id^="aura-"]'));
+    const articles = landmarks.filter(el => el.tagName === 'ARTICLE');
+    if (articles.length === 1 && normalizeSpace(articles[0].innerText).length > 500) return articles[0];
+    const main = landmarks.find(el => el.tagName === 'MAIN' || el.getAttribute('role') === 'main');
+    if (main && normalizeSpace(main.innerText).length >= bodyLength * 0.3) return main;
+
+    const scores = new Map();
+    const addScore = (el, value) => {
+      if (!el || el === document.documentElement) return;
+      if (!scores.has(el)) {
+        const hint = `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''}`;
+        let base = 0;
+        if (CONTENT_HINT_RE.test(hint)) base += 25;
+        if (BOILERPLATE_HINT_RE.test(hint)) base -= 25;
+        scores.set(el, base);
+      }
+      scores.set(el, scores.get(el) + value);
+    };
+    body.querySelectorAll('p, pre, td, blockquote, li').forEach((p) => {
+      if (p.closest('nav, aside, footer, [role="navigation"], [id^="aura-"]')) return;
+      const text = normalizeSpace(p.textContent);
+      if (text.length < 25) return;
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      addScore(p.parentElement, score);
+      addScore(p.parentElement?.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+    }
+    return best || main || body;
+  }
+
+  function tableToText(table) {
+    const lines = [];
+    const caption = table.querySelector('caption');
+    if (caption) lines.push(normalizeSpace(caption.innerText));
+    table.querySelectorAll('tr').forEach((tr) => {
+      const cells = [...tr.children].map(c => normalizeSpace(c.innerText)).filter(Boolean);
+      if (cells.length) lines.push(cells.join(' | '));
+    });
+    return lines.join('\n');
+  }
+
+  function listToText(list) {
+    const ordered = list.tagName === 'OL';
+    return [...list.children]
+      .filter(li => li.tagName === 'LI' && !isBoilerplate(li))
+      .map((li, i) => `${ordered ? `${i + 1}.` : '-'} ${normalizeSpace(li.innerText)}`)
+      .filter(line => line.length > 2)
+      .join('\n');
+  }
+
+  // Leaf blocks have no block-level children, so their innerText is one paragraph
+  function isLeafBlock(el) {
+    for (const child of el.children) {
+      if (BLOCK_TAGS.has(child.tagName) || headingLevel(child)) return false;
+    }
+    return true;
+  }
+
+  // Flatten the content root into ordered blocks: { type, el, text, level?, inline? }
+  // options.media adds images and figures as 'media' blocks (text: alt text or caption)
+  function collectContentBlocks(root, blocks = [], budget = { chars: 0 }, options = {}) {
+    for (const child of root.childNodes) {
+      if (budget.chars > MAX_CONTENT_CHARS) return blocks;
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = normalizeSpace(child.nodeValue);
+        if (text) {
+          blocks.push({ type: 'text', el: root, text, inline: true });
+          budget.chars += text.length;
+        }
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || isBoilerplate(child)) continue;
+
+      const level = headingLevel(child);
+      let block = null;
+      if (level) {
+        block = { type: 'heading', el: child, text: normalizeSpace(child.innerText), level };
+      } else if (child.tagName === 'TABLE') {
+        block = { type: 'table', el: child, text: tableToText(child) };
+      } else if (child.tagName === 'UL' || child.tagName === 'OL') {
+        if (linkDensity(child) > 0.7) continue; // link farms: menus, tag clouds
+        block = { type: 'list', el: child, text: listToText(child) };
+      } else if (options.media && (child.tagName === 'FIGURE' || child.tagName === 'PICTURE' || child.tagName === 'IMG')) {
+        const img = child.tagName === 'IMG' ? child : child.querySelector('img');
+        if (!img) continue;
+        block = { type: 'media', el: child, text: normalizeSpace(child.querySelector('figcaption')?.innerText || img.alt) || 'Image' };
+      } else if (isLeafBlock(child)) {
+        block = { type: 'para', el: child, text: normalizeSpace(child.innerText), inline: !BLOCK_TAGS.has(child.tagName) };
+        const img = !block.text && options.media ? child.querySelector('img') : null;
+        if (img) block = { type: 'media', el: child, text: normalizeSpace(img.alt) || 'Image' };
+      } else {
+        collectContentBlocks(child, blocks, budget, options);
+        continue;
+      }
+      if (block.text) {
+        blocks.push(block);
+        budget.chars += block.text.length;
+      }
+    }
+    return blocks;
+  }
+
+  // Join block texts, keeping runs of inline fragments on one line
+  function joinBlocks(parts) {
+    let out = '';
+    let prevInline = false;
+    for (const b of parts) {
+      if (out) out += (b.inline && prevInline) ? ' ' : '\n';
+      out += b.text;
+      prevInline = !!b.inline;
+    }
+    return out.trim();
+  }
+
+  // Group blocks into chunks of roughly SECTION_TARGET_CHARS
+  function chunkBlocks(parts) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    for (const b of parts) {
+      if (current.length && size + b.text.length > SECTION_TARGET_CHARS) {
+        chunks.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(b);
+      size += b.text.length;
+    }
+    if (current.length) chunks.push(current);
+    return chunks;
+  }
+
+  function firstSentence(text, max = 60) {
+    const s = normalizeSpace(text).split(/(?<=[.!?])\s/)[0] || '';
+    return s.length > max ? s.slice(0, max - 1).trimEnd() + '…' : s;
+  }
+
+  // Inline fragments (loose text, <span>s) are anchored on the block that holds them
+  function anchorBlock(part) {
+    if (!part.inline) return part.el;
+    let el = part.type === 'text' ? part.el : part.el.parentElement;
+    while (el && el.parentElement && !BLOCK_TAGS.has(el.tagName)) el = el.parentElement;
+    return el || part.el;
+  }
+
+  // Only a heading reuses an id inside it (<h2><a id="...">); inside a paragraph or container
+  // the first id usually belongs to some later passage
+  function anchorForElement(el, key, heading = false) {
+    if (!el) return null;
+    if (el.id) return `#${el.id}`;
+    const inner = heading ? el.querySelector('[id], a[name]') : null;
+    if (inner) return `#${inner.id || inner.getAttribute('name')}`;
+    let anchor = el.getAttribute('data-aura-anchor');
+    if (!anchor) {
+      anchor = `aura-${hashString(key)}`;
+      el.setAttribute('data-aura-anchor', anchor);
+    }
+    return `#${anchor}`;
+  }
+
+  function buildSections(blocks) {
+    // Split the block stream at headings
+    const groups = [];
+    let current = { heading: null, parts: [] };
+    for (const b of blocks) {
+      if (b.type === 'heading') {
+        if (current.heading || current.parts.length) groups.push(current);
+        current = { heading: b, parts: [] };
+      } else {
+        current.parts.push(b);
+      }
+    }
+    if (current.heading || current.parts.length) groups.push(current);
+
+    const sections = [];
+    const seenKeys = new Map();
+    const uniqueKey = (key) => {
+      const n = seenKeys.get(key) || 0;
+      seenKeys.set(key, n + 1);
+      return n ? `${key}|${n}` : key;
+    };
+
+    for (const g of groups) {
+      if (!g.parts.length) continue;
+      const headed = !!g.heading;
+      const totalChars = g.parts.reduce((sum, b) => sum + b.text.length, 0);
+      const chunks = (!headed || totalChars > SECTION_SPLIT_CHARS) ? chunkBlocks(g.parts) : [g.parts];
+      chunks.forEach((parts, i) => {
+        const text = joinBlocks(parts);
+        if (!text) return;
+        let heading;
+        let anchorEl;
+        if (headed) {
+          heading = i === 0 ? g.heading.text : `${g.heading.text} (part ${i + 1})`;
+          anchorEl = i === 0 ? g.heading.el : anchorBlock(parts[0]);
+        } else {
+          // Heading-less pages (forums, SPAs): name the section after its opening sentence
+          heading = firstSentence(text) || document.title || `Section ${sections.length + 1}`;
+          anchorEl = anchorBlock(parts[0]);
+        }
+        const key = uniqueKey(normalizeSpace(headed && i === 0 ? heading : text.slice(0, 80)).toLowerCase());
+        sections.push({
+          id: `sec_${sections.length}`,
+          heading,
+          level: headed ? `h${g.heading.level}` : 'p',
+          text: text.slice(0, 8000),
+          anchor: anchorForElement(anchorEl, key, headed && i === 0),
+          synthetic: !headed || i > 0
+        });
+      });
+    }
+    return sections;
+  }
+
+  // --- Scrape sections (main content -> sections) ---
+  function scrapeSections() {
+    try {
+      const root = findMainContentRoot();
+      if (!root) return [];
+      return buildSections(collectContentBlocks(root));
+    } catch (e) {
+      safeWarn('AURA content: scrapeSections failed', e);
+      return [];
+    }
+  }
+
+  // --- Citation jump: scroll to and highlight a cited passage ---
+  // Looks the section up by anchor, then heading text, then a text-fragment match of the
+  // excerpt. Uses the CSS Custom Highlight API for the passage so the page DOM is untouched.
+  const CITATION_HIGHLIGHT_MS = 4000;
+  const CITATION_HIGHLIGHT_NAME = 'aura-citation';
+
+  function findAnchorElement(anchor) {
+    const id = String(anchor || '').replace(/^#/, '');
+    if (!id) return null;
+    const lookup = () => document.getElementById(id)
+      || document.querySelector(`[data-aura-anchor="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`);
+    let el = lookup();
+    if (!el && id.startsWith('aura-')) {
+      // Anchors are stamped during extraction; re-run it if the page re-rendered since
+      scrapeSections();
+      el = lookup();
+    }
+    return el;
+  }
+
+  function findHeadingElement(heading) {
+    const wanted = normalizeSpace(String(heading || '').replace(/\s*\(part \d+\)$/, '')).toLowerCase();
+    if (!wanted) return null;
+    const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+      .filter(h => !h.closest('[id^="aura-"]'));
+    return headings.find(h => normalizeSpace(h.innerText).toLowerCase() === wanted)
+      || headings.find(h => normalizeSpace(h.innerText).toLowerCase().includes(wanted))
+      || null;
+  }
+
+  // Text-fragment style search: whitespace-insensitive, case-insensitive, preferring the
+  // first match at or after `after` in document order
+  function findTextRange(text, after) {
+    const needle = normalizeSpace(text).toLowerCase();
+    if (!needle || !document.body) return null;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => n.parentElement?.closest('script, style, noscript, [id^="aura-"]')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    let haystack = '';
+    const nodes = [];
+    const offsets = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        const isSpace = /\s/.test(value[i]);
+        if (isSpace && (haystack === '' || haystack.endsWith(' '))) continue;
+        haystack += isSpace ? ' ' : value[i].toLowerCase();
+        nodes.push(node);
+        offsets.push(i);
+      }
+    }
+
+    const isAfter = (idx) => !after || after === nodes[idx]
+      || !!(after.compareDocumentPosition(nodes[idx]) & (Node.DOCUMENT_POSITION_FOLLOWING | Node.DOCUMENT_POSITION_CONTAINED_BY));
+    // Model excerpts can drift at the end, so fall back to shorter prefixes
+    for (const len of [needle.length, 120, 60]) {
+      const probe = needle.slice(0, len).trim();
+      if (probe.length < 12 && len !== needle.length) continue;
+      let start = -1;
+      let idx = haystack.indexOf(probe);
+      while (idx !== -1) {
+        if (start === -1) start = idx;
+        if (isAfter(idx)) { start = idx; break; }
+        idx = haystack.indexOf(probe, idx + 1);
+      }
+      if (start === -1) continue;
+      const end = start + probe.length - 1;
+      const range = document.createRange();
+      range.setStart(nodes[start], offsets[start]);
+      range.setEnd(nodes[end], offsets[end] + 1);
+      return range;
+    }
+    return null;
+  }
+
+  function ensureCitationStyle() {
+    if (document.getElementById('aura-citation-style')) return;
+    const style = document.createElement('style');
+    style.id = 'aura-citation-style';
+    style.textContent = `
+      ::highlight(${CITATION_HIGHLIGHT_NAME}) { background-color: #ffe46b; color: #111; }
+      .aura-citation-target { outline: 3px solid #4b6cff !important; outline-offset: 4px !important; border-radius: 4px; }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function clearCitationHighlight() {
+    clearTimeout(clearCitationHighlight._t);
+    try { CSS.highlights?.delete(CITATION_HIGHLIGHT_NAME); } catch (e) { }
+    document.querySelectorAll('.aura-citation-target').forEach(el => el.classList.remove('aura-citation-target'));
+  }
+
+  function showCitation({ anchor, heading, excerpt } = {}) {
+    const sectionEl = findAnchorElement(anchor) || findHeadingElement(heading);
+    const range = excerpt ? findTextRange(excerpt, sectionEl) : null;
+    if (!sectionEl && !range) return false;
+
+    clearCitationHighlight();
+    ensureCitationStyle();
+
+    let target = sectionEl;
+    if (range) {
+      const container = range.commonAncestorContainer;
+      const el = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+      target = el.closest('p, li, td, th, dd, blockquote, pre, figcaption, h1, h2, h3, h4, h5, h6') || el;
+      if (typeof Highlight === 'function' && CSS.highlights) {
+        CSS.highlights.set(CITATION_HIGHLIGHT_NAME, new Highlight(range));
+      }
+    }
+    target.classList.add('aura-citation-target');
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    target.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+
+    // Move focus so screen readers announce the passage; temporary tabindex for non-focusable blocks
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+      target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
+    }
+    try { target.focus({ preventScroll: true }); } catch (e) { }
+
+    clearCitationHighlight._t = setTimeout(clearCitationHighlight, CITATION_HIGHLIGHT_MS);
+    return true;
+  }
+
+  // --- Focus mode: the main content alone, in one column, using the profile's typography ---
+  // Blocks from collectContentBlocks are cloned (links, emphasis, lists, tables and images
+  // kept; scripts, inline styles, classes and handlers dropped) into a full-screen reader laid
+  // over the page, so the original page is untouched and Exit / Escape returns to the same spot.
+  // The reader lives in the light DOM so the emotion filter, reading ruler and selection tools
+  // keep working inside it; an `all: revert` reset keeps page styles out.
+  const READER_ID = 'aura-reader';
+  const READER_STYLE_ID = 'aura-reader-style';
+  const READER_OPEN_ATTR = 'data-aura-reader-open';
+  const READER_KEEP_ATTRS = new Set(['href', 'src', 'srcset', 'sizes', 'alt', 'title', 'colspan', 'rowspan', 'datetime', 'lang', 'dir', 'start', 'reversed', 'type', 'cite', 'width', 'height']);
+  const READER_DROP_TAGS = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, svg, canvas, dialog, [hidden], [aria-hidden="true"]';
+  const READER_LAZY_SRC_ATTRS = ['data-src', 'data-lazy-src', 'data-original'];
+  const READER_MIN_CHARS = 200;
+
+  const reader = { host: null, lastFocus: null };
+
+  function readerTypography() {
+    const p = (isEnabled && currentProfile) || {};
+    return {
+      font: p.fontFamily || "'Georgia', serif",
+      size: Math.max(16, Number(p.fontSize) || 18),
+      line: Math.max(1.5, Number(p.lineHeight) || 1.6),
+      letter: Number(p.letterSpacing) || 0,
+      word: Number(p.wordSpacing) || 0,
+      bg: p.bgColor || '#fbfaf7',
+      text: p.textColor || '#1f2328',
+      link: p.linkColor || '#1a0dab'
+    };
+  }
+
+  function readerCss() {
+    const t = readerTypography();
+    // Doubled id beats page rules and the profile's `*` override, both !important
+    const r = `#${READER_ID}#${READER_ID}`;
+    return `
+html[${READER_OPEN_ATTR}], html[${READER_OPEN_ATTR}] body { overflow: hidden !important; }
+${r}, ${r} * { all: revert !important; box-sizing: border-box !important; }
+${r} {
+  position: fixed !important; inset: 0 !important; z-index: 2147483644 !important; overflow-y: auto !important;
+  background: ${t.bg} !important; color: ${t.text} !important;
+  font-family: ${t.font} !important; font-size: ${t.size}px !important; line-height: ${t.line} !important;
+  letter-spacing: ${t.letter}px !important; word-spacing: ${t.word}px !important;
+}
+${r} * { font-family: inherit !important; color: inherit !important; letter-spacing: inherit !important; word-spacing: inherit !important; line-height: inherit !important; font-size: inherit !important; }
+${r} .aura-reader-bar {
+  position: sticky !important; top: 0 !important; display: flex !important; align-items: center !important; gap: 12px !important;
+  padding: 10px 20px !important; background: ${t.bg} !important; border-bottom: 1px solid color-mix(in srgb, ${t.text} 20%, transparent) !important;
+  font-size: 15px !important; line-height: 1.4 !important;
+}
+${r} .aura-reader-site { flex: 1 !important; overflow: hidden !important; text-overflow: ellipsis !important; white-space: nowrap !important; opacity: .75 !important; }
+${r} .aura-reader-exit {
+  display: inline-block !important; padding: 6px 14px !important; border: 2px solid ${t.text} !important; border-radius: 6px !important;
+  background: transparent !important; cursor: pointer !important; font-size: 15px !important; font-weight: 600 !important;
+}
+${r} .aura-reader-exit:focus-visible { outline: 3px solid ${t.link} !important; outline-offset: 2px !important; }
+${r} article { display: block !important; max-width: 68ch !important; margin: 0 auto !important; padding: 32px 24px 96px !important; }
+${r} h1, ${r} h2, ${r} h3, ${r} h4, ${r} h5, ${r} h6 { font-weight: 700 !important; line-height: 1.25 !important; margin: 1.6em 0 .6em !important; }
+${r} h1 { font-size: 1.9em !important; margin-top: .4em !important; }
+${r} h2 { font-size: 1.5em !important; }
+${r} h3 { font-size: 1.25em !important; }
+${r} p, ${r} ul, ${r} ol, ${r} blockquote, ${r} pre, ${r} table, ${r} figure { margin: 0 0 1em !important; }
+${r} ul, ${r} ol { padding-left: 1.5em !important; }
+${r} blockquote { padding-left: 1em !important; border-left: 4px solid color-mix(in srgb, ${t.text} 30%, transparent) !important; }
+${r} pre { overflow-x: auto !important; white-space: pre-wrap !important; font-family: ui-monospace, monospace !important; font-size: .9em !important; }
+${r} table { border-collapse: collapse !important; display: block !important; overflow-x: auto !important; }
+${r} th, ${r} td { border: 1px solid color-mix(in srgb, ${t.text} 25%, transparent) !important; padding: 4px 8px !important; }
+${r} img, ${r} picture, ${r} video { display: block !important; max-width: 100% !important; height: auto !important; margin: 0 auto !important; }
+${r} figcaption { font-size: .85em !important; opacity: .8 !important; margin-top: .4em !important; }
+${r} a { color: ${t.link} !important; text-decoration: underline !important; }
+`;
+  }
+
+  function sanitizeReaderClone(el) {
+    el.querySelectorAll(READER_DROP_TAGS).forEach(n => n.remove());
+    [el, ...el.querySelectorAll('*')].forEach((node) => {
+      if (node.tagName === 'IMG' && (!node.getAttribute('src') || node.getAttribute('src').startsWith('data:'))) {
+        const lazy = READER_LAZY_SRC_ATTRS.map(a => node.getAttribute(a)).find(Boolean);
+        if (lazy) node.setAttribute('src', lazy);
+      }
+      [...node.attributes].forEach((attr) => {
+        if (!READER_KEEP_ATTRS.has(attr.name)) node.removeAttribute(attr.name);
+      });
+      if (node.tagName === 'A' && /^\s*javascript:/i.test(node.getAttribute('href') || '')) node.removeAttribute('href');
+    });
+    return el;
+  }
+
+  // Cloned reader content, or null when the page has too little text for focus mode
+  function buildReaderArticle() {
+    const root = findMainContentRoot();
+    if (!root) return null;
+    const blocks = collectContentBlocks(root, [], { chars: 0 }, { media: true });
+    if (blocks.filter(b => b.type !== 'media').reduce((n, b) => n + b.text.length, 0) < READER_MIN_CHARS) return null;
+
+    const article = document.createElement('article');
+    const firstHeading = blocks.find(b => b.type === 'heading');
+    if (!firstHeading || firstHeading.level > 1) {
+      const title = document.createElement('h1');
+      title.textContent = document.title;
+      article.appendChild(title);
+    }
+    let loose = null; // inline text and fragments collect into one paragraph
+    const seen = new Set();
+    for (const block of blocks) {
+      if (block.type === 'text' || (block.inline && block.type === 'para')) {
+        if (!loose) loose = article.appendChild(document.createElement('p'));
+        if (loose.childNodes.length) loose.append(' ');
+        loose.append(block.type === 'text' ? block.text : sanitizeReaderClone(block.el.cloneNode(true)));
+        continue;
+      }
+      loose = null;
+      if (seen.has(block.el)) continue;
+      seen.add(block.el);
+      article.appendChild(sanitizeReaderClone(block.el.cloneNode(true)));
+    }
+    return article;
+  }
+
+  function openReader() {
+    if (reader.host) return { ok: true, open: true };
+    const article = buildReaderArticle();
+    if (!article) return { ok: false, error: 'No article found on this page' };
+
+    let style = document.getElementById(READER_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = READER_STYLE_ID;
+      document.documentElement.appendChild(style);
+    }
+    style.textContent = readerCss();
+
+    const host = document.createElement('div');
+    host.id = READER_ID;
+    host.setAttribute('role', 'dialog');
+    host.setAttribute('aria-modal', 'true');
+    host.setAttribute('aria-label', 'AURA focus mode');
+    host.tabIndex = -1;
+    const bar = document.createElement('div');
+    bar.className = 'aura-reader-bar';
+    const site = document.createElement('span');
+    site.className = 'aura-reader-site';
+    site.textContent = location.hostname.replace(/^www\./, '');
+    const exit = document.createElement('button');
+    exit.type = 'button';
+    exit.className = 'aura-reader-exit';
+    exit.textContent = 'Exit focus mode';
+    exit.addEventListener('click', closeReader);
+    bar.append(site, exit);
+    host.append(bar, article);
+    host.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') { e.stopPropagation(); closeReader(); }
+    });
+
+    reader.lastFocus = document.activeElement;
+    reader.host = host;
+    document.documentElement.setAttribute(READER_OPEN_ATTR, '');
+    document.documentElement.appendChild(host);
+    host.focus();
+    return { ok: true, open: true };
+  }
+
+  function closeReader() {
+    if (!reader.host) return { ok: true, open: false };
+    reader.host.remove();
+    reader.host = null;
+    document.getElementById(READER_STYLE_ID)?.remove();
+    document.documentElement.removeAttribute(READER_OPEN_ATTR);
+    try { reader.lastFocus?.focus({ preventScroll: true }); } catch (e) { }
+    reader.lastFocus = null;
+    return { ok: true, open: false };
+  }
+
+  function toggleReader() {
+    return reader.host ? closeReader() : openReader();
+  }
+
+  // Profile changes restyle an open reader
+  function refreshReaderStyle() {
+    const style = reader.host && document.getElementById(READER_STYLE_ID);
+    if (style) style.textContent = readerCss();
+  }
+
+  // --- Read aloud (profile options ttsVoice, ttsRate, ttsPitch) ---
+  // Content scripts cannot use chrome.tts, so background.js speaks one sentence at a time for
+  // us and forwards its events as AURA_TTS_EVENT. Word events move a CSS highlight over the
+  // spoken word; the page DOM is never changed. While reading, a click on any paragraph of the
+  // main content restarts from the sentence under the pointer.
+  const SPEECH_BAR_ID = 'aura-read-aloud';
+  const SPEECH_STYLE_ID = 'aura-read-aloud-style';
+  const SPEECH_WORD = 'aura-tts-word';
+  const SPEECH_SENTENCE = 'aura-tts-sentence';
+  const SPEECH_BLOCK_TYPES = new Set(['heading', 'para', 'list', 'table']);
+  const SENTENCE_RE = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g;
+
+  const speech = {
+    host: null,
+    parts: null,
+    listeners: null,
+    blocks: [],                            // { el, type, nodes, text, sentences } in reading order
+    block: 0,
+    sentence: 0,
+    utterance: 0,                          // id of the sentence being spoken; older events are stale
+    paused: false
+  };
+
+  // Text nodes of an element with their offsets into the joined text
+  function speechTextMap(el) {
+    const nodes = [];
+    let text = '';
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        return node.parentElement?.closest('script, style, noscript, template') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push({ node, start: text.length });
+      text += node.nodeValue;
+    }
+    return { nodes, text };
+  }
+
+  // Like speechTextMap, clipped to a range; `from` is where each node's text starts
+  function rangeTextMap(range) {
+    const nodes = [];
+    let text = '';
+    const root = range.commonAncestorContainer;
+    const walker = document.createTreeWalker(root.nodeType === Node.TEXT_NODE ? root.parentNode : root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!range.intersectsNode(node) || node.parentElement?.closest('script, style, noscript, template')) continue;
+      const from = node === range.startContainer ? range.startOffset : 0;
+      const to = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+      nodes.push({ node, start: text.length, from });
+      text += node.nodeValue.slice(from, to);
+    }
+    return { nodes, text };
+  }
+
+  function prepareSpeechBlock(block) {
+    if (block.sentences) return block;
+    if (!block.nodes) Object.assign(block, speechTextMap(block.el));
+    block.sentences = [];
+    for (const match of block.text.matchAll(SENTENCE_RE)) {
+      const start = match.index + (match[0].length - match[0].trimStart().length);
+      const end = match.index + match[0].trimEnd().length;
+      if (/[\p{L}\p{N}]/u.test(block.text.slice(start, end))) block.sentences.push({ start, end });
+    }
+    return block;
+  }
+
+  function speechRange(block, start, end) {
+    const locate = (offset, isEnd) => {
+      const entry = block.nodes.findLast(n => (isEnd ? n.start < offset : n.start <= offset)) || block.nodes[0];
+      return [entry.node, Math.min(offset - entry.start + (entry.from || 0), entry.node.nodeValue.length)];
+    };
+    try {
+      const range = document.createRange();
+      range.setStart(...locate(start, false));
+      range.setEnd(...locate(end, true));
+      return range;
+    } catch (e) {
+      return null;                         // the page changed the text under us
+    }
+  }
+
+  function isOnScreen(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight && rect.height > 0;
+  }
+
+  function setSpeechHighlight(name, range) {
+    if (!window.CSS?.highlights || typeof Highlight !== 'function') return;
+    if (range) CSS.highlights.set(name, new Highlight(range));
+    else CSS.highlights.delete(name);
+  }
+
+  function speechCss() {
+    return `
+::highlight(${SPEECH_SENTENCE}) { background-color: rgba(255, 213, 79, 0.35); }
+::highlight(${SPEECH_WORD}) { background-color: #ffd54f; color: #000000; }
+`;
+  }
+
+  function buildSpeechBar() {
+    const host = document.createElement('div');
+    host.id = SPEECH_BAR_ID;
+    host.setAttribute('role', 'toolbar');
+    host.setAttribute('aria-label', 'AURA read aloud');
+    host.style.cssText = 'all: initial; position: fixed; right: 16px; bottom: 16px; z-index: 2147483646;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .bar { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; max-width: 420px; padding: 8px 10px; border-radius: 10px; background: #1f2937; color: #fff; font: 14px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3); }
+        .hint { flex-basis: 100%; font-size: 12px; color: #d1d5db; }
+        button { min-height: 32px; padding: 4px 10px; border: 1px solid #4b5563; border-radius: 6px; background: #374151; color: #fff; font: inherit; cursor: pointer; }
+        button:hover { background: #4b5563; }
+        button:focus-visible { outline: 3px solid #ffd54f; outline-offset: 2px; }
+      </style>
+      <div class="bar">
+        <button type="button" data-action="pause">Pause</button>
+        <button type="button" data-action="sentence">Skip sentence</button>
+        <button type="button" data-action="section">Skip section</button>
+        <button type="button" data-action="stop">Stop</button>
+        <span class="hint">Click any paragraph to read from there.</span>
+      </div>`;
+    speech.parts = { pause: shadow.querySelector('[data-action="pause"]') };
+    shadow.addEventListener('click', (e) => {
+      const action = e.target.closest?.('button')?.dataset.action;
+      if (action === 'pause') toggleSpeechPause();
+      else if (action === 'sentence') skipSpeech('sentence');
+      else if (action === 'section') skipSpeech('section');
+      else if (action === 'stop') stopSpeech();
+    });
+    return host;
+  }
+
+  function speechControl(action) {
+    try {
+      chrome.runtime.sendMessage({ type: 'AURA_TTS_CONTROL', action }, () => void chrome.runtime.lastError);
+    } catch (e) { /* extension reloaded */ }
+  }
+
+  function speakCurrent() {
+    while (speech.block < speech.blocks.length) {
+      const block = prepareSpeechBlock(speech.blocks[speech.block]);
+      const sentence = block.sentences[speech.sentence];
+      if (sentence) {
+        const id = ++speech.utterance;
+        setSpeechHighlight(SPEECH_WORD, null);
+        setSpeechHighlight(SPEECH_SENTENCE, speechRange(block, sentence.start, sentence.end));
+        if (!isOnScreen(block.el)) {
+          const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+          block.el.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+        }
+        chrome.runtime.sendMessage({ type: 'AURA_TTS_SPEAK', id, text: block.text.slice(sentence.start, sentence.end) }, (resp) => {
+          if (chrome.runtime.lastError || !resp?.ok) {
+            if (id !== speech.utterance) return;
+            showAuraToast(`Read aloud: ${resp?.error || 'speech is not available'}`);
+            stopSpeech();
+          }
+        });
+        return;
+      }
+      speech.block++;
+      speech.sentence = 0;
+    }
+    stopSpeech();                          // end of the content
+  }
+
+  function onSpeechEvent(id, event) {
+    if (!speech.host || id !== speech.utterance) return;
+    if (event.type === 'word') {
+      const block = speech.blocks[speech.block];
+      const sentence = block.sentences[speech.sentence];
+      const start = sentence.start + event.charIndex;
+      // Not every voice reports the word length
+      const length = event.length || (/^\S+/.exec(block.text.slice(start))?.[0].length ?? 0);
+      setSpeechHighlight(SPEECH_WORD, length ? speechRange(block, start, Math.min(start + length, sentence.end)) : null);
+    } else if (event.type === 'end') {
+      speech.sentence++;
+      speakCurrent();
+    } else if (event.type === 'error') {
+      showAuraToast(`Read aloud: ${event.errorMessage || 'the voice reported an error'}`);
+      stopSpeech();
+    }
+  }
+
+  function toggleSpeechPause() {
+    speech.paused = !speech.paused;
+    speechControl(speech.paused ? 'pause' : 'resume');
+    speech.parts.pause.textContent = speech.paused ? 'Resume' : 'Pause';
+  }
+
+  function skipSpeech(unit) {
+    if (unit === 'sentence') {
+      speech.sentence++;
+    } else {
+      const next = speech.blocks.findIndex((b, i) => i > speech.block && b.type === 'heading');
+      speech.block = next === -1 ? speech.blocks.length : next;
+      speech.sentence = 0;
+    }
+    clearSpeechPause();
+    speakCurrent();
+  }
+
+  function clearSpeechPause() {
+    if (!speech.paused) return;
+    speech.paused = false;
+    speechControl('resume');
+    speech.parts.pause.textContent = 'Pause';
+  }
+
+  // Block and sentence under a point of the page, for click-to-start
+  function speechPositionAt(target, x, y) {
+    const index = speech.blocks.findIndex(b => b.el.contains(target));
+    if (index === -1) return null;
+    const block = prepareSpeechBlock(speech.blocks[index]);
+    const caret = document.caretRangeFromPoint?.(x, y);
+    const entry = caret && block.nodes.find(n => n.node === caret.startContainer);
+    const offset = entry ? entry.start + Math.max(0, caret.startOffset - (entry.from || 0)) : 0;
+    const sentence = Math.max(0, block.sentences.findIndex(s => offset < s.end));
+    return { block: index, sentence };
+  }
+
+  function onSpeechClick(e) {
+    if (!e.isTrusted || !(e.target instanceof Element) || e.target.closest(`#${SPEECH_BAR_ID}`)) return;
+    if (e.target.closest('a[href], button, input, select, textarea, summary, label, [role="button"]')) return;
+    const position = speechPositionAt(e.target, e.clientX, e.clientY);
+    if (!position) return;
+    Object.assign(speech, position);
+    clearSpeechPause();
+    speakCurrent();
+  }
+
+  function speechBlocks() {
+    const root = reader.host?.querySelector(':scope > article') || findMainContentRoot();
+    if (!root) return [];
+    const seen = new Set();
+    return collectContentBlocks(root).filter((b) => {
+      if (!SPEECH_BLOCK_TYPES.has(b.type) || seen.has(b.el)) return false;
+      seen.add(b.el);
+      return true;
+    }).map(b => ({ el: b.el, type: b.type }));
+  }
+
+  // Starts at the first block on screen, so reading picks up where the user is;
+  // options.range reads just that range (the selection popup's Read aloud)
+  function startSpeech(options = {}) {
+    if (speech.host) return { ok: true, reading: true };
+    let blocks;
+    if (options.range) {
+      const el = options.range.commonAncestorContainer;
+      blocks = [{ el: el.nodeType === Node.ELEMENT_NODE ? el : el.parentElement, type: 'para', ...rangeTextMap(options.range) }];
+    } else {
+      blocks = speechBlocks();
+    }
+    if (!blocks.length) return { ok: false, error: 'No text found to read on this page' };
+    const visible = options.range ? 0 : blocks.findIndex(b => isOnScreen(b.el));
+
+    let style = document.getElementById(SPEECH_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = SPEECH_STYLE_ID;
+      document.documentElement.appendChild(style);
+    }
+    style.textContent = speechCss();
+    Object.assign(speech, { blocks, block: Math.max(0, visible), sentence: 0, paused: false });
+    speech.host = buildSpeechBar();
+    document.documentElement.appendChild(speech.host);
+    speech.listeners = new AbortController();
+    const { signal } = speech.listeners;
+    document.addEventListener('click', onSpeechClick, { capture: true, signal });
+    window.addEventListener('pagehide', stopSpeech, { signal });
+    speakCurrent();
+    return { ok: true, reading: true };
+  }
+
+  function stopSpeech() {
+    if (!speech.host) return { ok: true, reading: false };
+    speechControl('stop');
+    speech.listeners.abort();
+    speech.host.remove();
+    document.getElementById(SPEECH_STYLE_ID)?.remove();
+    setSpeechHighlight(SPEECH_WORD, null);
+    setSpeechHighlight(SPEECH_SENTENCE, null);
+    Object.assign(speech, { host: null, parts: null, listeners: null, blocks: [], block: 0, sentence: 0, paused: false });
+    speech.utterance++;
+    return { ok: true, reading: false };
+  }
+
+  function toggleSpeech() {
+    return speech.host ? stopSpeech() : startSpeech();
+  }
+
+  // --- Rewrite history: simplified and translated passages ---
+  // A rewrite moves the original nodes out of the page and wraps the new text in
+  // <span data-aura-rewrite>, so each passage can be flipped back and forth, the last change
+  // undone, or every change on the page reverted. The wrapper is marked with a faint
+  // underline and a small toggle button.
+  const REWRITE_ATTR = 'data-aura-rewrite';
+  const REWRITE_TEXT_ATTR = 'data-aura-rewrite-text';
+  const REWRITE_STYLE_ID = 'aura-rewrite-style';
+  const rewrites = [];                     // { id, kind, wrapper, text, toggle, hidden, showingOriginal }, oldest first
+  let rewriteSeq = 0;
+
+  function ensureRewriteStyle() {
+    if (document.getElementById(REWRITE_STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = REWRITE_STYLE_ID;
+    style.textContent = `
+[${REWRITE_TEXT_ATTR}] { background-image: linear-gradient(to top, rgba(75, 108, 255, 0.35) 2px, transparent 2px) !important; }
+[${REWRITE_ATTR}][data-aura-showing="original"] > [${REWRITE_TEXT_ATTR}] { background-image: linear-gradient(to top, rgba(100, 116, 139, 0.35) 2px, transparent 2px) !important; }
+`;
+    document.documentElement.appendChild(style);
+  }
+
+  function rewriteToggleLabel(entry) {
+    return entry.showingOriginal ? `Show ${entry.kind} text` : 'Show original text';
+  }
+
+  function buildRewriteToggle(entry) {
+    const host = document.createElement('span');
+    host.setAttribute('data-aura-rewrite-toggle', '');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        button { all: initial; display: inline-block; margin-left: 4px; padding: 0 5px; border-radius: 999px; border: 1px solid rgba(75, 108, 255, 0.5); background: rgba(238, 240, 255, 0.9); color: #1e3a8a; font: 600 11px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; cursor: pointer; vertical-align: middle; }
+        button:focus-visible { outline: 2px solid #4b6cff; outline-offset: 1px; }
+      </style>
+      <button type="button">⇄</button>`;
+    const button = shadow.querySelector('button');
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleRewrite(entry.id);
+    });
+    entry.button = button;
+    return host;
+  }
+
+  function syncRewriteToggle(entry) {
+    const label = rewriteToggleLabel(entry);
+    entry.button.setAttribute('aria-label', label);
+    entry.button.title = label;
+    entry.wrapper.setAttribute('data-aura-showing', entry.showingOriginal ? 'original' : 'rewritten');
+  }
+
+  // Elements without a computed display (not rendered) count as inline
+  function isInlineElement(el) {
+    return /^(inline.*|contents|)$/.test(getComputedStyle(el).display);
+  }
+
+  // Elements the range only partly covers at one end, outermost first. extractContents() leaves
+  // them in the page holding the rest of their text and takes copies holding the covered part.
+  function splitChain(range, atStart) {
+    const container = atStart ? range.startContainer : range.endContainer;
+    const chain = [];
+    for (let el = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+      el && el !== range.commonAncestorContainer && !el.contains(atStart ? range.endContainer : range.startContainer);
+      el = el.parentElement) {
+      chain.unshift(el);
+    }
+    return chain;
+  }
+
+  // A rewrite stays inside one block, so the wrapper <span> never holds paragraphs. A
+  // triple-clicked paragraph ends at the start of the next block and is trimmed back to its own.
+  function rewritableRange(range) {
+    let result = range.cloneRange();
+    if (result.endOffset === 0 && !result.collapsed) {
+      let block = result.startContainer.nodeType === Node.ELEMENT_NODE ? result.startContainer : result.startContainer.parentElement;
+      while (block && isInlineElement(block)) block = block.parentElement;
+      if (block && !block.contains(result.endContainer)) result.setEnd(block, block.childNodes.length);
+    }
+    const crossesBlock = [...splitChain(result, true), ...splitChain(result, false)].some(el => !isInlineElement(el));
+    return crossesBlock ? null : result;
+  }
+
+  // Moves the copies' content back into the elements they were split from (see splitChain),
+  // starting with the outermost; atStart merges the first restored node, else the last one
+  function mergeSplit(chain, node, atStart) {
+    for (const original of chain) {
+      if (!node || node.nodeType !== Node.ELEMENT_NODE || node.nodeName !== original.nodeName || !original.isConnected) return;
+      const next = atStart ? node.firstChild : node.lastChild;
+      if (atStart) original.append(...node.childNodes);
+      else original.prepend(...node.childNodes);
+      node.remove();
+      node = next;
+    }
+  }
+
+  // Replaces range with content (a string, or nodes not yet in the page); kind names the
+  // rewrite ('simplified', 'translated', ...). Returns the history entry, or null when the range
+  // spans several blocks or could not be replaced.
+  function recordRewrite(range, content, kind) {
+    try {
+      range = rewritableRange(range);
+      if (!range) return null;
+      ensureRewriteStyle();
+      const entry = { id: ++rewriteSeq, kind, showingOriginal: false, startChain: splitChain(range, true), endChain: splitChain(range, false) };
+      entry.hidden = range.extractContents();  // whichever version is not on screen
+      entry.wrapper = document.createElement('span');
+      entry.wrapper.setAttribute(REWRITE_ATTR, String(entry.id));
+      entry.text = document.createElement('span');
+      entry.text.setAttribute(REWRITE_TEXT_ATTR, '');
+      if (typeof content === 'string') entry.text.textContent = content;
+      else entry.text.append(...content);
+      entry.wrapper.append(entry.text, buildRewriteToggle(entry));
+      range.insertNode(entry.wrapper);
+      syncRewriteToggle(entry);
+      rewrites.push(entry);
+      return entry;
+    } catch (e) {
+      safeWarn('AURA rewrite: could not replace the range', e);
+      return null;
+    }
+  }
+
+  function findRewrite(id) {
+    return id === undefined ? rewrites[rewrites.length - 1] : rewrites.find(r => r.id === id);
+  }
+
+  function toggleRewrite(id) {
+    const entry = findRewrite(id);
+    if (!entry?.wrapper.isConnected) return false;
+    const shown = document.createDocumentFragment();
+    shown.append(...entry.text.childNodes);
+    entry.text.append(entry.hidden);
+    entry.hidden = shown;
+    entry.showingOriginal = !entry.showingOriginal;
+    syncRewriteToggle(entry);
+    return true;
+  }
+
+  // Puts the original nodes back in place of the wrapper (the last rewrite when id is omitted),
+  // rejoining elements the rewrite split, and returns a range over them; null when there is
+  // nothing to undo
+  function undoRewrite(id) {
+    const entry = findRewrite(id);
+    if (!entry) return null;
+    if (!entry.showingOriginal) toggleRewrite(entry.id);
+    rewrites.splice(rewrites.indexOf(entry), 1);
+    if (!entry.wrapper.isConnected) return null;   // the page removed the passage itself
+    const nodes = [...entry.text.childNodes];
+    // Markers at the innermost ends of the restored text travel with it while it is merged
+    const marks = [document.createTextNode(''), document.createTextNode('')];
+    const innermost = (chain, atStart) => {
+      let node = atStart ? nodes[0] : nodes[nodes.length - 1];
+      for (let i = 0; i < chain.length && node?.nodeType === Node.ELEMENT_NODE; i++) {
+        if (i === chain.length - 1) return node;
+        node = atStart ? node.firstChild : node.lastChild;
+      }
+      return null;
+    };
+    const first = entry.startChain.length ? innermost(entry.startChain, true) : null;
+    const last = entry.endChain.length ? innermost(entry.endChain, false) : null;
+    entry.wrapper.replaceWith(...(first ? [] : [marks[0]]), ...nodes, ...(last ? [] : [marks[1]]));
+    if (first) first.prepend(marks[0]);
+    if (last) last.append(marks[1]);
+    mergeSplit(entry.startChain, nodes[0], true);
+    mergeSplit(entry.endChain, nodes[nodes.length - 1], false);
+    const range = document.createRange();
+    range.setStartAfter(marks[0]);
+    range.setEndBefore(marks[1]);
+    marks.forEach(mark => mark.remove());
+    return range;
+  }
+
+  function revertAllRewrites() {
+    let count = 0;
+    while (rewrites.length) {
+      if (undoRewrite()) count++;
+    }
+    document.getElementById(REWRITE_STYLE_ID)?.remove();
+    return count;
+  }
+
+  // --- Inline markup as numbered placeholders (aura-server /simplify and /translate) ---
+  // A block's text is sent with its inline elements replaced by placeholders: <0>link text</0>,
+  // or <1/> for an image, a nested block or anything kept verbatim. The server only returns
+  // passages whose placeholders are intact, and decodeSegment rebuilds the block from them.
+  const PLACEHOLDER_RE = /<(\/?)(\d+)(\/?)>/g;
+  const INLINE_MARKUP_TAGS = new Set(['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS', 'LABEL', 'MARK', 'Q', 'S', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U']);
+  // Kept as they are, with everything inside them (code, form fields, translate="no", AURA's own UI)
+  const VERBATIM_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'textarea', 'select', 'code', 'kbd', 'samp', 'pre', 'svg', 'math', 'canvas', 'iframe',
+    '[translate="no"]', '.notranslate', '[contenteditable]:not([contenteditable="false"])', '[id^="aura-"]', '[data-aura-rewrite-toggle]'
+  ].join(', ');
+
+  // Segment text is plain text plus placeholders, so the two characters that read as markup are escaped
+  function escapeSegmentText(str) { return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;'); }
+  function unescapeSegmentText(str) { return String(str).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'); }
+
+  // { block, text, elements }: elements[n] is the node behind placeholder n
+  function encodeSegment(block) {
+    const elements = [];
+    const encode = (parent) => [...parent.childNodes].map((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return escapeSegmentText(child.nodeValue);
+      if (child.nodeType !== Node.ELEMENT_NODE) return '';
+      const n = elements.push(child) - 1;
+      const inline = INLINE_MARKUP_TAGS.has(child.nodeName) && !child.shadowRoot && !child.matches(VERBATIM_SELECTOR);
+      return inline && child.hasChildNodes() ? `<${n}>${encode(child)}</${n}>` : `<${n}/>`;
+    }).join('');
+    return { block, text: encode(block).replace(/\s+/g, ' ').trim(), elements };
+  }
+
+  // [[element, newChildren]] for the block and every element that wraps text, or null when the
+  // placeholders in text do not nest the way they were sent
+  function decodeSegment(segment, text) {
+    const frames = [{ el: segment.block, nodes: [] }];
+    const changes = [];
+    const used = new Set();
+    const addText = (str) => {
+      if (str) frames[frames.length - 1].nodes.push(document.createTextNode(unescapeSegmentText(str)));
+    };
+    let last = 0;
+    for (const m of text.matchAll(PLACEHOLDER_RE)) {
+      addText(text.slice(last, m.index));
+      last = m.index + m[0].length;
+      const el = segment.elements[Number(m[2])];
+      if (!el) return null;
+      if (m[1]) {
+        const frame = frames.pop();
+        if (frame.el !== el || !frames.length) return null;
+        changes.push([el, frame.nodes]);
+        frames[frames.length - 1].nodes.push(el);
+        continue;
+      }
+      if (used.has(el)) return null;
+      used.add(el);
+      if (m[3]) frames[frames.length - 1].nodes.push(el);
+      else frames.push({ el, nodes: [] });
+    }
+    addText(text.slice(last));
+    if (frames.length !== 1 || used.size !== segment.elements.length) return null;
+    changes.push([segment.block, frames[0].nodes]);
+    return changes;
+  }
+
+  function applyChildren(changes) {
+    changes.forEach(([el, nodes]) => el.replaceChildren(...nodes));
+  }
+
+  // --- Simplification through aura-server /simplify (profile option readingLevel) ---
+  const SIMPLIFY_URL = 'http://127.0.0.1:3000/simplify';
+  const SIMPLIFY_MAX_PASSAGE_CHARS = 2000;     // the server's per-passage and per-request limits
+  const SIMPLIFY_MAX_REQUEST_CHARS = 8000;
+  const SIMPLIFY_MAX_PASSAGES = 20;
+
+  // passages: [{ id, text }] -> Map id -> simplified text (passages the model skipped are missing).
+  // A TypeError means the server could not be reached.
+  async function requestSimplified(passages, signal) {
+    const resp = await fetch(SIMPLIFY_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        passages,
+        level: currentProfile?.readingLevel || 'B1',
+        pageInfo: { url: location.href, title: document.title }
+      }),
+      signal
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(json.details || json.error || `Proxy error ${resp.status}`);
+    return new Map((Array.isArray(json.passages) ? json.passages : []).map(p => [p.id, p.text]));
+  }
+
+  // Splits text into passages of at most maxChars: paragraphs, with long ones cut at sentence ends
+  function textPassages(text, maxChars) {
+    const passages = [];
+    for (const paragraph of String(text || '').split(/\n\s*\n/).map(normalizeSpace).filter(Boolean)) {
+      let current = '';
+      for (const sentence of paragraph.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [paragraph]) {
+        if (current && current.length + sentence.length > maxChars) {
+          passages.push(current.trim());
+          current = '';
+        }
+        current += sentence;
+      }
+      if (current.trim()) passages.push(current.trim().slice(0, maxChars));
+    }
+    return passages.map((passage, i) => ({ id: `p${i + 1}`, text: passage }));
+  }
+
+  // --- Simplify this page: sections rewritten in place, the one on screen first ---
+  // Every paragraph goes through the rewrite history, so the popup's Undo / Revert page and
+  // the per-passage toggles work as for selections. Links and emphasis travel as placeholders,
+  // so the simplified paragraph keeps them. Paragraphs carry a data-aura-simplify marker
+  // (pending, working, done) while the page is being worked through.
+  const SIMPLIFY_PANEL_ID = 'aura-simplify-progress';
+  const SIMPLIFY_STYLE_ID = 'aura-simplify-style';
+  const SIMPLIFY_STATE_ATTR = 'data-aura-simplify';
+  const SIMPLIFY_MIN_CHARS = 40;               // skips bylines, captions and other fragments
+
+  const pageSimplify = { running: false, controller: null, host: null, parts: null, sections: [], done: 0, rewritten: 0 };
+
+  function simplifyCss() {
+    return `
+[${SIMPLIFY_STATE_ATTR}="pending"] { box-shadow: -4px 0 0 rgba(148, 163, 184, 0.6) !important; }
+[${SIMPLIFY_STATE_ATTR}="working"] { box-shadow: -4px 0 0 #4b6cff !important; }
+[${SIMPLIFY_STATE_ATTR}="done"] { box-shadow: -4px 0 0 #16a34a !important; }
+`;
+  }
+
+  // [{ paras: [el] }] split at headings; paragraphs already rewritten are left alone
+  function pageSimplifySections() {
+    const root = reader.host?.querySelector(':scope > article') || findMainContentRoot();
+    if (!root) return [];
+    const sections = [{ paras: [] }];
+    const seen = new Set();
+    for (const block of collectContentBlocks(root)) {
+      if (block.type === 'heading') {
+        if (sections[sections.length - 1].paras.length) sections.push({ paras: [] });
+        continue;
+      }
+      if (block.type !== 'para' || block.inline || seen.has(block.el)) continue;
+      seen.add(block.el);
+      if (block.text.length < SIMPLIFY_MIN_CHARS || block.text.length > SIMPLIFY_MAX_PASSAGE_CHARS) continue;
+      if (block.el.closest(`[${REWRITE_ATTR}]`) || block.el.querySelector(`[${REWRITE_ATTR}]`)) continue;
+      sections[sections.length - 1].paras.push(block.el);
+    }
+    return sections.filter(s => s.paras.length);
+  }
+
+  // Sections on screen or below first (top down), then the ones above (nearest first)
+  function inViewOrder(sections) {
+    const top = (s) => s.paras[0].getBoundingClientRect().bottom;
+    const ahead = sections.filter(s => top(s) > 0);
+    const behind = sections.filter(s => top(s) <= 0).reverse();
+    return [...ahead, ...behind];
+  }
+
+  function markSection(section, state) {
+    section.paras.forEach(el => (state ? el.setAttribute(SIMPLIFY_STATE_ATTR, state) : el.removeAttribute(SIMPLIFY_STATE_ATTR)));
+  }
+
+  // Fixed status panel with a progress bar and a Stop button, for work through the whole page
+  function buildProgressPanel(id, onStop) {
+    const host = document.createElement('div');
+    host.id = id;
+    host.style.cssText = 'all: initial; position: fixed; left: 16px; bottom: 16px; z-index: 2147483646;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .panel { display: flex; align-items: center; gap: 10px; padding: 8px 12px; border-radius: 10px; background: #1f2937; color: #fff; font: 14px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3); }
+        progress { width: 120px; accent-color: #16a34a; }
+        button { min-height: 30px; padding: 4px 10px; border: 1px solid #4b5563; border-radius: 6px; background: #374151; color: #fff; font: inherit; cursor: pointer; }
+        button:focus-visible { outline: 3px solid #ffd54f; outline-offset: 2px; }
+      </style>
+      <div class="panel">
+        <span class="label" role="status"></span>
+        <progress max="1" value="0"></progress>
+        <button type="button">Stop</button>
+      </div>`;
+    shadow.querySelector('button').addEventListener('click', () => onStop());
+    return { host, label: shadow.querySelector('.label'), progress: shadow.querySelector('progress') };
+  }
+
+  function updateSimplifyPanel() {
+    const { label, progress } = pageSimplify.parts;
+    const total = pageSimplify.sections.length;
+    label.textContent = `Simplifying page: ${pageSimplify.done} of ${total} sections done`;
+    progress.max = total;
+    progress.value = pageSimplify.done;
+  }
+
+  // Batches of encoded paragraphs within the server's request limits
+  function simplifyBatches(segments) {
+    const batches = [[]];
+    let size = 0;
+    for (const segment of segments) {
+      const batch = batches[batches.length - 1];
+      if (batch.length && (batch.length >= SIMPLIFY_MAX_PASSAGES || size + segment.text.length > SIMPLIFY_MAX_REQUEST_CHARS)) {
+        batches.push([segment]);
+        size = segment.text.length;
+      } else {
+        batch.push(segment);
+        size += segment.text.length;
+      }
+    }
+    return batches;
+  }
+
+  // The simplified paragraph as new nodes, with copies of its links and other inline elements
+  // around the new text; the originals stay untouched in the rewrite history
+  function simplifiedNodes(segment, text) {
+    const holder = document.createElement('span');
+    const changes = decodeSegment({ block: holder, elements: segment.elements.map(el => el.cloneNode(true)) }, text);
+    if (!changes) return null;
+    applyChildren(changes);
+    return [...holder.childNodes];
+  }
+
+  async function runPageSimplify() {
+    const { signal } = pageSimplify.controller;
+    for (const section of pageSimplify.sections) {
+      markSection(section, 'working');
+      const segments = section.paras.map(encodeSegment).filter(s => s.text.length <= SIMPLIFY_MAX_PASSAGE_CHARS);
+      for (const batch of simplifyBatches(segments)) {
+        const passages = batch.map((segment, i) => ({ id: `p${i + 1}`, text: segment.text }));
+        const results = await requestSimplified(passages, signal);
+        if (signal.aborted) return;
+        batch.forEach((segment, i) => {
+          const text = results.get(`p${i + 1}`);
+          const nodes = text && segment.block.isConnected ? simplifiedNodes(segment, text) : null;
+          if (!nodes) return;
+          const range = document.createRange();
+          range.selectNodeContents(segment.block);
+          if (recordRewrite(range, nodes, 'simplified')) pageSimplify.rewritten++;
+        });
+      }
+      markSection(section, 'done');
+      pageSimplify.done++;
+      updateSimplifyPanel();
+    }
+  }
+
+  function startPageSimplify() {
+    if (pageSimplify.running) return { ok: true, simplifying: true };
+    const sections = inViewOrder(pageSimplifySections());
+    if (!sections.length) return { ok: false, error: 'No paragraphs left to simplify on this page' };
+
+    let style = document.getElementById(SIMPLIFY_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = SIMPLIFY_STYLE_ID;
+      document.documentElement.appendChild(style);
+    }
+    style.textContent = simplifyCss();
+    sections.forEach(s => markSection(s, 'pending'));
+    Object.assign(pageSimplify, { running: true, controller: new AbortController(), sections, done: 0, rewritten: 0 });
+    const panel = buildProgressPanel(SIMPLIFY_PANEL_ID, stopPageSimplify);
+    Object.assign(pageSimplify, { host: panel.host, parts: panel });
+    document.documentElement.appendChild(pageSimplify.host);
+    updateSimplifyPanel();
+
+    runPageSimplify().then(() => {
+      if (!pageSimplify.running) return;
+      const count = pageSimplify.rewritten;
+      stopPageSimplify();
+      showAuraToast(`Page simplified: ${count} ${count === 1 ? 'paragraph' : 'paragraphs'}. Undo from the AURA popup.`);
+    }).catch((err) => {
+      if (!pageSimplify.running) return;
+      safeWarn('AURA simplify page: stopped', err);
+      stopPageSimplify();
+      showAuraToast(err instanceof TypeError
+        ? 'Simplify page: could not reach the AURA server at localhost:3000'
+        : `Simplify page: ${err.message}`);
+    });
+    return { ok: true, simplifying: true };
+  }
+
+  // Paragraphs already rewritten stay simplified; the rest keep their original text
+  function stopPageSimplify() {
+    if (!pageSimplify.running) return { ok: true, simplifying: false };
+    pageSimplify.controller.abort();
+    pageSimplify.sections.forEach(s => markSection(s, null));
+    pageSimplify.host?.remove();
+    document.getElementById(SIMPLIFY_STYLE_ID)?.remove();
+    Object.assign(pageSimplify, { running: false, controller: null, host: null, parts: null, sections: [], done: 0 });
+    return { ok: true, simplifying: false };
+  }
+
+  function togglePageSimplify() {
+    return pageSimplify.running ? stopPageSimplify() : startPageSimplify();
+  }
+
+  // --- Translation through aura-server /translate (profile option translateLanguage) ---
+  const TRANSLATE_URL = 'http://127.0.0.1:3000/translate';
+  const TRANSLATE_MAX_SEGMENT_CHARS = 2000;    // the server's per-segment and per-request limits
+  const TRANSLATE_MAX_REQUEST_CHARS = 8000;
+  const TRANSLATE_MAX_SEGMENTS = 40;
 
-      const head = document.head || document.getElementsByTagName('head')[0] || document.documentElement;
-      head.appendChild(style);
-      safeLog('AURA content: applied global style');
-    } catch (e) {
-      safeWarn('AURA content: injectGlobalStyle error', e);
-    }
+  function translateTarget() {
+    return currentProfile?.translateLanguage || AuraLanguages.browserLanguage();
   }
 
-  function injectIntoShadowRoots(profile) {
-    try {
-      if (!profile) return;
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_ELEMENT,
-        {
-          acceptNode: (node) => node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP
-        }
-      );
+  // segments: [{ id, text }] -> Map id -> translated text (segments the server rejected are missing).
+  // A TypeError means the server could not be reached.
+  async function requestTranslated(segments, target, signal) {
+    const resp = await fetch(TRANSLATE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ segments, target, pageInfo: { url: location.href, title: document.title } }),
+      signal
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(json.details || json.error || `Proxy error ${resp.status}`);
+    return new Map((Array.isArray(json.segments) ? json.segments : []).map(s => [s.id, s.text]));
+  }
 
-      const roots = [];
-      let node;
-      while ((node = walker.nextNode())) {
-        if (node.shadowRoot) roots.push(node.shadowRoot);
+  // --- Translate this page: text rewritten in place, links and layout kept ---
+  // Each block (paragraph, heading, list item, table cell, button...) is one segment, with its
+  // inline elements replaced by numbered placeholders: <0>link text</0>, or <1/> for an image,
+  // a nested block or anything left untranslated. The answer is rebuilt from the same element
+  // nodes, so links, their listeners and the layout survive and only text nodes are new. Every
+  // changed element keeps its original children, so the page can be switched between the
+  // translation and the original without asking the server again.
+  const TRANSLATE_PANEL_ID = 'aura-translate-progress';
+
+  const pageTranslation = { running: false, controller: null, panel: null, target: '', segments: [], done: 0, entries: [], showingOriginal: false };
+
+  // Elements with text of their own (not counting nested blocks), in document order
+  function translationBlocks() {
+    const blocks = new Set();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (node.nodeType === Node.ELEMENT_NODE) return node.matches(VERBATIM_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        return /\S/.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
       }
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      let block = node.parentElement;
+      while (INLINE_MARKUP_TAGS.has(block.nodeName) && block.parentElement && block !== document.body) block = block.parentElement;
+      blocks.add(block);
+    }
+    return [...blocks];
+  }
 
-      const css = buildCSS(profile);
-      roots.forEach(root => {
-        if (!root) return;
-        if (root.querySelector(`#${SHADOW_STYLE_ID}`)) return;
-        try {
-          const style = document.createElement('style');
-          style.id = SHADOW_STYLE_ID;
-          style.appendChild(document.createTextNode(css));
-          root.appendChild(style);
-        } catch (ee) {
-          safeWarn('AURA content: injectIntoShadowRoots append error', ee);
-        }
-      });
+  function applyTranslatedSegment(segment, text) {
+    const { block, elements } = segment;
+    if (!block.isConnected || !elements.every(el => block.contains(el))) return false;
+    const changes = decodeSegment(segment, text);
+    if (!changes) return false;
+    const entry = { block, lang: block.getAttribute('lang'), original: changes.map(([el]) => [el, [...el.childNodes]]), translated: changes };
+    applyChildren(changes);
+    block.setAttribute('lang', pageTranslation.target);
+    pageTranslation.entries.push(entry);
+    return true;
+  }
 
-      safeLog('AURA content: injected into shadow roots');
-    } catch (e) {
-      safeWarn('AURA content: injectIntoShadowRoots error', e);
+  function showTranslation(original) {
+    for (const entry of pageTranslation.entries) {
+      if (!entry.block.isConnected) continue;
+      applyChildren(original ? entry.original : entry.translated);
+      if (!original) entry.block.setAttribute('lang', pageTranslation.target);
+      else if (entry.lang === null) entry.block.removeAttribute('lang');
+      else entry.block.setAttribute('lang', entry.lang);
     }
+    pageTranslation.showingOriginal = original;
   }
 
-  function removeInjectedStyles() {
-    try {
-      document.getElementById(STYLE_ID)?.remove();
-      document.querySelectorAll(`#${SHADOW_STYLE_ID}`).forEach(el => el.remove());
-      safeLog('AURA content: removed injected styles');
-    } catch (e) { safeWarn('AURA content: removeInjectedStyles', e); }
+  // 'none', 'running', 'translated' or 'original'
+  function translationState() {
+    if (pageTranslation.running) return 'running';
+    if (!pageTranslation.entries.length) return 'none';
+    return pageTranslation.showingOriginal ? 'original' : 'translated';
   }
 
-  // ---------- Updated applyProfileToDocument (drop-in replacement) ----------
-  function applyProfileToDocument(profile) {
-    if (!profile) return;
-    currentProfile = profile;
-    try {
-      try { document.getElementById(STYLE_ID)?.remove(); } catch (e) { /* ignore */ }
-      try { document.querySelectorAll(`#${SHADOW_STYLE_ID}`).forEach(el => el.remove()); } catch (e) { /* ignore */ }
+  function translationStatus() {
+    return { ok: true, translation: translationState(), language: AuraLanguages.name(pageTranslation.target || translateTarget()) };
+  }
 
-      if (!isEnabled) {
-        safeLog('AURA content: applyProfileToDocument skipped (disabled)');
-        return;
-      }
+  // Blocks on screen or below first (top down), then the ones above (nearest first)
+  function blocksInViewOrder(blocks) {
+    const bottoms = new Map(blocks.map(el => [el, el.getBoundingClientRect().bottom]));
+    return [...blocks.filter(el => bottoms.get(el) > 0), ...blocks.filter(el => bottoms.get(el) <= 0).reverse()];
+  }
 
-      Promise.resolve().then(() => {
-        try {
-          try {
-            if (profile && profile.fontFamily && profile.fontFamily.toLowerCase().includes('opendyslexic')) {
-              injectExtensionFontFaces();
-            }
-          } catch (e) { /* ignore */ }
+  // Batches of segments within the server's request limits
+  function translateBatches(segments) {
+    const batches = [[]];
+    let size = 0;
+    for (const segment of segments) {
+      const batch = batches[batches.length - 1];
+      if (batch.length && (batch.length >= TRANSLATE_MAX_SEGMENTS || size + segment.text.length > TRANSLATE_MAX_REQUEST_CHARS)) {
+        batches.push([segment]);
+        size = segment.text.length;
+      } else {
+        batch.push(segment);
+        size += segment.text.length;
+      }
+    }
+    return batches;
+  }
 
-          injectGlobalStyle(profile);
+  function updateTranslatePanel() {
+    const { label, progress } = pageTranslation.panel;
+    const total = pageTranslation.segments.length;
+    label.textContent = `Translating into ${AuraLanguages.name(pageTranslation.target)}: ${pageTranslation.done} of ${total} blocks`;
+    progress.max = total;
+    progress.value = pageTranslation.done;
+  }
 
-          setTimeout(() => {
-            try {
-              injectIntoShadowRoots(profile);
-            } catch (e) {
-              safeWarn('AURA content: injectIntoShadowRoots error', e);
-            }
-          }, 40);
-        } catch (e) {
-          safeWarn('AURA content: injectGlobalStyle/injectIntoShadowRoots error', e);
-        }
+  async function runPageTranslation() {
+    const { signal } = pageTranslation.controller;
+    for (const batch of translateBatches(pageTranslation.segments)) {
+      const segments = batch.map((segment, i) => ({ id: `s${i + 1}`, text: segment.text }));
+      const results = await requestTranslated(segments, pageTranslation.target, signal);
+      if (signal.aborted) return;
+      batch.forEach((segment, i) => {
+        const text = results.get(`s${i + 1}`);
+        if (text) applyTranslatedSegment(segment, text);
       });
-    } catch (e) {
-      safeWarn('AURA content: applyProfileToDocument error', e);
+      pageTranslation.done += batch.length;
+      updateTranslatePanel();
     }
   }
 
-  // --- Scrape sections (headings -> sections) ---
-  function scrapeSections() {
-    try {
-      const hs = [...document.querySelectorAll('h1,h2,h3')];
-      const sections = [];
-      for (let i = 0; i < hs.length; i++) {
-        const h = hs[i];
-        const start = h;
-        const end = hs[i + 1] || null;
-        let node = start.nextSibling;
-        const parts = [];
-        while (node && node !== end) {
-          if (node.nodeType === 1) {
-            const tag = node.tagName?.toLowerCase();
-            if (!['nav', 'aside', 'footer', 'script', 'style', 'noscript'].includes(tag)) {
-              parts.push(node.innerText || '');
-            }
-          } else if (node.nodeType === 3) {
-            parts.push(node.textContent || '');
-          }
-          node = node.nextSibling;
-        }
-        const text = parts.join('\n').replace(/\s+\n/g, '\n').trim();
-        if (text.length > 50) {
-          sections.push({
-            id: `sec_${i}`,
-            heading: h.innerText.trim(),
-            level: h.tagName.toLowerCase(),
-            text: text.slice(0, 8000),
-            anchor: h.id ? `#${h.id}` : null
-          });
-        }
-      }
-      return sections;
-    } catch (e) {
-      safeWarn('AURA content: scrapeSections failed', e);
-      return [];
+  function startPageTranslation() {
+    if (pageTranslation.running) return translationStatus();
+    const target = translateTarget();
+    const translated = new Set(pageTranslation.entries.map(entry => entry.block));
+    const segments = blocksInViewOrder(translationBlocks().filter(el => !translated.has(el)))
+      .map(encodeSegment)
+      .filter(s => s.text.length <= TRANSLATE_MAX_SEGMENT_CHARS && /\p{L}/u.test(s.text.replace(PLACEHOLDER_RE, '')));
+    if (!segments.length) return { ok: false, error: 'No text left to translate on this page' };
+
+    const panel = buildProgressPanel(TRANSLATE_PANEL_ID, stopPageTranslation);
+    Object.assign(pageTranslation, { running: true, controller: new AbortController(), panel, target, segments, done: 0 });
+    document.documentElement.appendChild(panel.host);
+    updateTranslatePanel();
+
+    runPageTranslation().then(() => {
+      if (!pageTranslation.running) return;
+      stopPageTranslation();
+      showAuraToast(`Page translated into ${AuraLanguages.name(target)}. Switch back to the original from the AURA popup.`);
+    }).catch((err) => {
+      if (!pageTranslation.running) return;
+      safeWarn('AURA translate page: stopped', err);
+      stopPageTranslation();
+      showAuraToast(err instanceof TypeError
+        ? 'Translate page: could not reach the AURA server at localhost:3000'
+        : `Translate page: ${err.message}`);
+    });
+    return translationStatus();
+  }
+
+  // Blocks already translated stay translated; the rest keep their original text
+  function stopPageTranslation() {
+    if (!pageTranslation.running) return translationStatus();
+    pageTranslation.controller.abort();
+    pageTranslation.panel.host.remove();
+    Object.assign(pageTranslation, { running: false, controller: null, panel: null, segments: [], done: 0 });
+    return translationStatus();
+  }
+
+  // Stops a run, flips between translation and original, or starts over when the profile's
+  // language has changed since the page was translated
+  function togglePageTranslation() {
+    if (pageTranslation.running) return stopPageTranslation();
+    if (pageTranslation.entries.length && pageTranslation.target === translateTarget()) {
+      showTranslation(!pageTranslation.showingOriginal);
+      return translationStatus();
+    }
+    if (pageTranslation.entries.length) {
+      showTranslation(true);
+      Object.assign(pageTranslation, { entries: [], showingOriginal: false });
     }
+    return startPageTranslation();
   }
 
   // ---------- Consolidated defensive message listener (handles all message types) ----------
@@ -918,10 +3932,10 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
         return true;
       }
 
-      // Run emotion filter using stored map (or fetch one if missing)
+      // Run emotion filter using stored map (or fetch one if missing); DETECT_AND_REPLACE re-queries page words
       if (msg.type === 'AURA_RUN_EMOTION_FILTER' || msg.type === 'AURA_RUN_EMOTION_REPLACE' || msg.type === 'AURA_DETECT_AND_REPLACE') {
         // run pipeline (async)
-        runEmotionReplacePipeline().then(() => {
+        runEmotionReplacePipeline({ forceDetect: msg.type === 'AURA_DETECT_AND_REPLACE' }).then(() => {
           try { sendResponse({ ok: true }); } catch (e) {}
         }).catch((err) => {
           try { sendResponse({ ok: false, error: String(err) }); } catch (e) {}
@@ -965,6 +3979,78 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
         return true;
       }
 
+      if (msg.type === 'AURA_DARK_MODE') {
+        if (msg.enabled) enableDarkTheme();
+        else disableDarkTheme();
+        sendResponse({ ok: true, active: darkTheme.active });
+        return true;
+      }
+
+      if (msg.type === 'AURA_READER_TOGGLE') {
+        const result = msg.open === undefined ? toggleReader() : msg.open ? openReader() : closeReader();
+        if (!result.ok) showAuraToast(`Focus mode: ${result.error}`);
+        sendResponse(result);
+        return true;
+      }
+
+      if (msg.type === 'AURA_READER_STATUS') {
+        sendResponse({
+          ok: true,
+          open: !!reader.host,
+          reading: !!speech.host,
+          simplifying: pageSimplify.running,
+          translation: translationState(),
+          translationLanguage: AuraLanguages.name(pageTranslation.target || translateTarget()),
+          rewrites: rewrites.length
+        });
+        return true;
+      }
+
+      if (msg.type === 'AURA_SIMPLIFY_PAGE') {
+        const result = msg.run === undefined ? togglePageSimplify() : msg.run ? startPageSimplify() : stopPageSimplify();
+        if (!result.ok) showAuraToast(`Simplify page: ${result.error}`);
+        sendResponse(result);
+        return true;
+      }
+
+      if (msg.type === 'AURA_TRANSLATE_PAGE') {
+        const result = togglePageTranslation();
+        if (!result.ok) showAuraToast(`Translate page: ${result.error}`);
+        sendResponse(result);
+        return true;
+      }
+
+      if (msg.type === 'AURA_REWRITE_UNDO') {
+        const undone = msg.all ? revertAllRewrites() : Number(!!undoRewrite());
+        sendResponse({ ok: true, undone, rewrites: rewrites.length });
+        return true;
+      }
+
+      if (msg.type === 'AURA_READ_ALOUD_TOGGLE') {
+        const result = msg.reading === undefined ? toggleSpeech() : msg.reading ? startSpeech() : stopSpeech();
+        if (!result.ok) showAuraToast(`Read aloud: ${result.error}`);
+        sendResponse(result);
+        return true;
+      }
+
+      if (msg.type === 'AURA_TTS_EVENT') {
+        onSpeechEvent(msg.id, msg.event || {});
+        sendResponse({ ok: true });
+        return true;
+      }
+
+      if (msg.type === 'AURA_PROFILE_SWITCHED') {
+        showAuraToast(`AURA profile: ${msg.name}`);
+        sendResponse({ ok: true });
+        return true;
+      }
+
+      if (msg.type === 'AURA_ELEMENT_PICKER') {
+        startElementPicker(msg.fromContextMenu ? lastContextTarget : null);
+        sendResponse({ ok: true });
+        return true;
+      }
+
       if (msg.type === 'AURA_APPLY_PROFILE') {
         try {
           applyProfileToDocument(msg.profile);
@@ -1001,6 +4087,30 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
     }
   });
 
+  // --- Toast: short status line for keyboard commands (announced by screen readers) ---
+  const TOAST_ID = 'aura-toast';
+  const TOAST_MS = 2500;
+  let toastTimer = null;
+
+  function showAuraToast(text) {
+    let toast = document.getElementById(TOAST_ID);
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = TOAST_ID;
+      toast.setAttribute('role', 'status');
+      toast.style.cssText = [
+        'all: initial', 'position: fixed', 'left: 50%', 'bottom: 24px', 'transform: translateX(-50%)',
+        'z-index: 2147483647', 'padding: 10px 16px', 'border-radius: 8px', 'background: #1f2937', 'color: #fff',
+        'font: 600 14px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+        'box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3)', 'pointer-events: none'
+      ].join('; ');
+      document.documentElement.appendChild(toast);
+    }
+    toast.textContent = text;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.remove(), TOAST_MS);
+  }
+
   // --- Side panel helpers ---
   function auraGetPanelUrl() {
     try { return chrome.runtime.getURL('sidepanel.html'); } catch (e) { return 'sidepanel.html'; }
@@ -1048,7 +4158,18 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
 
       if (!window.__aura_panel_msg_installed) {
         window.addEventListener('message', (e) => {
-          try { if (e?.data?.AURA_PANEL_CLOSE) auraCloseSidePanel(); } catch (er) { }
+          try {
+            if (e?.data?.AURA_PANEL_CLOSE) auraCloseSidePanel();
+            // Only the panel iframe may drive citation jumps
+            if (e?.data?.AURA_SHOW_CITATION && auraPanelIframe && e.source === auraPanelIframe.contentWindow) {
+              const found = showCitation(e.data.citation || {});
+              auraPanelIframe.contentWindow.postMessage({
+                AURA_CITATION_RESULT: true,
+                found,
+                heading: e.data.citation?.heading || ''
+              }, '*');
+            }
+          } catch (er) { safeWarn('AURA content: panel message error', er); }
         }, { passive: true });
         window.__aura_panel_msg_installed = true;
       }
@@ -1098,14 +4219,69 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
     } catch (e) { safeWarn('AURA MutationObserver error', e); }
   });
 
+  // --- Site rules: the global profile/enabled flag, overridden per site (see siteRules.js) ---
+  let globalProfile = null;
+  let globalEnabled = true;
+  let siteRules = [];
+  let profileLibrary = [];                 // rules name library profiles by id (profiles.js)
+
+  function effectiveSiteSettings() {
+    const rule = (typeof AuraSiteRules !== 'undefined') ? AuraSiteRules.match(siteRules, location.href) : null;
+    return {
+      rule,
+      enabled: rule ? rule.mode === 'allow' : globalEnabled,
+      profile: rule && rule.mode === 'allow' ? AuraProfiles.forSiteRule(profileLibrary, rule.profileId, globalProfile) : globalProfile
+    };
+  }
+
+  function loadSiteSettings(callback) {
+    chrome.storage.sync.get(['aura_profile', 'aura_enabled', 'aura_site_rules'], async (res) => {
+      globalProfile = res?.aura_profile || null;
+      globalEnabled = typeof res?.aura_enabled !== 'undefined' ? !!res.aura_enabled : true;
+      siteRules = AuraSiteRules.normalizeRules(res?.aura_site_rules);
+      profileLibrary = await AuraProfiles.loadLibrary();
+      callback(effectiveSiteSettings());
+    });
+  }
+
+  function applySiteSettings({ enabled, profile }) {
+    const wasEnabled = isEnabled;
+    isEnabled = enabled;
+    if (!enabled) {
+      currentProfile = profile;
+      removeInjectedStyles();
+      stopReadingRuler();
+      stopPhotosensitivityGuard();
+      stopMotorAssist();
+      refreshReaderStyle();
+      if (wasEnabled) {
+        // also stop emotion observer if running and restore original content
+        restoreReplacements();
+        uninstallEmotionMutationObserver();
+      }
+      return;
+    }
+    if (profile) applyProfileToDocument(profile);
+  }
+
+  // --- Report the OS colour scheme for the "follow system theme" night schedule (see schedule.js) ---
+  function reportSystemColorScheme() {
+    try {
+      const query = window.matchMedia('(prefers-color-scheme: dark)');
+      const report = () => chrome.storage.local.get(['aura_system_dark'], (res) => {
+        if (!!res?.aura_system_dark !== query.matches) chrome.storage.local.set({ aura_system_dark: query.matches });
+      });
+      report();
+      query.addEventListener('change', report);
+    } catch (e) { safeWarn('AURA content: reportSystemColorScheme failed', e); }
+  }
+
   // --- init: load storage and setup listeners ---
   function getCurrentProfileForPanel() {
     return new Promise((resolve) => {
       try {
         if (chrome && chrome.storage && chrome.storage.sync) {
-          chrome.storage.sync.get(['aura_profile'], (res) => {
-            resolve(res?.aura_profile || null);
-          });
+          loadSiteSettings(({ profile }) => resolve(profile || null));
         } else {
           const raw = localStorage.getItem('aura_profile');
           try { resolve(raw ? JSON.parse(raw) : null); } catch (e) { resolve(null); }
@@ -1119,38 +4295,34 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
   function init() {
     try {
       if (chrome && chrome.storage && chrome.storage.sync) {
-        chrome.storage.sync.get(['aura_profile', 'aura_enabled'], (res) => {
+        reportSystemColorScheme();
+        initCosmeticFilters();
+        chrome.runtime.sendMessage({ type: 'AURA_DARKMODE_STATUS' }, (resp) => {
+          if (chrome.runtime.lastError) return;
+          if (resp?.enabled && resp?.isNight) enableDarkTheme();
+        });
+        loadSiteSettings((settings) => {
           try {
-            isEnabled = typeof res.aura_enabled !== 'undefined' ? !!res.aura_enabled : true;
-            if (res && res.aura_profile && isEnabled) {
-              applyProfileToDocument(res.aura_profile);
-            } else if (res && res.aura_profile) {
-              currentProfile = res.aura_profile;
-            }
+            if (settings.rule) safeLog('AURA content: site rule', settings.rule.pattern, settings.rule.mode);
+            applySiteSettings(settings);
           } catch (er) { safeWarn('AURA content: storage.get callback', er); }
         });
 
         chrome.storage.onChanged.addListener((changes, area) => {
           try {
-            if (area === 'sync' && changes.aura_profile) {
-              applyProfileToDocument(changes.aura_profile.newValue);
-            }
-            if (area === 'sync' && changes.aura_enabled) {
-              const enabled = changes.aura_enabled.newValue !== false;
-              isEnabled = enabled;
-              if (!enabled) {
-                removeInjectedStyles();
-                // also stop emotion observer if running and restore original content
-                restoreReplacements();
-                uninstallEmotionMutationObserver();
-              } else if (currentProfile) {
-                applyProfileToDocument(currentProfile);
-              } else {
-                chrome.storage.sync.get(['aura_profile'], (res) => {
-                  if (res && res.aura_profile) applyProfileToDocument(res.aura_profile);
-                });
-              }
+            if (area !== 'sync') return;
+            if (Object.keys(changes).some(AuraProfiles.isLibraryKey)) {
+              // An edited or deleted library profile changes what a rule naming it applies
+              AuraProfiles.loadLibrary().then((library) => {
+                profileLibrary = library;
+                if (effectiveSiteSettings().rule?.profileId) applySiteSettings(effectiveSiteSettings());
+              });
             }
+            if (!changes.aura_profile && !changes.aura_enabled && !changes.aura_site_rules) return;
+            if (changes.aura_profile) globalProfile = changes.aura_profile.newValue || null;
+            if (changes.aura_enabled) globalEnabled = changes.aura_enabled.newValue !== false;
+            if (changes.aura_site_rules) siteRules = AuraSiteRules.normalizeRules(changes.aura_site_rules.newValue);
+            applySiteSettings(effectiveSiteSettings());
           } catch (e) { safeWarn('AURA content: storage.onChanged error', e); }
         });
       } else {
@@ -1179,12 +4351,17 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
     init();
   }
 
-  // ---------- Selection popup: simplify / translate (unchanged but integrated) ----------
+  // ---------- Selection popup: simplify, translate, explain, define, summarize, read aloud ----------
+  // Answers open in a result card anchored to the selection; the page text only changes when
+  // the user picks "Replace in page", and the card's Undo puts the original back.
   (function addSelectionPopupFeature() {
     if (window.__aura_selection_popup_installed) return;
     window.__aura_selection_popup_installed = true;
 
     const POPUP_ID = 'aura-selection-popup';
+    const CARD_ID = 'aura-selection-card';
+    let popupSelection = null;   // { range, text } captured when the popup opened
+    let cardState = null;        // { range, text, content, kind, rewrite: rewrite history entry | null }
 
     const popupCss = `
       #${POPUP_ID} {
@@ -1199,6 +4376,7 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
         font-size: 13px;
         color: #0b1b3a;
         display: flex;
+        flex-wrap: wrap;
         gap: 8px;
         align-items: center;
         min-width: 220px;
@@ -1214,8 +4392,21 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       }
       #${POPUP_ID} button:hover { transform: translateY(-1px); box-shadow: 0 6px 14px rgba(75,108,255,0.12); }
       #${POPUP_ID} select { padding: 6px; border-radius: 6px; border: 1px solid #e6e9ef; background: white; }
+      #${POPUP_ID} button:disabled, #${POPUP_ID} select:disabled { opacity: 0.5; cursor: default; }
       #${POPUP_ID} .aura-spinner { width: 16px; height: 16px; border-radius: 50%; border: 2px solid #dfe6ff; border-top-color: #4b6cff; animation: aura-spin 1s linear infinite; margin-left: 6px; }
       @keyframes aura-spin { to { transform: rotate(360deg); } }
+      #${CARD_ID} { position: absolute; z-index: 2147483647; box-sizing: border-box; width: min(420px, calc(100vw - 16px)); max-height: 60vh; overflow: auto; padding: 12px 14px; background: #ffffff; color: #0b1b3a; border: 1px solid rgba(15, 23, 42, 0.12); border-radius: 10px; box-shadow: 0 6px 20px rgba(2,6,23,0.18); font: 14px/1.55 system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial; text-align: left; }
+      #${CARD_ID}:focus { outline: none; }
+      #${CARD_ID} .aura-card-head { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 6px; }
+      #${CARD_ID} h2 { margin: 0; font-family: inherit; font-size: 15px; font-weight: 700; line-height: 1.3; color: inherit; }
+      #${CARD_ID} .aura-card-body p { margin: 0 0 8px; }
+      #${CARD_ID} .aura-card-body ul { margin: 0 0 8px; padding-left: 20px; }
+      #${CARD_ID} .aura-card-status { color: #475569; }
+      #${CARD_ID} .aura-card-actions { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+      #${CARD_ID} button { background: #eef0ff; color: #0b1b3a; border: none; padding: 6px 10px; border-radius: 8px; cursor: pointer; font-family: inherit; font-size: 13px; font-weight: 600; line-height: 1.3; }
+      #${CARD_ID} button:focus-visible { outline: 3px solid #4b6cff; outline-offset: 2px; }
+      #${CARD_ID} button[hidden] { display: none; }
+      #${CARD_ID} .aura-card-close { background: transparent; font-size: 18px; line-height: 1; padding: 2px 8px; }
     `;
 
     function ensurePopupStyle() {
@@ -1232,19 +4423,20 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       const popup = document.createElement('div');
       popup.id = POPUP_ID;
       popup.setAttribute('role', 'dialog');
+      popup.setAttribute('aria-label', 'AURA text tools');
       popup.innerHTML = `
         <button id="${POPUP_ID}-simplify">Simplify</button>
+        <button id="${POPUP_ID}-explain">Explain</button>
+        <button id="${POPUP_ID}-define">Define</button>
+        <button id="${POPUP_ID}-summarize">Summarize</button>
+        <button id="${POPUP_ID}-read">Read aloud</button>
         <label style="display:flex;gap:6px;align-items:center">
-          <select id="${POPUP_ID}-lang">
+          <select id="${POPUP_ID}-lang" aria-label="Translate to">
             <option value="">Translate</option>
-            <option value="hi">Hindi</option>
-            <option value="es">Spanish</option>
-            <option value="fr">French</option>
-            <option value="de">German</option>
-            <option value="ta">Tamil</option>
-            <option value="bn">Bengali</option>
-            <option value="zh">Chinese (Simplified)</option>
-            <option value="ar">Arabic</option>
+            <option value="${translateTarget()}">To ${AuraLanguages.name(translateTarget())}</option>
+            <optgroup label="All languages">
+              ${AuraLanguages.options().map(o => `<option value="${o.code}">${o.name}</option>`).join('')}
+            </optgroup>
           </select>
         </label>
         <div id="${POPUP_ID}-status" style="display:inline-flex;align-items:center"></div>
@@ -1265,6 +4457,10 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       popup.addEventListener('click', (e) => e.stopPropagation());
 
       document.getElementById(`${POPUP_ID}-simplify`).addEventListener('click', onSimplifyClick);
+      document.getElementById(`${POPUP_ID}-explain`).addEventListener('click', (e) => onAskClick(e, 'explain'));
+      document.getElementById(`${POPUP_ID}-define`).addEventListener('click', (e) => onAskClick(e, 'define'));
+      document.getElementById(`${POPUP_ID}-summarize`).addEventListener('click', (e) => onAskClick(e, 'summarize'));
+      document.getElementById(`${POPUP_ID}-read`).addEventListener('click', onReadAloudClick);
       document.getElementById(`${POPUP_ID}-lang`).addEventListener('change', onTranslateSelect);
 
       return popup;
@@ -1275,6 +4471,28 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       if (old) old.remove();
     }
 
+    function showPopupForSelection() {
+      const info = getSelectionRange();
+      if (!info) return;
+      popupSelection = { range: info.range.cloneRange(), text: info.text };
+      const popup = createPopup();
+      positionPopup(popup, info.range);
+    }
+
+    function setPopupLoading(loading, label = '') {
+      const popup = document.getElementById(POPUP_ID);
+      if (!popup) return;
+      popup.querySelectorAll('button, select').forEach((el) => { el.disabled = loading; });
+      const status = document.getElementById(`${POPUP_ID}-status`);
+      status.textContent = label;
+      if (loading) status.appendChild(Object.assign(document.createElement('span'), { className: 'aura-spinner' }));
+    }
+
+    // The selection the popup was opened for (clicking a popup button can clear the live one)
+    function popupSelectionInfo() {
+      return popupSelection || getSelectionRange();
+    }
+
     function getSelectionRange() {
       const sel = window.getSelection();
       if (!sel || sel.rangeCount === 0) return null;
@@ -1341,121 +4559,62 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       return s;
     }
 
-    function replaceRangeWithText(range, text) {
+    // Records the change in the rewrite history; returns its entry, or null on failure
+    function replaceRangeWithText(range, text, kind) {
+      const entry = recordRewrite(range, text, kind);
+      if (!entry) return null;
       try {
-        const textNode = document.createTextNode(text);
-        range.deleteContents();
-        range.insertNode(textNode);
         const sel = window.getSelection();
         sel.removeAllRanges();
         const newRange = document.createRange();
-        newRange.setStartAfter(textNode);
+        newRange.setStartAfter(entry.wrapper);
         newRange.collapse(true);
         sel.addRange(newRange);
       } catch (e) {
-        safeWarn('AURA selection: replaceRangeWithText failed', e);
+        safeWarn('AURA selection: could not move the selection after replacing', e);
       }
+      return entry;
     }
 
-    // Call proxy with clearer error handling
-    async function callProxyForText({ question, selectionText }) {
-      async function doPost(payload) {
-        const resp = await fetch('http://127.0.0.1:3000/ask', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
-        if (!resp.ok) {
-          const txt = await resp.text().catch(() => '');
-          throw new Error(`Proxy error ${resp.status}: ${txt.slice(0, 200)}`);
-        }
-        const json = await resp.json().catch(async () => {
-          const txt = await resp.text().catch(() => '');
-          return { rawText: txt };
-        });
-        return json;
-      }
-
-      const basePayload = {
-        question,
-        sections: [{ heading: 'selection', text: selectionText, anchor: null }],
-        pageInfo: { url: location.href, title: document.title }
-      };
-
-      try {
-        const result = await doPost(basePayload);
-
-        const details = (result && result.details && String(result.details).trim()) ? String(result.details).trim() : '';
-        const tldr = (result && result.tldr && String(result.tldr).trim()) ? String(result.tldr).trim() : '';
-        const bullets = Array.isArray(result.bullets) ? result.bullets.map(b => (typeof b === 'string' ? b : (b?.text || ''))).filter(Boolean) : [];
-
-        let chosen = details || tldr || (bullets.length ? bullets.join(' ') : '') || (result.rawText || '');
-
-        const detailsIndicateNoSimplify = /no explicitly simplified version/i.test(details || '') ||
-          /no simplified/i.test(details || '');
-
-        if ((!chosen || chosen.trim().length === 0) || detailsIndicateNoSimplify) {
-          const retryQuestion = `Please produce ONLY a plain-text simplified version of the following text for readability, following the user's accessibility preferences. Keep meaning intact, use short sentences and plain words, and do NOT include extra commentary or metadata. Return only the simplified text.`;
-          const retryPayload = {
-            question: retryQuestion + '\n\nOriginal request context:\n' + (question || ''),
-            sections: [{ heading: 'selection', text: selectionText, anchor: null }],
-            pageInfo: { url: location.href, title: document.title }
-          };
-
-          try {
-            const retryResult = await doPost(retryPayload);
-            const rDetails = (retryResult && retryResult.details && String(retryResult.details).trim()) ? String(retryResult.details).trim() : '';
-            const rTldr = (retryResult && retryResult.tldr && String(retryResult.tldr).trim()) ? String(retryResult.tldr).trim() : '';
-            const rBullets = Array.isArray(retryResult.bullets) ? retryResult.bullets.map(b => (typeof b === 'string' ? b : (b?.text || ''))).filter(Boolean) : [];
-            const retryChosen = rDetails || rTldr || (rBullets.length ? rBullets.join(' ') : '') || (retryResult.rawText || '');
-
-            if (retryChosen && retryChosen.trim().length > 0) {
-              return retryChosen.trim();
-            } else {
-              if (rBullets && rBullets.length) return rBullets.join(' ');
-              if (retryChosen && retryChosen.trim()) return retryChosen.trim();
-              return selectionText;
-            }
-          } catch (retryErr) {
-            if (chosen && chosen.trim().length > 0) return chosen;
-            const err = new Error(String(retryErr.message || retryErr));
-            err.isProxyUnavailable = /Failed to fetch/i.test(String(retryErr.message || retryErr));
-            throw err;
-          }
-        }
-
-        return chosen.trim();
-      } catch (e) {
-        safeWarn('AURA selection: callProxyForText failed in enhanced handler', e);
-        const err = new Error(e.message || 'Failed to fetch');
-        err.isProxyUnavailable = (e instanceof TypeError) || /Failed to fetch/i.test(String(e.message || e));
-        throw err;
+    async function doPost(payload) {
+      const resp = await fetch('http://127.0.0.1:3000/ask', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => '');
+        throw new Error(`Proxy error ${resp.status}: ${txt.slice(0, 200)}`);
       }
+      const json = await resp.json().catch(async () => {
+        const txt = await resp.text().catch(() => '');
+        return { rawText: txt };
+      });
+      return json;
     }
 
     // Simplify click handler
     async function onSimplifyClick(e) {
       e.stopPropagation();
-      const info = getSelectionRange();
+      const info = popupSelectionInfo();
       if (!info) return removePopup();
+      const passages = textPassages(info.text, SIMPLIFY_MAX_PASSAGE_CHARS);
+      if (passages.length > SIMPLIFY_MAX_PASSAGES || passages.reduce((n, p) => n + p.text.length, 0) > SIMPLIFY_MAX_REQUEST_CHARS) {
+        alert('AURA: That selection is too long to simplify at once. Select a few paragraphs, or use "Simplify page" in the AURA popup.');
+        return;
+      }
       setPopupLoading(true, 'Simplifying...');
       try {
-        const profile = await getCurrentProfileForPanel();
-        const profileNote = profile ? `User profile: ${JSON.stringify({
-          id: profile.id, name: profile.name, fontFamily: profile.fontFamily,
-          fontSize: profile.fontSize, lineHeight: profile.lineHeight,
-          letterSpacing: profile.letterSpacing, wordSpacing: profile.wordSpacing,
-          animations: profile.animations
-        })}` : '';
-
-        const question = `Simplify the following text for readability. ${profileNote} Keep meaning intact, use short sentences, plain vocabulary, and format for readability for users with the given profile. Return the simplified text only.`;
-        const simplified = await callProxyForText({ question, selectionText: info.text });
-        if (simplified) replaceRangeWithText(info.range, sanitizeModelOutput(simplified));
+        const results = await requestSimplified(passages);
+        if (!results.size) throw new Error('The server returned no simplified text');
+        // Passages the server left out keep their original text
+        const paragraphs = passages.map(p => results.get(p.id) || p.text);
         setPopupLoading(false, 'Done');
         removePopup();
+        showResultCard(info, 'Simplified text', { paragraphs }, 'simplified');
       } catch (err) {
         setPopupLoading(false, 'Error');
-        if (err.isProxyUnavailable) {
+        if (err instanceof TypeError) {
           alert('AURA: Could not reach the local proxy at http://localhost:3000. Start your server and try again.');
         } else {
           console.error(err);
@@ -1464,24 +4623,31 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       }
     }
 
-    // Translate handler
+    // Translate handler: the selection as plain-text segments, shown in the result card
     async function onTranslateSelect(e) {
       e.stopPropagation();
       const lang = e.target.value;
       if (!lang) return;
       e.target.value = '';
-      const info = getSelectionRange();
+      const info = popupSelectionInfo();
       if (!info) return removePopup();
+      const segments = textPassages(info.text, TRANSLATE_MAX_SEGMENT_CHARS).map(p => ({ id: p.id, text: escapeSegmentText(p.text) }));
+      if (segments.length > TRANSLATE_MAX_SEGMENTS || segments.reduce((n, p) => n + p.text.length, 0) > TRANSLATE_MAX_REQUEST_CHARS) {
+        alert('AURA: That selection is too long to translate at once. Select a few paragraphs, or use "Translate page" in the AURA popup.');
+        return;
+      }
       setPopupLoading(true, 'Translating...');
       try {
-        const question = `Translate the following text to language code "${lang}". Preserve meaning and punctuation. Return only the translated text (no commentary).`;
-        const translated = await callProxyForText({ question, selectionText: info.text });
-        if (translated) replaceRangeWithText(info.range, sanitizeModelOutput(translated));
+        const results = await requestTranslated(segments, lang);
+        if (!results.size) throw new Error('The server returned no translation');
+        // Segments the server left out keep their original text
+        const paragraphs = segments.map(p => unescapeSegmentText(results.get(p.id) || p.text));
         setPopupLoading(false, 'Done');
         removePopup();
+        showResultCard(info, `Translation (${AuraLanguages.name(lang)})`, { paragraphs }, 'translated');
       } catch (err) {
         setPopupLoading(false, 'Error');
-        if (err.isProxyUnavailable) {
+        if (err instanceof TypeError) {
           alert('AURA: Could not reach the local proxy at http://localhost:3000. Start your server and try again.');
         } else {
           console.error(err);
@@ -1490,16 +4656,193 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
       }
     }
 
+    // --- Explain / define / summarize: /ask answers shown in the result card ---
+    const ASK_ACTIONS = {
+      explain: {
+        title: 'Explanation',
+        status: 'Explaining...',
+        rewriteKind: 'explained',
+        question: 'Explain what the following passage means in plain, friendly language, as you would to someone who found it hard to read. Put a one-sentence explanation in tldr and, if useful, a short fuller explanation in details.'
+      },
+      define: {
+        title: 'Definition',
+        status: 'Looking up...',
+        rewriteKind: 'defined',
+        question: 'Define the following word or phrase as it is used on this page. Put a short plain-language definition in tldr, and an example sentence or usage note in details.'
+      },
+      summarize: {
+        title: 'Summary',
+        status: 'Summarizing...',
+        rewriteKind: 'summarized',
+        question: 'Summarize the following passage for a reader who wants the main points quickly. Put a one-sentence summary in tldr and up to five short key points in bullets.'
+      }
+    };
+
+    function splitParagraphs(text) {
+      return String(text || '').split(/\n{2,}|\n(?=\S)/).map(s => s.trim()).filter(Boolean);
+    }
+
+    // { paragraphs, bullets } from an /ask answer
+    function answerContent(result, kind) {
+      const text = (v) => (typeof v === 'string' ? v : (v?.text || '')).trim();
+      const tldr = sanitizeModelOutput(text(result?.tldr));
+      const details = sanitizeModelOutput(text(result?.details));
+      const bullets = Array.isArray(result?.bullets) ? result.bullets.map(text).filter(Boolean) : [];
+      const paragraphs = [tldr, ...splitParagraphs(details)].filter((p, i, all) => p && all.indexOf(p) === i);
+      if (!paragraphs.length && result?.rawText) paragraphs.push(sanitizeModelOutput(String(result.rawText)));
+      return { paragraphs, bullets: kind === 'summarize' || !paragraphs.length ? bullets : [] };
+    }
+
+    async function onAskClick(e, kind) {
+      e.stopPropagation();
+      const info = popupSelectionInfo();
+      if (!info) return removePopup();
+      const action = ASK_ACTIONS[kind];
+      setPopupLoading(true, action.status);
+      try {
+        const result = await doPost({
+          question: action.question,
+          sections: [{ heading: 'selection', text: info.text, anchor: null }],
+          pageInfo: { url: location.href, title: document.title }
+        });
+        setPopupLoading(false, 'Done');
+        removePopup();
+        showResultCard(info, action.title, answerContent(result, kind), action.rewriteKind);
+      } catch (err) {
+        setPopupLoading(false, 'Error');
+        if (err instanceof TypeError || /Failed to fetch/i.test(String(err.message || err))) {
+          alert('AURA: Could not reach the local proxy at http://localhost:3000. Start your server and try again.');
+        } else {
+          console.error(err);
+          alert(`AURA: ${action.title} failed — check console for details.`);
+        }
+      }
+    }
+
+    function onReadAloudClick(e) {
+      e.stopPropagation();
+      const info = popupSelectionInfo();
+      removePopup();
+      if (!info) return;
+      stopSpeech();
+      const result = startSpeech({ range: info.range });
+      if (!result.ok) showAuraToast(`Read aloud: ${result.error}`);
+    }
+
+    // --- Result card ---
+    function cardPlainText(content) {
+      return [...content.paragraphs, ...content.bullets.map(b => `• ${b}`)].join('\n');
+    }
+
+    function removeCard() {
+      document.getElementById(CARD_ID)?.remove();
+      cardState = null;
+    }
+
+    // kind names a replacement in the rewrite history ('simplified', 'translated', ...)
+    function showResultCard(info, title, content, kind) {
+      removeCard();
+      ensurePopupStyle();
+      content = { paragraphs: [], bullets: [], ...content };
+      if (!content.paragraphs.length && !content.bullets.length) content = { paragraphs: ['No answer came back. Try a longer or shorter selection.'], bullets: [] };
+      cardState = { range: info.range.cloneRange(), text: info.text, content, kind, rewrite: null };
+
+      const card = document.createElement('div');
+      card.id = CARD_ID;
+      card.setAttribute('role', 'dialog');
+      card.setAttribute('aria-labelledby', `${CARD_ID}-title`);
+      card.tabIndex = -1;
+      card.innerHTML = `
+        <div class="aura-card-head">
+          <h2 id="${CARD_ID}-title"></h2>
+          <button type="button" class="aura-card-close" aria-label="Close">×</button>
+        </div>
+        <div class="aura-card-body"></div>
+        <div class="aura-card-status" role="status"></div>
+        <div class="aura-card-actions">
+          <button type="button" data-action="copy">Copy</button>
+          <button type="button" data-action="replace">Replace in page</button>
+          <button type="button" data-action="undo" hidden>Undo</button>
+        </div>`;
+      card.querySelector('h2').textContent = title;
+      const body = card.querySelector('.aura-card-body');
+      content.paragraphs.forEach(p => body.appendChild(document.createElement('p')).textContent = p);
+      if (content.bullets.length) {
+        const list = body.appendChild(document.createElement('ul'));
+        content.bullets.forEach(b => list.appendChild(document.createElement('li')).textContent = b);
+      }
+
+      card.addEventListener('mousedown', (e) => e.stopPropagation());
+      card.addEventListener('mouseup', (e) => e.stopPropagation());
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') { e.stopPropagation(); removeCard(); }
+      });
+      card.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.classList.contains('aura-card-close')) removeCard();
+        else onCardAction(card, button.dataset.action);
+      });
+
+      document.body.appendChild(card);
+      positionPopup(card, cardState.range);
+      card.focus({ preventScroll: true });
+    }
+
+    async function onCardAction(card, action) {
+      const status = card.querySelector('.aura-card-status');
+      const text = cardPlainText(cardState.content);
+      if (action === 'copy') {
+        try {
+          await navigator.clipboard.writeText(text);
+          status.textContent = 'Copied.';
+        } catch (e) {
+          status.textContent = 'Could not copy; select the text in this card instead.';
+        }
+      } else if (action === 'replace') {
+        if (!rewritableRange(cardState.range)) {
+          status.textContent = 'Only text within one paragraph can be replaced; copy the text instead.';
+          return;
+        }
+        const rewrite = replaceRangeWithText(cardState.range, text, cardState.kind);
+        if (!rewrite) {
+          status.textContent = 'The page changed, so the text could not be replaced.';
+          return;
+        }
+        cardState.rewrite = rewrite;
+        card.querySelector('[data-action="replace"]').hidden = true;
+        card.querySelector('[data-action="undo"]').hidden = false;
+        card.querySelector('[data-action="undo"]').focus();
+        status.textContent = 'Replaced in page.';
+      } else if (action === 'undo' && cardState.rewrite) {
+        const range = undoRewrite(cardState.rewrite.id);
+        cardState.rewrite = null;
+        card.querySelector('[data-action="undo"]').hidden = true;
+        if (!range) {
+          status.textContent = 'The page changed, so the original could not be restored.';
+          return;
+        }
+        cardState.range = range;
+        card.querySelector('[data-action="replace"]').hidden = false;
+        card.querySelector('[data-action="replace"]').focus();
+        status.textContent = 'Original text restored.';
+      }
+    }
+
     // Hide popup when clicking elsewhere or when selection collapses,
     // but respect the suppression flag while interacting with popup
     function onDocMouseDown(e) {
+      const card = document.getElementById(CARD_ID);
+      if (card && !card.contains(e.target)) removeCard();
       const popup = document.getElementById(POPUP_ID);
       if (!popup) return;
       if (!popup.contains(e.target)) removePopup();
     }
 
-    function onSelectionChangeTrigger() {
+    function onSelectionChangeTrigger(e) {
       if (_auraSuppressHide) return;
+      if (e?.target instanceof Element && e.target.closest(`#${CARD_ID}, #${POPUP_ID}`)) return;
       setTimeout(() => {
         const info = getSelectionRange();
         if (info) {
@@ -1525,6 +4868,7 @@ ${disableAnim ? `* { animation: none !important; transition: none !important; }`
     window.__aura_clear_snapshot = () => { originalTextMap.clear(); originalAttrMap.clear(); safeLog('AURA: cleared snapshots'); };
     window.__aura_run_emotion_pipeline = runEmotionReplacePipeline;
     window.__aura_current_map = () => AURA_MAP;
+    window.__aura_page_map = () => AURA_PAGE_MAP;
   } catch (e) {}
 
 })();
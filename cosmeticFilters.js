@@ -0,0 +1,167 @@
+// cosmeticFilters.js - element hiding shared by background.js (importScripts), content.js and popup.js
+//
+// background.js merges BASELINE_FILTERS with the element-hiding lines (##, #@#) of every enabled
+// filter list into one index in chrome.storage.local under aura_cosmetic_index:
+//   { generic: ['.adsbygoogle', ...],                 hidden everywhere
+//     specific: { 'example.com': ['.promo'] },         hidden on that domain and its subdomains
+//     exceptions: { 'example.com': ['.adsbygoogle'] }, un-hidden there (#@# and ~domain)
+//     updatedAt }
+// Rules made with the element picker are kept per hostname under aura_cosmetic_user:
+//   { 'news.example.com': ['div.sticky-promo', '#newsletter-modal'] }
+// List rules follow the ad-blocker switch; picker rules always apply.
+(function (global) {
+  const INDEX_KEY = 'aura_cosmetic_index';
+  const USER_RULES_KEY = 'aura_cosmetic_user';
+
+  // Built-in baseline: common ad slots, consent banners and newsletter overlays. Kept
+  // deliberately narrow (vendor ids and unambiguous class names) so it does not hide content.
+  const BASELINE_FILTERS = `
+! Ad slots and placeholders
+##ins.adsbygoogle
+##.adsbygoogle
+##[id^="google_ads_iframe_"]
+##[id^="div-gpt-ad"]
+##[data-google-query-id]
+##[data-ad-slot]
+##[data-ad-unit]
+##.ad-slot
+##.ad-placeholder
+##.ad-container
+##.advertisement
+##.sponsored-content
+##[aria-label="Advertisement"]
+##amp-ad
+##amp-sticky-ad
+! Consent and cookie banners
+###onetrust-banner-sdk
+###onetrust-consent-sdk
+##.onetrust-pc-dark-filter
+###CybotCookiebotDialog
+###CybotCookiebotDialogBodyUnderlay
+###cookie-law-info-bar
+##.cc-window
+##.cc-banner
+##.qc-cmp2-container
+##[id^="sp_message_container_"]
+##.fc-consent-root
+###usercentrics-root
+##.truste_overlay
+##.truste_box_overlay
+###didomi-host
+##.cookie-banner
+##.cookie-notice
+##.cookie-consent
+###cookie-banner
+###cookie-notice
+! Newsletter and sign-up overlays
+##.newsletter-modal
+##.newsletter-popup
+##.newsletter-overlay
+##.signup-modal-overlay
+`;
+
+  // Every suffix of a hostname with at least two labels: a.b.example.com -> b.example.com -> example.com
+  function domainChain(hostname) {
+    const labels = String(hostname || '').toLowerCase().split('.').filter(Boolean);
+    const chain = [];
+    for (let i = 0; i < labels.length - 1; i++) chain.push(labels.slice(i).join('.'));
+    if (!chain.length && labels.length) chain.push(labels[0]);
+    return chain;
+  }
+
+  function pushTo(map, key, selector) {
+    if (!map[key]) map[key] = [];
+    map[key].push(selector);
+  }
+
+  // entries: [{ domains, exception, selector }] as returned by AuraFilterLists.compile().cosmetic
+  function buildIndex(entries) {
+    const generic = new Set();
+    const genericExceptions = new Set();
+    const specific = {};
+    const exceptions = {};
+
+    for (const entry of entries || []) {
+      const selector = String(entry?.selector || '').trim();
+      if (!selector) continue;
+      const include = (entry.domains || []).filter(d => !d.startsWith('~'));
+      const exclude = (entry.domains || []).filter(d => d.startsWith('~')).map(d => d.slice(1));
+
+      if (entry.exception) {
+        if (!include.length) genericExceptions.add(selector);
+        include.forEach(d => pushTo(exceptions, d, selector));
+        continue;
+      }
+      if (include.length) include.forEach(d => pushTo(specific, d, selector));
+      else generic.add(selector);
+      // "~a.com##.x" hides everywhere but a.com; "a.com,~b.a.com##.x" spares the subdomain
+      exclude.forEach(d => pushTo(exceptions, d, selector));
+    }
+
+    genericExceptions.forEach(s => generic.delete(s));
+    return { generic: [...generic], specific, exceptions, updatedAt: Date.now() };
+  }
+
+  // Selectors to hide on hostname: { list, user }. Picker rules are never cancelled by list exceptions.
+  function selectorsFor(index, userRules, hostname) {
+    const chain = domainChain(hostname);
+    const list = new Set(index?.generic || []);
+    chain.forEach(d => (index?.specific?.[d] || []).forEach(s => list.add(s)));
+    chain.forEach(d => (index?.exceptions?.[d] || []).forEach(s => list.delete(s)));
+    const host = String(hostname || '').toLowerCase();
+    const user = Array.isArray(userRules?.[host]) ? [...new Set(userRules[host])] : [];
+    return { list: [...list], user };
+  }
+
+  function loadUserRules() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([USER_RULES_KEY], (res) => {
+          const rules = res?.[USER_RULES_KEY];
+          resolve(rules && typeof rules === 'object' ? rules : {});
+        });
+      } catch (e) {
+        resolve({});
+      }
+    });
+  }
+
+  function saveUserRules(rules) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [USER_RULES_KEY]: rules }, () => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(rules);
+      });
+    });
+  }
+
+  // Returns a new rules object; empty hosts are dropped
+  function addUserRule(rules, hostname, selector) {
+    const host = String(hostname || '').toLowerCase();
+    const current = Array.isArray(rules?.[host]) ? rules[host] : [];
+    if (!host || !selector || current.includes(selector)) return { ...rules };
+    return { ...rules, [host]: [...current, selector] };
+  }
+
+  function removeUserRules(rules, hostname, selector) {
+    const host = String(hostname || '').toLowerCase();
+    const next = { ...rules };
+    const remaining = selector ? (next[host] || []).filter(s => s !== selector) : [];
+    if (remaining.length) next[host] = remaining;
+    else delete next[host];
+    return next;
+  }
+
+  global.AuraCosmetic = {
+    INDEX_KEY,
+    USER_RULES_KEY,
+    BASELINE_FILTERS,
+    domainChain,
+    buildIndex,
+    selectorsFor,
+    loadUserRules,
+    saveUserRules,
+    addUserRule,
+    removeUserRules
+  };
+})(globalThis);
@@ -0,0 +1,198 @@
+// filterLists.js - compiles EasyList / uBlock Origin filter text into declarativeNetRequest rules
+// Loaded by background.js (importScripts); the popup and setup page talk to it through messages.
+//
+// Supported network filters:
+//   ||ads.example.com^            domain anchor (urlFilter keeps ||, |, ^ and * as-is)
+//   /banner/*/ad_                 plain patterns, |start and end| anchors
+//   /^https?:\/\/ad\d+\./         regular expressions (limited by MAX_NUMBER_OF_REGEX_RULES)
+//   @@||cdn.example.com^          exceptions (allow rules, or allowAllRequests with $document)
+//   $third-party / $3p, $first-party / $1p, $script, $image, $stylesheet, $xmlhttprequest,
+//   $subdocument, $media, $font, $websocket, $ping, $object, $other, $document, ~types,
+//   $domain=a.com|~b.com, $match-case, $important
+// Element hiding (##, #@#) lines are returned separately as `cosmetic`; everything else that
+// cannot be expressed as a rule is reported in `errors` with its line number and a reason.
+(function (global) {
+  const RESOURCE_TYPES = {
+    script: 'script',
+    image: 'image',
+    stylesheet: 'stylesheet',
+    css: 'stylesheet',
+    object: 'object',
+    xmlhttprequest: 'xmlhttprequest',
+    xhr: 'xmlhttprequest',
+    subdocument: 'sub_frame',
+    frame: 'sub_frame',
+    media: 'media',
+    font: 'font',
+    websocket: 'websocket',
+    ping: 'ping',
+    beacon: 'ping',
+    other: 'other',
+    document: 'main_frame',
+    doc: 'main_frame'
+  };
+
+  // Options that only change cosmetic behaviour or need features DNR lacks
+  const UNSUPPORTED_OPTIONS = new Set([
+    'popup', 'popunder', 'csp', 'redirect', 'redirect-rule', 'removeparam', 'rewrite', 'replace',
+    'generichide', 'ghide', 'elemhide', 'ehide', 'specifichide', 'shide', 'genericblock',
+    'header', 'permissions', 'to', 'denyallow', 'method', 'strict1p', 'strict3p', 'webrtc', 'empty', 'mp4'
+  ]);
+
+  const PRIORITY = { block: 1, allow: 2, important: 3 };
+
+  function isAscii(str) {
+    return /^[\x00-\x7f]*$/.test(str);
+  }
+
+  // Splits "pattern$options" on the last "$" that is not part of a /regex/
+  function splitOptions(filter) {
+    if (/^\/.*\/$/.test(filter)) return { pattern: filter, options: [] };
+    const idx = filter.lastIndexOf('$');
+    if (idx === -1 || (filter.startsWith('/') && filter.lastIndexOf('/') > idx)) return { pattern: filter, options: [] };
+    return {
+      pattern: filter.slice(0, idx),
+      options: filter.slice(idx + 1).split(',').map(o => o.trim()).filter(Boolean)
+    };
+  }
+
+  function parseDomains(value) {
+    const include = [];
+    const exclude = [];
+    for (const raw of value.split('|')) {
+      const d = raw.trim().toLowerCase();
+      if (!d) continue;
+      const domain = d.startsWith('~') ? d.slice(1) : d;
+      if (!isAscii(domain) || domain.includes('*') || domain.includes('/')) return null;
+      (d.startsWith('~') ? exclude : include).push(domain);
+    }
+    return { include, exclude };
+  }
+
+  // Returns { rule } or { error } for one network filter line (id assigned by the caller)
+  function compileNetworkFilter(line) {
+    let filter = line;
+    const exception = filter.startsWith('@@');
+    if (exception) filter = filter.slice(2);
+
+    const { pattern, options } = splitOptions(filter);
+    const condition = {};
+    const resourceTypes = [];
+    const excludedResourceTypes = [];
+    let important = false;
+    let matchCase = false;
+
+    for (const option of options) {
+      const [rawName, ...rest] = option.split('=');
+      const value = rest.join('=');
+      const negated = rawName.startsWith('~');
+      const name = (negated ? rawName.slice(1) : rawName).toLowerCase();
+
+      if (name === 'third-party' || name === '3p') {
+        condition.domainType = negated ? 'firstParty' : 'thirdParty';
+      } else if (name === 'first-party' || name === '1p') {
+        condition.domainType = negated ? 'thirdParty' : 'firstParty';
+      } else if (name === 'domain' || name === 'from') {
+        const domains = parseDomains(value);
+        if (!domains) return { error: `unsupported domain list "${value}"` };
+        if (domains.include.length) condition.initiatorDomains = domains.include;
+        if (domains.exclude.length) condition.excludedInitiatorDomains = domains.exclude;
+      } else if (name === 'match-case') {
+        matchCase = true;
+      } else if (name === 'important') {
+        important = true;
+      } else if (RESOURCE_TYPES[name]) {
+        (negated ? excludedResourceTypes : resourceTypes).push(RESOURCE_TYPES[name]);
+      } else if (UNSUPPORTED_OPTIONS.has(name)) {
+        return { error: `option $${name} is not supported by declarativeNetRequest` };
+      } else {
+        return { error: `unknown option $${name}` };
+      }
+    }
+
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      const source = pattern.slice(1, -1);
+      try { new RegExp(source); } catch (e) { return { error: 'invalid regular expression' }; }
+      if (!isAscii(source)) return { error: 'non-ASCII regular expression' };
+      condition.regexFilter = source;
+    } else if (pattern && pattern !== '*') {
+      if (!isAscii(pattern)) return { error: 'non-ASCII pattern' };
+      if (pattern.startsWith('||*')) condition.urlFilter = pattern.slice(2);
+      else condition.urlFilter = pattern;
+    } else if (!condition.initiatorDomains) {
+      return { error: 'filter would match every request' };
+    }
+
+    if (resourceTypes.length) condition.resourceTypes = [...new Set(resourceTypes)];
+    if (excludedResourceTypes.length) condition.excludedResourceTypes = [...new Set(excludedResourceTypes)];
+    if (condition.urlFilter || condition.regexFilter) condition.isUrlFilterCaseSensitive = matchCase;
+
+    let action;
+    if (exception) {
+      // @@...$document exempts whole pages, everything else exempts single requests
+      const pageLevel = condition.resourceTypes?.includes('main_frame');
+      action = { type: pageLevel ? 'allowAllRequests' : 'allow' };
+      if (pageLevel) condition.resourceTypes = condition.resourceTypes.filter(t => t === 'main_frame' || t === 'sub_frame');
+    } else {
+      action = { type: 'block' };
+    }
+
+    return {
+      rule: {
+        priority: important ? PRIORITY.important : exception ? PRIORITY.allow : PRIORITY.block,
+        action,
+        condition
+      },
+      regex: !!condition.regexFilter
+    };
+  }
+
+  // compile(text, { firstId, maxRules, maxRegexRules }) ->
+  //   { rules, ruleLines, cosmetic, errors: [{ line, text, reason }], stats: { lines, converted, skipped, ... } }
+  function compile(text, { firstId = 1, maxRules = 5000, maxRegexRules = 1000 } = {}) {
+    const rules = [];
+    const cosmetic = [];
+    const errors = [];
+    const ruleLines = [];                // source line of each rule, for reporting rejected rules
+    let regexCount = 0;
+    let lines = 0;
+    let comments = 0;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      lines++;
+      const report = (reason) => errors.push({ line: index + 1, text: line.slice(0, 200), reason });
+
+      if (!line || line.startsWith('!') || /^\[.*\]$/.test(line)) { comments++; return; }
+
+      const cosmeticMatch = /^([^/$]*?)(##|#@#)(.+)$/.exec(line);
+      if (cosmeticMatch) {
+        cosmetic.push({
+          domains: cosmeticMatch[1] ? cosmeticMatch[1].split(',').map(d => d.trim().toLowerCase()).filter(Boolean) : [],
+          exception: cosmeticMatch[2] === '#@#',
+          selector: cosmeticMatch[3]
+        });
+        return;
+      }
+      if (/#[?$%]#|#@[?$%]#|\$\$/.test(line)) { report('scriptlet and extended CSS filters are not supported'); return; }
+
+      const result = compileNetworkFilter(line);
+      if (result.error) { report(result.error); return; }
+      if (rules.length >= maxRules) { report(`rule limit reached (${maxRules})`); return; }
+      if (result.regex && regexCount >= maxRegexRules) { report(`regular-expression rule limit reached (${maxRegexRules})`); return; }
+      if (result.regex) regexCount++;
+      rules.push({ id: firstId + rules.length, ...result.rule });
+      ruleLines.push(index + 1);
+    });
+
+    return {
+      rules,
+      ruleLines,
+      cosmetic,
+      errors,
+      stats: { lines, converted: rules.length, cosmetic: cosmetic.length, skipped: errors.length, comments }
+    };
+  }
+
+  global.AuraFilterLists = { compile, compileNetworkFilter };
+})(globalThis);
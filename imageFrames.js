@@ -0,0 +1,91 @@
+// imageFrames.js - tells animated GIF, WebP and APNG files from still ones by their headers
+// Loaded by background.js (importScripts), which fetches image bytes for the photosensitivity
+// guard in content.js. The parsers work on a prefix of the file: they answer as soon as a second
+// frame (or the end of the single frame) is seen, so large images need not be read in full.
+//
+//   GIF   counts image descriptors (0x2C) between the extension blocks, up to the trailer
+//   APNG  reads num_frames from the acTL chunk, which must come before the first IDAT
+//   WebP  needs the VP8X animation flag and counts ANMF frame chunks
+(function (global) {
+  const ascii = (bytes, at, length) => String.fromCharCode(...bytes.subarray(at, at + length));
+  const u32be = (bytes, at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+  const u32le = (bytes, at) => (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16) | (bytes[at + 3] << 24)) >>> 0;
+
+  // Index after a run of GIF data sub-blocks, or -1 when the run goes past the bytes read
+  function skipSubBlocks(bytes, i) {
+    while (i < bytes.length && bytes[i] !== 0) i += bytes[i] + 1;
+    return i < bytes.length ? i + 1 : -1;
+  }
+
+  function gifAnimated(bytes) {
+    if (bytes.length < 13) return null;
+    let i = 13;
+    if (bytes[10] & 0x80) i += 3 * (2 << (bytes[10] & 7));   // global color table
+    let frames = 0;
+    while (i < bytes.length) {
+      const marker = bytes[i];
+      if (marker === 0x3B) return false;                       // trailer
+      if (marker === 0x21) {                                   // extension: label, then sub-blocks
+        i = skipSubBlocks(bytes, i + 2);
+      } else if (marker === 0x2C) {                            // image descriptor
+        if (++frames > 1) return true;
+        if (i + 10 > bytes.length) return null;
+        const flags = bytes[i + 9];
+        i += 10;
+        if (flags & 0x80) i += 3 * (2 << (flags & 7));         // local color table
+        i = skipSubBlocks(bytes, i + 1);                       // LZW code size, then image data
+      } else {
+        return false;                                          // corrupt; browsers stop here too
+      }
+      if (i < 0) return null;
+    }
+    return null;
+  }
+
+  function pngAnimated(bytes) {
+    let i = 8;
+    while (i + 8 <= bytes.length) {
+      const type = ascii(bytes, i + 4, 4);
+      if (type === 'acTL') return i + 12 <= bytes.length ? u32be(bytes, i + 8) > 1 : null;
+      if (type === 'IDAT' || type === 'IEND') return false;
+      i += 12 + u32be(bytes, i);
+    }
+    return null;
+  }
+
+  function webpAnimated(bytes) {
+    const riffEnd = 8 + u32le(bytes, 4);
+    const end = Math.min(bytes.length, riffEnd);
+    let i = 12;
+    let frames = 0;
+    while (i + 8 <= end) {
+      const type = ascii(bytes, i, 4);
+      const size = u32le(bytes, i + 4);
+      if (type === 'VP8 ' || type === 'VP8L') return false;    // a still image without VP8X
+      if (type === 'VP8X') {
+        if (i + 9 > end) return null;
+        if (!(bytes[i + 8] & 0x02)) return false;              // animation flag
+      }
+      if (type === 'ANMF' && ++frames > 1) return true;
+      i += 8 + size + (size & 1);
+    }
+    return end === riffEnd ? frames > 1 : null;
+  }
+
+  // true for more than one frame, false for a single frame, null when the format is not
+  // recognised or more bytes are needed. With complete set the bytes are the whole file, so
+  // a recognised image that ran out before a second frame counts as still.
+  function isAnimated(bytes, complete = false) {
+    let answer = null;
+    let known = true;
+    if (ascii(bytes, 0, 4) === 'GIF8') answer = gifAnimated(bytes);
+    else if (bytes.length >= 8 && u32be(bytes, 0) === 0x89504E47 && u32be(bytes, 4) === 0x0D0A1A0A) answer = pngAnimated(bytes);
+    else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') answer = webpAnimated(bytes);
+    else known = false;
+    return answer === null && complete && known ? false : answer;
+  }
+
+  global.AuraImageFrames = {
+    isAnimated
+  };
+})(globalThis);
@@ -0,0 +1,47 @@
+// languages.js - translation target languages, shared by content.js and setup.js
+//
+// Codes are BCP 47 tags understood by aura-server /translate; names come from
+// Intl.DisplayNames so the list does not carry its own translations. The profile option
+// translateLanguage holds one of these codes (or any other tag the server accepts); without
+// it pages are translated into the browser language.
+(function (global) {
+  const TRANSLATE_LANGUAGES = [
+    'ar', 'bn', 'de', 'el', 'en', 'es', 'fa', 'fr', 'gu', 'he', 'hi', 'id', 'it', 'ja', 'kn', 'ko', 'ml', 'mr',
+    'ne', 'nl', 'pa', 'pl', 'pt', 'pt-BR', 'ru', 'sv', 'sw', 'ta', 'te', 'th', 'tr', 'uk', 'ur', 'vi', 'zh-Hans', 'zh-Hant'
+  ];
+  const DEFAULT_LANGUAGE = 'en';
+
+  let displayNames = null;
+
+  // English name for a language code, or the code itself when the browser does not know it
+  function name(code) {
+    try {
+      displayNames = displayNames || new Intl.DisplayNames(['en'], { type: 'language' });
+      return displayNames.of(code) || code;
+    } catch (e) {
+      return String(code || '');
+    }
+  }
+
+  // The browser's UI language as one of TRANSLATE_LANGUAGES (exact tag first, then its base language)
+  function browserLanguage() {
+    const tag = String(global.navigator?.language || '');
+    const base = tag.split('-')[0].toLowerCase();
+    return TRANSLATE_LANGUAGES.find(code => code.toLowerCase() === tag.toLowerCase())
+      || TRANSLATE_LANGUAGES.find(code => code === base)
+      || DEFAULT_LANGUAGE;
+  }
+
+  // Sorted by name, for select menus: [{ code, name }]
+  function options() {
+    return TRANSLATE_LANGUAGES.map(code => ({ code, name: name(code) })).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  global.AuraLanguages = {
+    TRANSLATE_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    name,
+    browserLanguage,
+    options
+  };
+})(globalThis);
@@ -9,32 +9,137 @@ document.addEventListener('DOMContentLoaded', () => {
   const currentTimeEl = document.getElementById('currentTime');
   const isNightEl = document.getElementById('isNight');
 
-  // Clock + Night Indicator
+  const nightScheduleEl = document.getElementById('nightSchedule');
+  const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  let nightSchedule = AuraSchedule.normalize(null);
+
+  // Clock + Night Indicator (same schedule the service worker uses, see schedule.js)
   function updateClock() {
     const now = new Date();
     const timeStr = now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false });
     currentTimeEl.textContent = timeStr;
 
-    const hour = now.getHours();
-    const isNight = hour >= 18 || hour < 6;
-    isNightEl.textContent = isNight ? 'Yes' : 'No';
+    const isNight = AuraSchedule.isNight(nightSchedule, now, { prefersDark: colorSchemeQuery.matches });
+    isNightEl.textContent = isNight ? 'Night' : 'Day';
     isNightEl.style.color = isNight ? '#d32f2f' : '#388e3c';
+    nightScheduleEl.textContent = AuraSchedule.describe(nightSchedule, now);
   }
+  AuraSchedule.load().then((schedule) => {
+    nightSchedule = schedule;
+    updateClock();
+  });
+  chrome.storage.local.get(['aura_system_dark'], (res) => {
+    if (!!res.aura_system_dark !== colorSchemeQuery.matches) chrome.storage.local.set({ aura_system_dark: colorSchemeQuery.matches });
+  });
   setInterval(updateClock, 1000);
   updateClock();
 
-  // Load Profile
+  // Load Profile (the site rule, if any, decides what this tab actually uses)
   function loadProfile() {
-    chrome.storage.sync.get(['aura_profile', 'aura_enabled'], (res) => {
-      if (res.aura_profile) {
-        currentProfileEl.textContent = `Profile: ${res.aura_profile.name || 'Custom'}`;
+    chrome.storage.sync.get(['aura_profile', 'aura_enabled', AuraSiteRules.STORAGE_KEY], (res) => {
+      const rule = activeTabUrl ? AuraSiteRules.match(AuraSiteRules.normalizeRules(res[AuraSiteRules.STORAGE_KEY]), activeTabUrl) : null;
+      const profile = rule?.mode === 'allow' ? AuraProfiles.forSiteRule(profileLibrary, rule.profileId, res.aura_profile) : res.aura_profile;
+      if (rule?.mode === 'deny') {
+        currentProfileEl.textContent = 'Off on this site';
+      } else if (profile) {
+        currentProfileEl.textContent = `Profile: ${profile.name || 'Custom'}`;
       } else {
         currentProfileEl.textContent = 'No profile set';
       }
       toggleApplyBtn.checked = res.aura_enabled !== false;
+      renderSiteRule(rule);
+      renderProfileSwitcher(res.aura_profile);
     });
   }
 
+  // === Profile Switcher ===
+  // Switching changes the global profile; a site rule with its own profile still wins on that site
+  const profileSwitcherEl = document.getElementById('profileSwitcher');
+  let profileLibrary = [];
+
+  function renderProfileSwitcher(active) {
+    profileSwitcherEl.innerHTML = '';
+    const groups = [['Built-in', AuraProfiles.BUILT_IN], ['My profiles', profileLibrary]];
+    groups.filter(([, list]) => list.length).forEach(([label, list]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      list.forEach(p => group.appendChild(new Option(p.name, p.id)));
+      profileSwitcherEl.appendChild(group);
+    });
+    // An active profile saved before the library existed is shown but cannot be re-picked
+    if (active && !AuraProfiles.findProfile(profileLibrary, active.id)) {
+      profileSwitcherEl.prepend(new Option(active.name || 'Custom', active.id));
+    }
+    profileSwitcherEl.value = active?.id || 'none';
+  }
+
+  profileSwitcherEl.addEventListener('change', async () => {
+    const profile = AuraProfiles.findProfile(profileLibrary, profileSwitcherEl.value);
+    if (!profile) return;
+    await AuraProfiles.activate(profile);
+    loadProfile();
+  });
+
+  AuraProfiles.loadLibrary().then((library) => {
+    profileLibrary = library;
+    loadProfile();
+  });
+
+  // === This Site ===
+  const siteHostEl = document.getElementById('siteHost');
+  const siteAllowBtn = document.getElementById('siteAllow');
+  const siteDenyBtn = document.getElementById('siteDeny');
+  const siteStatusEl = document.getElementById('siteStatus');
+  let activeTabUrl = null;
+  let sitePattern = null;
+
+  function renderSiteRule(rule) {
+    if (!sitePattern) {
+      siteHostEl.textContent = 'This page';
+      siteStatusEl.textContent = 'Site rules only apply to web pages.';
+      siteAllowBtn.disabled = true;
+      siteDenyBtn.disabled = true;
+      return;
+    }
+    siteHostEl.textContent = sitePattern;
+    siteHostEl.title = sitePattern;
+    // Only a rule with exactly this pattern can be toggled from here; broader ones are managed in setup
+    const own = rule && AuraSiteRules.normalizePattern(rule.pattern) === sitePattern ? rule : null;
+    siteAllowBtn.setAttribute('aria-pressed', String(own?.mode === 'allow'));
+    siteDenyBtn.setAttribute('aria-pressed', String(own?.mode === 'deny'));
+    if (!rule) siteStatusEl.textContent = 'Following your global settings.';
+    else if (rule.mode === 'deny') siteStatusEl.textContent = `AURA is off here (rule: ${rule.pattern}).`;
+    else siteStatusEl.textContent = `AURA is on here (rule: ${rule.pattern}).`;
+  }
+
+  async function setSiteRule(mode) {
+    if (!sitePattern) return;
+    const rules = await AuraSiteRules.load();
+    const existing = rules.find(r => AuraSiteRules.normalizePattern(r.pattern) === sitePattern);
+    let next;
+    if (existing?.mode === mode) {
+      // Pressing the active button again removes the rule
+      next = AuraSiteRules.remove(rules, sitePattern);
+    } else if (mode === 'allow') {
+      // The rule keeps the current profile for this site, by id so later edits to it apply too
+      const { aura_profile } = await chrome.storage.sync.get(['aura_profile']);
+      const profileId = existing?.profileId || AuraProfiles.findProfile(profileLibrary, aura_profile?.id)?.id;
+      next = AuraSiteRules.upsert(rules, profileId ? { pattern: sitePattern, mode, profileId } : { pattern: sitePattern, mode });
+    } else {
+      next = AuraSiteRules.upsert(rules, { pattern: sitePattern, mode });
+    }
+    try {
+      await AuraSiteRules.save(next);
+    } catch (e) {
+      siteStatusEl.textContent = `Could not save: ${e.message}`;
+      return;
+    }
+    loadProfile();
+  }
+
+  siteAllowBtn.addEventListener('click', () => setSiteRule('allow'));
+  siteDenyBtn.addEventListener('click', () => setSiteRule('deny'));
+
   // Send message to active tab
   function sendToActiveTab(msg) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -45,11 +150,40 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // === Ad Block ===
-  chrome.runtime.sendMessage({ type: 'AURA_ADBLOCK_STATUS' }, (resp) => {
-    if (resp) {
+  // Counts come from the service worker (see blockStats.js); pausing adds an allow rule for the site
+  const pageBlockedCountEl = document.getElementById('pageBlockedCount');
+  const pauseSiteBtn = document.getElementById('pauseSite');
+  const pauseStatusEl = document.getElementById('pauseStatus');
+  let activeTabId = null;
+  let blockingSite = null;
+
+  function loadAdBlockStatus() {
+    chrome.runtime.sendMessage({ type: 'AURA_ADBLOCK_STATUS', tabId: activeTabId, url: activeTabUrl }, (resp) => {
+      if (!resp) return;
       adblockToggle.checked = resp.enabled;
       blockedCountEl.textContent = resp.blocked;
-    }
+      pageBlockedCountEl.textContent = resp.page || 0;
+      blockingSite = sitePattern ? resp.site : null;
+      pauseSiteBtn.disabled = !blockingSite;
+      pauseSiteBtn.setAttribute('aria-pressed', String(!!resp.paused));
+      pauseStatusEl.textContent = resp.paused ? `Blocking is paused on ${blockingSite}.` : '';
+    });
+  }
+
+  pauseSiteBtn.addEventListener('click', () => {
+    const paused = pauseSiteBtn.getAttribute('aria-pressed') !== 'true';
+    pauseSiteBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'AURA_BLOCKING_PAUSE', site: blockingSite, paused }, (resp) => {
+      pauseSiteBtn.disabled = false;
+      if (!resp?.ok) {
+        pauseStatusEl.textContent = `Could not update: ${resp?.error || 'no response'}`;
+        return;
+      }
+      pauseSiteBtn.setAttribute('aria-pressed', String(paused));
+      pauseStatusEl.textContent = paused
+        ? `Blocking is paused on ${blockingSite}. Reload the page to see it unblocked.`
+        : `Blocking resumed on ${blockingSite}.`;
+    });
   });
 
   adblockToggle.addEventListener('change', () => {
@@ -58,6 +192,180 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // === Filter Lists ===
+  // Toggled here; importing and updating need a file picker, which closes the popup on
+  // some platforms, so "Update" opens the setup page on that list instead.
+  const filterListsEl = document.getElementById('filterLists');
+  const manageFilterListsBtn = document.getElementById('manageFilterLists');
+
+  function openFilterListSetup(listId) {
+    const query = listId ? `?updateList=${encodeURIComponent(listId)}` : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL(`setup.html${query}#filter-lists`) });
+  }
+
+  function renderFilterLists(lists) {
+    filterListsEl.innerHTML = '';
+    lists.forEach((list) => {
+      const li = document.createElement('li');
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = !!list.enabled;
+      toggle.id = `filter-${list.id}`;
+      toggle.addEventListener('change', () => {
+        toggle.disabled = true;
+        chrome.runtime.sendMessage({ type: 'AURA_FILTER_LIST_SET_ENABLED', id: list.id, enabled: toggle.checked }, (resp) => {
+          if (resp?.ok) renderFilterLists(resp.lists);
+          else toggle.disabled = false;
+        });
+      });
+      const label = document.createElement('label');
+      label.htmlFor = toggle.id;
+      label.className = 'list-name';
+      label.textContent = list.name;
+      const meta = document.createElement('span');
+      meta.className = 'list-meta';
+      meta.textContent = list.enabled ? `${list.activeRules || 0} rules` : 'off';
+      const update = document.createElement('button');
+      update.type = 'button';
+      update.className = 'link-button';
+      update.textContent = 'Update';
+      update.setAttribute('aria-label', `Update ${list.name}`);
+      update.addEventListener('click', () => openFilterListSetup(list.id));
+      li.append(toggle, label, meta, update);
+      filterListsEl.appendChild(li);
+    });
+  }
+
+  chrome.runtime.sendMessage({ type: 'AURA_FILTER_LISTS' }, (resp) => {
+    if (resp?.lists) renderFilterLists(resp.lists);
+  });
+  manageFilterListsBtn.addEventListener('click', () => openFilterListSetup());
+
+  // === Hide Elements ===
+  // The picker runs in the page; rules it saves are per hostname (see cosmeticFilters.js)
+  const pickElementBtn = document.getElementById('pickElement');
+  const hiddenOnSiteEl = document.getElementById('hiddenOnSite');
+  const resetHiddenBtn = document.getElementById('resetHidden');
+  let activeTabHost = null;
+
+  async function renderHiddenElements() {
+    pickElementBtn.disabled = !activeTabHost;
+    const rules = await AuraCosmetic.loadUserRules();
+    const count = activeTabHost ? (rules[activeTabHost] || []).length : 0;
+    hiddenOnSiteEl.textContent = count ? `${count} hidden on this site` : '';
+    resetHiddenBtn.hidden = !count;
+  }
+
+  pickElementBtn.addEventListener('click', () => {
+    sendToActiveTab({ type: 'AURA_ELEMENT_PICKER' });
+    window.close();
+  });
+
+  resetHiddenBtn.addEventListener('click', async () => {
+    const rules = await AuraCosmetic.loadUserRules();
+    await AuraCosmetic.saveUserRules(AuraCosmetic.removeUserRules(rules, activeTabHost));
+    renderHiddenElements();
+  });
+
+  // === Focus Mode / Read Aloud ===
+  const focusModeBtn = document.getElementById('focusMode');
+  const readAloudBtn = document.getElementById('readAloud');
+  const simplifyPageBtn = document.getElementById('simplifyPage');
+  const translatePageBtn = document.getElementById('translatePage');
+  const rewriteActionsEl = document.getElementById('rewriteActions');
+  const focusStatusEl = document.getElementById('focusStatus');
+
+  // Pages without the content script (chrome://, the Web Store) never answer
+  function loadFocusModeStatus() {
+    if (!activeTabId) return;
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_READER_STATUS' }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      focusModeBtn.disabled = false;
+      focusModeBtn.setAttribute('aria-pressed', String(!!resp.open));
+      focusModeBtn.textContent = resp.open ? 'Exit focus mode' : 'Focus mode';
+      readAloudBtn.disabled = false;
+      readAloudBtn.setAttribute('aria-pressed', String(!!resp.reading));
+      readAloudBtn.textContent = resp.reading ? 'Stop reading' : 'Read aloud';
+      simplifyPageBtn.disabled = false;
+      simplifyPageBtn.setAttribute('aria-pressed', String(!!resp.simplifying));
+      simplifyPageBtn.textContent = resp.simplifying ? 'Stop simplifying' : 'Simplify page';
+      showTranslationState(resp.translation, resp.translationLanguage);
+      showRewriteCount(resp.rewrites || 0);
+    });
+  }
+
+  // state: 'none', 'running', 'translated' or 'original' (see togglePageTranslation in content.js)
+  function showTranslationState(state, language) {
+    translatePageBtn.disabled = false;
+    translatePageBtn.setAttribute('aria-pressed', String(state === 'running' || state === 'translated'));
+    translatePageBtn.textContent = {
+      running: 'Stop translating',
+      translated: 'Show original',
+      original: `Show ${language || 'translation'}`
+    }[state] || `Translate to ${language || 'your language'}`;
+  }
+
+  // Simplified or translated passages on the page, which can be undone from here
+  function showRewriteCount(count) {
+    rewriteActionsEl.hidden = !count;
+    document.getElementById('revertRewrites').textContent = count > 1 ? `Revert page (${count} changes)` : 'Revert page';
+  }
+
+  function undoRewrites(all) {
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_REWRITE_UNDO', all }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      showRewriteCount(resp.rewrites);
+      focusStatusEl.textContent = resp.undone ? `Restored the original text (${resp.undone} ${resp.undone === 1 ? 'change' : 'changes'}).` : 'The page no longer has that passage.';
+    });
+  }
+
+  document.getElementById('undoRewrite').addEventListener('click', () => undoRewrites(false));
+  document.getElementById('revertRewrites').addEventListener('click', () => undoRewrites(true));
+
+  focusModeBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_READER_TOGGLE' }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      if (!resp.ok) {
+        focusStatusEl.textContent = `${resp.error}.`;
+        return;
+      }
+      window.close();
+    });
+  });
+
+  readAloudBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_READ_ALOUD_TOGGLE' }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      if (!resp.ok) {
+        focusStatusEl.textContent = `${resp.error}.`;
+        return;
+      }
+      window.close();
+    });
+  });
+
+  simplifyPageBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_SIMPLIFY_PAGE' }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      if (!resp.ok) {
+        focusStatusEl.textContent = `${resp.error}.`;
+        return;
+      }
+      window.close();
+    });
+  });
+
+  translatePageBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(activeTabId, { type: 'AURA_TRANSLATE_PAGE' }, (resp) => {
+      if (chrome.runtime.lastError || !resp) return;
+      if (!resp.ok) {
+        focusStatusEl.textContent = `${resp.error}.`;
+        return;
+      }
+      window.close();
+    });
+  });
+
   // === Dark Mode ===
   chrome.runtime.sendMessage({ type: 'AURA_DARKMODE_STATUS' }, (resp) => {
     if (resp) darkmodeToggle.checked = resp.enabled;
@@ -81,5 +389,14 @@ document.addEventListener('DOMContentLoaded', () => {
     sendToActiveTab({ type: 'AURA_TOGGLE_PANEL' });
   });
 
-  loadProfile();
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    activeTabUrl = tabs[0]?.url || null;
+    activeTabId = tabs[0]?.id || null;
+    sitePattern = activeTabUrl ? AuraSiteRules.patternForUrl(activeTabUrl) : null;
+    activeTabHost = sitePattern ? new URL(activeTabUrl).hostname : null;
+    loadProfile();
+    loadAdBlockStatus();
+    loadFocusModeStatus();
+    renderHiddenElements();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,309 @@
+// profileSchema.js - versioned export files for profiles and settings bundles, used by setup.js
+//
+// Profile file (aura-profile.json):
+//   { format: 'aura-profile', version: 2, exportedAt, profile: { name, fontSize, ... } }
+// Bundle file (aura-settings.json), everything needed to set up another browser in one import:
+//   { format: 'aura-bundle', version: 2, exportedAt,
+//     profiles: [...], activeProfile, siteRules: [{ pattern, mode, profileId }], emotionMap: { word: 'emotion' },
+//     emotionAware, adBlock: { enabled, pausedSites, hiddenElements, filterLists: [{ name, enabled, text }] } }
+//
+// Version 1 is the flat profile object written before files were versioned. Older files are
+// upgraded one step at a time through MIGRATIONS before they are validated; every problem is
+// reported with the path of the field it concerns ('profiles[2].fontSize ...').
+(function (global) {
+  const SCHEMA_VERSION = 2;
+  const PROFILE_FORMAT = 'aura-profile';
+  const BUNDLE_FORMAT = 'aura-bundle';
+  const MAX_ERRORS = 20;
+
+  // Reading-level targets understood by aura-server /simplify
+  const READING_LEVELS = ['A2', 'B1', 'B2', 'grade-3', 'grade-5', 'grade-8'];
+  const CURSOR_TYPES = ['auto', 'default', 'pointer', 'text', 'move', 'wait', 'help', 'not-allowed', 'crosshair', 'zoom-in', 'zoom-out', 'grab', 'grabbing'];
+
+  // Ranges follow the setup page controls, so an imported profile can always be edited there
+  const PROFILE_FIELDS = {
+    name: { type: 'string', maxLength: 40, optional: true },
+    fontSize: { type: 'number', min: 12, max: 40, integer: true },
+    fontFamily: { type: 'string', maxLength: 200, pattern: /^[\w\s'",.-]+$/, hint: 'font names separated by commas' },
+    bgColor: { type: 'color' },
+    textColor: { type: 'color' },
+    linkColor: { type: 'color' },
+    lineHeight: { type: 'number', min: 1, max: 2.5 },
+    letterSpacing: { type: 'number', min: 0, max: 1 },
+    wordSpacing: { type: 'number', min: 0, max: 1 },
+    cursorType: { type: 'enum', values: CURSOR_TYPES },
+    animations: { type: 'boolean' },
+    photosensitivityGuard: { type: 'boolean', optional: true },
+    readingRuler: { type: 'boolean', optional: true },
+    rulerHeight: { type: 'number', min: 24, max: 120, integer: true, optional: true },
+    rulerOpacity: { type: 'number', min: 0, max: 0.9, optional: true },
+    rulerTint: { type: 'color', optional: true },
+    motorAssist: { type: 'boolean', optional: true },
+    dwellClick: { type: 'boolean', optional: true },
+    dwellTime: { type: 'number', min: 400, max: 3000, integer: true, optional: true },
+    ttsVoice: { type: 'string', maxLength: 200, optional: true },
+    ttsRate: { type: 'number', min: 0.5, max: 2, optional: true },
+    ttsPitch: { type: 'number', min: 0.5, max: 2, optional: true },
+    readingLevel: { type: 'enum', values: READING_LEVELS, optional: true },
+    translateLanguage: { type: 'string', maxLength: 20, pattern: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/, hint: 'a language code such as es or pt-BR', optional: true }
+  };
+
+  const MIGRATIONS = {
+    // 1 -> 2: wrap the flat profile; the earliest exports had no linkColor
+    1(data) {
+      const { id, ...profile } = data;
+      if (profile.linkColor === undefined) profile.linkColor = '#1a0dab';
+      return { format: PROFILE_FORMAT, version: 2, profile };
+    }
+  };
+
+  function describe(value) {
+    if (value === undefined) return 'missing';
+    if (typeof value === 'string') return `"${value.slice(0, 40)}"`;
+    return JSON.stringify(value)?.slice(0, 40) ?? String(value);
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Returns [value, error message or null] for one field
+  function checkField(spec, value) {
+    switch (spec.type) {
+      case 'number': {
+        const range = `${spec.integer ? 'a whole number' : 'a number'} from ${spec.min} to ${spec.max}`;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return [null, `must be ${range} (got ${describe(value)})`];
+        if (spec.integer && !Number.isInteger(value)) return [null, `must be ${range} (got ${value})`];
+        if (value < spec.min || value > spec.max) return [null, `must be ${range} (got ${value})`];
+        return [value, null];
+      }
+      case 'string': {
+        if (typeof value !== 'string' || !value.trim()) return [null, `must be text (got ${describe(value)})`];
+        if (value.length > spec.maxLength) return [null, `must be at most ${spec.maxLength} characters`];
+        if (spec.pattern && !spec.pattern.test(value)) return [null, `must be ${spec.hint} (got ${describe(value)})`];
+        return [value.trim(), null];
+      }
+      case 'color': {
+        const m = typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+        if (!m) return [null, `must be a colour like #1a0dab (got ${describe(value)})`];
+        const hex = m[1].length === 3 ? m[1].split('').map(ch => ch + ch).join('') : m[1];
+        return [`#${hex.toLowerCase()}`, null];
+      }
+      case 'enum':
+        if (!spec.values.includes(value)) return [null, `must be one of ${spec.values.join(', ')} (got ${describe(value)})`];
+        return [value, null];
+      case 'boolean':
+        if (typeof value !== 'boolean') return [null, `must be true or false (got ${describe(value)})`];
+        return [value, null];
+      default:
+        return [null, 'has an unknown type'];
+    }
+  }
+
+  // Unknown fields are dropped; returns { profile, errors: ['path.field must be ...'] }
+  function validateProfile(data, path = 'profile') {
+    if (!isPlainObject(data)) return { profile: null, errors: [`${path} must be an object`] };
+    const profile = {};
+    const errors = [];
+    Object.entries(PROFILE_FIELDS).forEach(([key, spec]) => {
+      if (data[key] === undefined && spec.optional) return;
+      const [value, error] = checkField(spec, data[key]);
+      if (error) errors.push(`${path}.${key} ${error}`);
+      else profile[key] = value;
+    });
+    if (typeof data.id === 'string' && data.id) profile.id = data.id;
+    return { profile: errors.length ? null : profile, errors };
+  }
+
+  function validateSiteRules(rules, errors) {
+    if (rules === undefined) return [];
+    if (!Array.isArray(rules)) { errors.push('siteRules must be a list'); return []; }
+    const valid = [];
+    rules.forEach((rule, i) => {
+      const path = `siteRules[${i}]`;
+      if (!isPlainObject(rule)) { errors.push(`${path} must be an object`); return; }
+      if (!global.AuraSiteRules?.isValidPattern(rule.pattern)) { errors.push(`${path}.pattern is not a valid site pattern (got ${describe(rule.pattern)})`); return; }
+      if (rule.mode !== 'allow' && rule.mode !== 'deny') { errors.push(`${path}.mode must be allow or deny (got ${describe(rule.mode)})`); return; }
+      const out = { pattern: global.AuraSiteRules.normalizePattern(rule.pattern), mode: rule.mode };
+      // Older bundles carry a copy of the profile; its id is all a rule keeps
+      const profileId = rule.profileId ?? rule.profile?.id;
+      if (profileId !== undefined) {
+        if (typeof profileId !== 'string' || !/^[\w-]{1,40}$/.test(profileId)) errors.push(`${path}.profileId must be a profile id (got ${describe(profileId)})`);
+        else out.profileId = profileId;
+      }
+      valid.push(out);
+    });
+    return valid;
+  }
+
+  function validateEmotionMap(map, errors) {
+    if (map === undefined) return undefined;
+    if (!isPlainObject(map)) { errors.push('emotionMap must be an object of word: emotion pairs'); return undefined; }
+    const out = {};
+    Object.entries(map).forEach(([word, emotion]) => {
+      if (typeof emotion !== 'string' || !emotion.trim()) errors.push(`emotionMap["${word.slice(0, 40)}"] must be text (got ${describe(emotion)})`);
+      else out[word.toLowerCase()] = emotion.trim();
+    });
+    return out;
+  }
+
+  function validateAdBlock(adBlock, errors) {
+    if (adBlock === undefined) return undefined;
+    if (!isPlainObject(adBlock)) { errors.push('adBlock must be an object'); return undefined; }
+    const out = {};
+    if (adBlock.enabled !== undefined) {
+      if (typeof adBlock.enabled !== 'boolean') errors.push(`adBlock.enabled must be true or false (got ${describe(adBlock.enabled)})`);
+      else out.enabled = adBlock.enabled;
+    }
+    if (adBlock.pausedSites !== undefined) {
+      if (!Array.isArray(adBlock.pausedSites)) errors.push('adBlock.pausedSites must be a list of sites');
+      else {
+        out.pausedSites = [];
+        adBlock.pausedSites.forEach((site, i) => {
+          const key = global.AuraBlockStats ? global.AuraBlockStats.siteKey(site) : String(site || '').toLowerCase();
+          if (typeof site !== 'string' || !/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(key)) errors.push(`adBlock.pausedSites[${i}] must be a hostname (got ${describe(site)})`);
+          else out.pausedSites.push(key);
+        });
+      }
+    }
+    if (adBlock.hiddenElements !== undefined) {
+      if (!isPlainObject(adBlock.hiddenElements)) errors.push('adBlock.hiddenElements must map hostnames to selector lists');
+      else {
+        out.hiddenElements = {};
+        Object.entries(adBlock.hiddenElements).forEach(([host, selectors]) => {
+          if (!Array.isArray(selectors) || !selectors.every(s => typeof s === 'string' && s.trim())) {
+            errors.push(`adBlock.hiddenElements["${host.slice(0, 60)}"] must be a list of CSS selectors`);
+          } else {
+            out.hiddenElements[host.toLowerCase()] = selectors.map(s => s.trim());
+          }
+        });
+      }
+    }
+    if (adBlock.filterLists !== undefined) {
+      if (!Array.isArray(adBlock.filterLists)) errors.push('adBlock.filterLists must be a list');
+      else {
+        out.filterLists = [];
+        adBlock.filterLists.forEach((list, i) => {
+          const path = `adBlock.filterLists[${i}]`;
+          if (!isPlainObject(list)) { errors.push(`${path} must be an object`); return; }
+          if (typeof list.name !== 'string' || !list.name.trim()) { errors.push(`${path}.name must be text (got ${describe(list.name)})`); return; }
+          if (typeof list.text !== 'string') { errors.push(`${path}.text must be the filter list text`); return; }
+          out.filterLists.push({ name: list.name.trim().slice(0, 80), enabled: list.enabled !== false, text: list.text });
+        });
+      }
+    }
+    return out;
+  }
+
+  function validateBundle(data) {
+    const errors = [];
+    const profiles = [];
+    const maxProfiles = global.AuraProfiles?.MAX_CUSTOM_PROFILES;
+    if (!Array.isArray(data.profiles)) errors.push('profiles must be a list');
+    else if (maxProfiles && data.profiles.length > maxProfiles) errors.push(`profiles has ${data.profiles.length} profiles; at most ${maxProfiles} can be kept`);
+    else {
+      data.profiles.forEach((p, i) => {
+        const result = validateProfile(p, `profiles[${i}]`);
+        if (result.profile && !result.profile.name) result.errors.push(`profiles[${i}].name is missing`);
+        errors.push(...result.errors);
+        if (!result.errors.length) profiles.push(result.profile);
+      });
+    }
+    let activeProfile = null;
+    if (data.activeProfile !== undefined && data.activeProfile !== null) {
+      const result = validateProfile(data.activeProfile, 'activeProfile');
+      errors.push(...result.errors);
+      activeProfile = result.profile;
+    }
+    const bundle = {
+      profiles,
+      activeProfile,
+      siteRules: validateSiteRules(data.siteRules, errors),
+      emotionMap: validateEmotionMap(data.emotionMap, errors),
+      emotionAware: typeof data.emotionAware === 'boolean' ? data.emotionAware : undefined,
+      adBlock: validateAdBlock(data.adBlock, errors)
+    };
+    return { bundle: errors.length ? null : bundle, errors };
+  }
+
+  // Upgrades any known version to SCHEMA_VERSION; throws when the file cannot be upgraded
+  function migrate(data) {
+    let current = data;
+    let version = Number.isInteger(current.version) ? current.version : 1;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`This file was saved by a newer version of AURA (format version ${version}). Update the extension to import it.`);
+    }
+    while (version < SCHEMA_VERSION) {
+      if (!MIGRATIONS[version]) throw new Error(`Format version ${version} is not supported.`);
+      current = MIGRATIONS[version](current);
+      version = current.version;
+    }
+    return current;
+  }
+
+  // parseFile(text) -> { kind: 'profile', profile } | { kind: 'bundle', bundle }; throws an Error
+  // whose message lists the problems (at most MAX_ERRORS) when the file is not usable
+  function parseFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (!isPlainObject(data)) throw new Error('The file does not contain an AURA profile or settings bundle.');
+    const upgraded = migrate(data);
+
+    const fail = (errors) => {
+      const shown = errors.slice(0, MAX_ERRORS);
+      const more = errors.length > shown.length ? `\n…and ${errors.length - shown.length} more` : '';
+      const error = new Error(`${shown.join('\n')}${more}`);
+      error.problems = errors;
+      throw error;
+    };
+
+    if (upgraded.format === PROFILE_FORMAT) {
+      const result = validateProfile(upgraded.profile);
+      if (result.errors.length) fail(result.errors);
+      return { kind: 'profile', profile: result.profile };
+    }
+    if (upgraded.format === BUNDLE_FORMAT) {
+      const result = validateBundle(upgraded);
+      if (result.errors.length) fail(result.errors);
+      return { kind: 'bundle', bundle: result.bundle };
+    }
+    throw new Error(`Unknown file format ${describe(upgraded.format)}.`);
+  }
+
+  function profileFile(profile) {
+    const { id, ...settings } = profile;
+    return { format: PROFILE_FORMAT, version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), profile: settings };
+  }
+
+  function bundleFile({ profiles, activeProfile, siteRules, emotionMap, emotionAware, adBlock }) {
+    return {
+      format: BUNDLE_FORMAT,
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles,
+      activeProfile,
+      siteRules,
+      emotionMap,
+      emotionAware,
+      adBlock
+    };
+  }
+
+  global.AuraProfileSchema = {
+    SCHEMA_VERSION,
+    PROFILE_FIELDS,
+    CURSOR_TYPES,
+    READING_LEVELS,
+    MIGRATIONS,
+    validateProfile,
+    validateBundle,
+    migrate,
+    parseFile,
+    profileFile,
+    bundleFile
+  };
+})(globalThis);
@@ -0,0 +1,195 @@
+// profiles.js - built-in profiles and the user's profile library, shared by setup.js,
+// popup.js and background.js (importScripts)
+//
+// chrome.storage.sync:
+//   aura_profile             the active profile, a full copy that content.js applies
+//   aura_profiles            the library order: ['p_m2k9x1', ...]
+//   aura_profiles:p_m2k9x1   one custom profile: { id: 'p_m2k9x1', name: 'Tired evening', ...settings }
+// A profile with every option set is about 600 bytes, so each gets its own sync item rather
+// than sharing one 8 KB item (QUOTA_BYTES_PER_ITEM). Libraries saved as a single array of
+// profiles are still read, and rewritten in this layout on the next save.
+// Built-in profiles are never stored; their ids ('none', 'dyslexia', ...) are fixed.
+(function (global) {
+  const ACTIVE_KEY = 'aura_profile';
+  const LIBRARY_KEY = 'aura_profiles';
+  const PROFILE_KEY_PREFIX = 'aura_profiles:';
+  const MAX_CUSTOM_PROFILES = 20;        // about 12 KB of the 100 KB sync quota
+  const MAX_NAME_LENGTH = 40;
+
+  const BUILT_IN = [
+    { id: 'none', name: 'None (Default)', fontSize: 16, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#1a0dab", lineHeight: 1.4, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto'},
+    { id: 'dyslexia', name: 'Dyslexia', fontSize: 20, fontFamily: "'OpenDyslexic','Verdana', 'Arial', sans-serif", bgColor: "#fffbe6", textColor: "#0b1b3a", linkColor: "#165788", lineHeight: 1.6, letterSpacing: 0.18, wordSpacing: 0.28, animations: false, cursorType: 'text' },
+    { id: 'adhd', name: 'ADHD', fontSize: 18, fontFamily: "'Open Sans', sans-serif", bgColor: "#ffffff", textColor: "#111111", linkColor: "#0066cc", lineHeight: 1.4, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
+    { id: 'autism', name: 'Autism', fontSize: 19, fontFamily: "'Arial', sans-serif", bgColor: "#f6fbff", textColor: "#0b2a4a", linkColor: "#0b5fff", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto', motorAssist: true },
+    { id: 'lowvision', name: 'Low Vision', fontSize: 26, fontFamily: "'Verdana', sans-serif", bgColor: "#000000", textColor: "#ffffff", linkColor: "#66b3ff", lineHeight: 1.5, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
+    { id: 'colorblind', name: 'Color Blindness', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#2b6cb0", lineHeight: 1.5, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
+    { id: 'fatigue', name: 'Cognitive Fatigue', fontSize: 18, fontFamily: "'Roboto', sans-serif", bgColor: "#f4f7f6", textColor: "#1b2b2b", linkColor: "#2b6cb0", lineHeight: 1.8, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
+    { id: 'epilepsy', name: 'Epilepsy Sensitivity', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#1a0dab", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: false, cursorType: 'auto', photosensitivityGuard: true },
+    { id: 'motor', name: 'Motor Coordination', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#fffef6", textColor: "#0b1b3a", linkColor: "#1972e7", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto', motorAssist: true }
+  ];
+
+  function isBuiltIn(id) {
+    return BUILT_IN.some(p => p.id === id);
+  }
+
+  function allProfiles(library) {
+    return [...BUILT_IN, ...(Array.isArray(library) ? library : [])];
+  }
+
+  function findProfile(library, id) {
+    return allProfiles(library).find(p => p.id === id) || null;
+  }
+
+  // The profile a site rule's profileId names, or fallback (the active profile) when it names
+  // none or the profile was deleted
+  function forSiteRule(library, profileId, fallback) {
+    return (profileId && findProfile(library, profileId)) || fallback || null;
+  }
+
+  // Whether a storage.onChanged key belongs to the library
+  function isLibraryKey(key) {
+    return key === LIBRARY_KEY || key.startsWith(PROFILE_KEY_PREFIX);
+  }
+
+  function cleanName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  // "Reading" -> "Reading (2)" when the name is taken (case-insensitive, ignoring exceptId)
+  function uniqueName(library, name, exceptId = null) {
+    const base = cleanName(name) || 'My profile';
+    const taken = new Set(allProfiles(library).filter(p => p.id !== exceptId).map(p => p.name.toLowerCase()));
+    if (!taken.has(base.toLowerCase())) return base;
+    for (let n = 2; ; n++) {
+      const candidate = `${base.slice(0, MAX_NAME_LENGTH - 5)} (${n})`;
+      if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+  }
+
+  function newId() {
+    return `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  }
+
+  // Library operations return { library, profile } with a new array; nothing is stored until saveLibrary
+  function create(library, settings, name) {
+    const list = Array.isArray(library) ? library : [];
+    if (list.length >= MAX_CUSTOM_PROFILES) {
+      throw new Error(`You can keep up to ${MAX_CUSTOM_PROFILES} custom profiles. Delete one to make room.`);
+    }
+    const profile = { ...settings, id: newId(), name: uniqueName(list, name || settings?.name) };
+    return { library: [...list, profile], profile };
+  }
+
+  function duplicate(library, id) {
+    const source = findProfile(library, id);
+    if (!source) throw new Error('That profile no longer exists.');
+    return create(library, source, `${source.name} copy`);
+  }
+
+  function rename(library, id, name) {
+    if (isBuiltIn(id)) throw new Error('Built-in profiles cannot be renamed. Duplicate it first.');
+    if (!cleanName(name)) throw new Error('Enter a name for the profile.');
+    return update(library, { ...findProfile(library, id), name: uniqueName(library, name, id) });
+  }
+
+  function update(library, profile) {
+    const list = Array.isArray(library) ? library : [];
+    if (!profile || !list.some(p => p.id === profile.id)) throw new Error('That profile no longer exists.');
+    const next = { ...profile, name: uniqueName(list, profile.name, profile.id) };
+    return { library: list.map(p => (p.id === next.id ? next : p)), profile: next };
+  }
+
+  function remove(library, id) {
+    if (isBuiltIn(id)) throw new Error('Built-in profiles cannot be deleted.');
+    const list = Array.isArray(library) ? library : [];
+    return { library: list.filter(p => p.id !== id), profile: null };
+  }
+
+  // The keyboard command cycles through the custom profiles once there are at least two,
+  // otherwise through everything; an unknown current profile starts at the first one
+  function nextProfile(library, currentId) {
+    const list = Array.isArray(library) && library.length >= 2 ? library : allProfiles(library);
+    const index = list.findIndex(p => p.id === currentId);
+    return list[(index + 1) % list.length];
+  }
+
+  function loadLibrary() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.sync.get(null, (res) => {
+          const order = Array.isArray(res?.[LIBRARY_KEY]) ? res[LIBRARY_KEY] : [];
+          // Entries are ids, or the profiles themselves in libraries saved as one array
+          resolve(order
+            .map(entry => (typeof entry === 'string' ? res[PROFILE_KEY_PREFIX + entry] : entry))
+            .filter(p => p && typeof p === 'object' && p.id));
+        });
+      } catch (e) {
+        resolve([]);
+      }
+    });
+  }
+
+  // Writes the order and every profile, then removes the items of deleted profiles
+  function saveLibrary(library) {
+    const items = { [LIBRARY_KEY]: library.map(p => p.id) };
+    library.forEach((p) => { items[PROFILE_KEY_PREFIX + p.id] = p; });
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(null, (res) => {
+        const stale = Object.keys(res || {}).filter(key => key.startsWith(PROFILE_KEY_PREFIX) && !(key in items));
+        chrome.storage.sync.set(items, () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          if (!stale.length) {
+            resolve(library);
+            return;
+          }
+          chrome.storage.sync.remove(stale, () => resolve(library));
+        });
+      });
+    });
+  }
+
+  function loadActive() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.sync.get([ACTIVE_KEY], (res) => resolve(res?.[ACTIVE_KEY] || null));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }
+
+  function activate(profile) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ [ACTIVE_KEY]: profile }, () => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(profile);
+      });
+    });
+  }
+
+  global.AuraProfiles = {
+    ACTIVE_KEY,
+    LIBRARY_KEY,
+    MAX_CUSTOM_PROFILES,
+    BUILT_IN,
+    isBuiltIn,
+    allProfiles,
+    findProfile,
+    forSiteRule,
+    isLibraryKey,
+    uniqueName,
+    create,
+    duplicate,
+    rename,
+    update,
+    remove,
+    nextProfile,
+    loadLibrary,
+    saveLibrary,
+    loadActive,
+    activate
+  };
+})(globalThis);
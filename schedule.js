@@ -0,0 +1,159 @@
+// schedule.js - night-mode schedule shared by background.js (importScripts), popup.js and setup.js
+//
+// Stored once in chrome.storage.sync under aura_dark_schedule:
+//   { mode: 'schedule', weekday: { start: '18:00', end: '06:00' }, weekend: { start: '18:00', end: '06:00' } }
+//   { mode: 'system' }                                   follow the OS prefers-color-scheme
+//   { mode: 'sun', latitude: 51.5, longitude: -0.13 }    sunset to sunrise, computed offline
+//
+// Windows may cross midnight; the early-morning part belongs to the previous day's window,
+// so Friday 22:00–07:00 still covers Saturday 03:00 even when weekends start later.
+(function (global) {
+  const STORAGE_KEY = 'aura_dark_schedule';
+  const MODES = ['schedule', 'system', 'sun'];
+  const DEFAULT_SCHEDULE = {
+    mode: 'schedule',
+    weekday: { start: '18:00', end: '06:00' },
+    weekend: { start: '18:00', end: '06:00' },
+    latitude: null,
+    longitude: null
+  };
+
+  function parseTime(value) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+    return Number(m[1]) * 60 + Number(m[2]);
+  }
+
+  function normalizeWindow(win, fallback) {
+    const start = parseTime(win?.start) === null ? fallback.start : win.start;
+    const end = parseTime(win?.end) === null ? fallback.end : win.end;
+    return { start, end };
+  }
+
+  function toCoordinate(value, limit) {
+    const n = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(n) && Math.abs(n) <= limit ? n : null;
+  }
+
+  // Fills in missing or malformed fields so callers can trust the shape
+  function normalize(schedule) {
+    const s = schedule && typeof schedule === 'object' ? schedule : {};
+    return {
+      mode: MODES.includes(s.mode) ? s.mode : DEFAULT_SCHEDULE.mode,
+      weekday: normalizeWindow(s.weekday, DEFAULT_SCHEDULE.weekday),
+      weekend: normalizeWindow(s.weekend, DEFAULT_SCHEDULE.weekend),
+      latitude: toCoordinate(s.latitude, 90),
+      longitude: toCoordinate(s.longitude, 180)
+    };
+  }
+
+  function isWeekend(date) {
+    const day = date.getDay();
+    return day === 0 || day === 6;
+  }
+
+  function windowFor(schedule, date) {
+    return isWeekend(date) ? schedule.weekend : schedule.weekday;
+  }
+
+  function inTimeWindow(schedule, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = windowFor(schedule, date);
+    const start = parseTime(today.start);
+    const end = parseTime(today.end);
+    if (start !== end) {
+      if (start < end && minutes >= start && minutes < end) return true;
+      if (start > end && minutes >= start) return true;
+    }
+    const yesterday = windowFor(schedule, new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
+    const yStart = parseTime(yesterday.start);
+    const yEnd = parseTime(yesterday.end);
+    return yStart > yEnd && minutes < yEnd;
+  }
+
+  // Sunrise equation (NOAA simplified). Returns { sunrise, sunset } as Dates, or
+  // { polar: 'night' | 'day' } when the sun does not rise or set that day.
+  function sunTimes(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const julian = noon.getTime() / 86400000 + 2440587.5;
+    const n = Math.round(julian - 2451545.0 + 0.0008);
+    const meanSolarTime = n - longitude / 360;
+    const M = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const C = 1.9148 * Math.sin(M * rad) + 0.02 * Math.sin(2 * M * rad) + 0.0003 * Math.sin(3 * M * rad);
+    const lambda = (M + C + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarTime + 0.0053 * Math.sin(M * rad) - 0.0069 * Math.sin(2 * lambda * rad);
+    const sinDecl = Math.sin(lambda * rad) * Math.sin(23.4397 * rad);
+    const cosDecl = Math.cos(Math.asin(sinDecl));
+    const cosHour = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * sinDecl) / (Math.cos(latitude * rad) * cosDecl);
+    if (cosHour > 1) return { polar: 'night' };
+    if (cosHour < -1) return { polar: 'day' };
+    const hourAngle = Math.acos(cosHour) / rad;
+    const toDate = (j) => new Date((j - 2440587.5) * 86400000);
+    return { sunrise: toDate(transit - hourAngle / 360), sunset: toDate(transit + hourAngle / 360) };
+  }
+
+  // prefersDark: the OS colour-scheme preference, reported by a page (service workers cannot query it)
+  function isNight(schedule, date = new Date(), { prefersDark = false } = {}) {
+    const s = normalize(schedule);
+    if (s.mode === 'system') return !!prefersDark;
+    if (s.mode === 'sun') {
+      if (s.latitude === null || s.longitude === null) return inTimeWindow(DEFAULT_SCHEDULE, date);
+      const sun = sunTimes(date, s.latitude, s.longitude);
+      if (sun.polar) return sun.polar === 'night';
+      return date < sun.sunrise || date >= sun.sunset;
+    }
+    return inTimeWindow(s, date);
+  }
+
+  function formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  // One-line summary for the popup
+  function describe(schedule, date = new Date()) {
+    const s = normalize(schedule);
+    if (s.mode === 'system') return 'Follows your system theme';
+    if (s.mode === 'sun') {
+      if (s.latitude === null || s.longitude === null) return 'Sunset to sunrise (location not set)';
+      const sun = sunTimes(date, s.latitude, s.longitude);
+      if (sun.polar) return sun.polar === 'night' ? 'Polar night: dark all day' : 'Midnight sun: light all day';
+      return `Sunset ${formatTime(sun.sunset)} to sunrise ${formatTime(sun.sunrise)}`;
+    }
+    const weekday = `${s.weekday.start}–${s.weekday.end}`;
+    const weekend = `${s.weekend.start}–${s.weekend.end}`;
+    return weekday === weekend ? `Every day ${weekday}` : `Weekdays ${weekday} · Weekends ${weekend}`;
+  }
+
+  function load() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.sync.get([STORAGE_KEY], (res) => resolve(normalize(res?.[STORAGE_KEY])));
+      } catch (e) {
+        resolve(normalize(null));
+      }
+    });
+  }
+
+  function save(schedule) {
+    const value = normalize(schedule);
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ [STORAGE_KEY]: value }, () => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(value);
+      });
+    });
+  }
+
+  global.AuraSchedule = {
+    STORAGE_KEY,
+    DEFAULT_SCHEDULE,
+    parseTime,
+    normalize,
+    sunTimes,
+    isNight,
+    describe,
+    load,
+    save
+  };
+})(globalThis);
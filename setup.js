@@ -1,15 +1,6 @@
-// Profiles with default settings (now with linkColor)
-const profiles = [
-  { id: 'none', name: 'None (Default)', fontSize: 16, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#1a0dab", lineHeight: 1.4, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto'},
-  { id: 'dyslexia', name: 'Dyslexia', fontSize: 20, fontFamily: "'OpenDyslexic','Verdana', 'Arial', sans-serif", bgColor: "#fffbe6", textColor: "#0b1b3a", linkColor: "#165788", lineHeight: 1.6, letterSpacing: 0.18, wordSpacing: 0.28, animations: false, cursorType: 'text' },
-  { id: 'adhd', name: 'ADHD', fontSize: 18, fontFamily: "'Open Sans', sans-serif", bgColor: "#ffffff", textColor: "#111111", linkColor: "#0066cc", lineHeight: 1.4, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
-  { id: 'autism', name: 'Autism', fontSize: 19, fontFamily: "'Arial', sans-serif", bgColor: "#f6fbff", textColor: "#0b2a4a", linkColor: "#0b5fff", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
-  { id: 'lowvision', name: 'Low Vision', fontSize: 26, fontFamily: "'Verdana', sans-serif", bgColor: "#000000", textColor: "#ffffff", linkColor: "#66b3ff", lineHeight: 1.5, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
-  { id: 'colorblind', name: 'Color Blindness', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#2b6cb0", lineHeight: 1.5, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
-  { id: 'fatigue', name: 'Cognitive Fatigue', fontSize: 18, fontFamily: "'Roboto', sans-serif", bgColor: "#f4f7f6", textColor: "#1b2b2b", linkColor: "#2b6cb0", lineHeight: 1.8, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' },
-  { id: 'epilepsy', name: 'Epilepsy Sensitivity', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#ffffff", textColor: "#000000", linkColor: "#1a0dab", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: false, cursorType: 'auto' },
-  { id: 'motor', name: 'Motor Coordination', fontSize: 18, fontFamily: "'Arial', sans-serif", bgColor: "#fffef6", textColor: "#0b1b3a", linkColor: "#1a73e8", lineHeight: 1.6, letterSpacing: 0, wordSpacing: 0, animations: true, cursorType: 'auto' }
-];
+// Built-in profiles (see profiles.js); the user's own profiles are loaded into profileLibrary
+const profiles = AuraProfiles.BUILT_IN;
+let profileLibrary = [];
 
 const profilesGrid = document.getElementById('profilesGrid');
 const previewText = document.getElementById('previewText');
@@ -22,6 +13,7 @@ const resetCustom = document.getElementById('resetCustom');
 const exportCustom = document.getElementById('exportCustom');
 const importCustom = document.getElementById('importCustom');
 const importFileInput = document.getElementById('importFileInput');
+const exportBundleBtn = document.getElementById('exportBundle');
 
 const fontFamilyEl = document.getElementById('fontFamily');
 const fontSizeEl = document.getElementById('fontSize');
@@ -37,29 +29,202 @@ const textColorEl = document.getElementById('textColor');
 const linkColorEl = document.getElementById('linkColor'); // NEW
 const cursorTypeEl = document.getElementById('cursorType');
 const animationsCheckbox = document.getElementById('animationsCheckbox');
+const photosensitivityGuardEl = document.getElementById('photosensitivityGuard');
+const readingRulerEl = document.getElementById('readingRuler');
+const rulerHeightEl = document.getElementById('rulerHeight');
+const rulerHeightVal = document.getElementById('rulerHeightVal');
+const rulerOpacityEl = document.getElementById('rulerOpacity');
+const rulerOpacityVal = document.getElementById('rulerOpacityVal');
+const rulerTintEl = document.getElementById('rulerTint');
+const motorAssistEl = document.getElementById('motorAssist');
+const dwellClickEl = document.getElementById('dwellClick');
+const dwellTimeEl = document.getElementById('dwellTime');
+const dwellTimeVal = document.getElementById('dwellTimeVal');
+const ttsVoiceEl = document.getElementById('ttsVoice');
+const ttsRateEl = document.getElementById('ttsRate');
+const ttsRateVal = document.getElementById('ttsRateVal');
+const ttsPitchEl = document.getElementById('ttsPitch');
+const ttsPitchVal = document.getElementById('ttsPitchVal');
+const ttsTestBtn = document.getElementById('ttsTest');
+const readingLevelEl = document.getElementById('readingLevel');
+const translateLanguageEl = document.getElementById('translateLanguage');
 const saveCustom = document.getElementById('saveCustom');
 const animationBox = document.getElementById('animationBox');
 const animationShowcase = document.getElementById('animationShowcase');
+const profileNameEl = document.getElementById('profileName');
+const duplicateProfileBtn = document.getElementById('duplicateProfile');
+const renameProfileBtn = document.getElementById('renameProfile');
+const deleteProfileBtn = document.getElementById('deleteProfile');
+const libraryStatusEl = document.getElementById('libraryStatus');
 
 let currentSelection = null;
 let customSettings = {};
+// Library id of the custom profile the editor changes; null means saving creates a new one
+let editingId = null;
 
 // Default profile
 const defaultProfile = profiles[0];
 
-// Render profile cards
+// Render profile cards (built-in first, then the library)
 function renderProfiles() {
   profilesGrid.innerHTML = '';
-  profiles.forEach(p => {
+  AuraProfiles.allProfiles(profileLibrary).forEach(p => {
     const card = document.createElement('div');
     card.className = 'card';
     card.id = `card-${p.id}`;
-    card.innerHTML = `<h3>${p.name}</h3><div class="meta">Default view</div>`;
+    card.tabIndex = 0;
+    card.setAttribute('role', 'button');
+    const title = document.createElement('h3');
+    title.textContent = p.name;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = AuraProfiles.isBuiltIn(p.id) ? 'Default view' : 'My profile';
+    card.append(title, meta);
     card.addEventListener('click', () => selectProfile(p));
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectProfile(p);
+      }
+    });
     profilesGrid.appendChild(card);
   });
+  if (currentSelection) markSelectedCard(currentSelection.id);
+}
+
+function markSelectedCard(id) {
+  document.querySelectorAll('.card').forEach(c => {
+    c.classList.toggle('selected', c.id === `card-${id}`);
+    c.setAttribute('aria-pressed', String(c.id === `card-${id}`));
+  });
+}
+
+// === CONTRAST CHECKS ===
+// WCAG 2.x ratio (what AA/AAA mean) plus APCA Lc for each colour pair; see colorUtils.js.
+// Profile text at 24px or more counts as large text.
+const contrastTextEl = document.getElementById('contrastText');
+const contrastLinkEl = document.getElementById('contrastLink');
+const contrastStatusEl = document.getElementById('contrastStatus');
+const visionSimulationEl = document.getElementById('visionSimulation');
+let lastContrastSummary = '';
+
+function isLargeText(settings) {
+  return (parseFloat(settings.fontSize) || 16) >= 24;
+}
+
+// Returns [{ key, label, field, ratio, level, lc, suggestion }] for text and link against the background
+function checkContrast(settings) {
+  const bg = AuraColor.parse(settings.bgColor);
+  const large = isLargeText(settings);
+  const required = AuraColor.wcagThresholds(large).AA;
+  return [
+    { key: 'text', label: 'Text', field: textColorEl, color: settings.textColor },
+    { key: 'link', label: 'Links', field: linkColorEl, color: settings.linkColor || '#1a0dab' }
+  ].map(pair => {
+    const fg = AuraColor.parse(pair.color);
+    if (!fg || !bg) return { ...pair, ratio: null, level: 'Fail' };
+    const ratio = AuraColor.contrastRatio(fg, bg);
+    const level = AuraColor.wcagLevel(ratio, large);
+    const nearest = level === 'Fail' ? AuraColor.nearestCompliant(fg, bg, required) : null;
+    return {
+      ...pair,
+      ratio,
+      level,
+      lc: AuraColor.apcaContrast(fg, bg),
+      suggestion: nearest ? AuraColor.toHex(nearest) : null
+    };
+  });
+}
+
+function renderContrastRow(el, result, settings) {
+  el.innerHTML = '';
+  const sample = document.createElement('span');
+  sample.className = 'contrast-sample';
+  sample.textContent = 'Aa';
+  sample.style.color = result.color;
+  sample.style.background = settings.bgColor;
+  sample.setAttribute('aria-hidden', 'true');
+
+  const name = document.createElement('span');
+  name.className = 'contrast-name';
+  name.textContent = `${result.label} on background`;
+
+  const badge = document.createElement('span');
+  badge.className = result.level === 'Fail' ? 'contrast-badge fail' : 'contrast-badge';
+  badge.textContent = result.ratio === null
+    ? 'Unknown colour'
+    : `${result.ratio.toFixed(2)}:1 · ${result.level === 'Fail' ? 'below AA' : result.level}`;
+
+  el.append(sample, name, badge);
+  if (result.ratio === null) return;
+
+  const apca = document.createElement('span');
+  apca.className = 'contrast-apca';
+  apca.textContent = `APCA Lc ${Math.round(result.lc)} (${AuraColor.apcaRating(result.lc)})`;
+  el.appendChild(apca);
+
+  if (result.suggestion) {
+    const fix = document.createElement('button');
+    fix.type = 'button';
+    fix.className = 'secondary small';
+    fix.textContent = `Use ${result.suggestion}`;
+    fix.setAttribute('aria-label', `Change ${result.label.toLowerCase()} colour to ${result.suggestion}, the closest colour that meets AA`);
+    fix.addEventListener('click', () => {
+      result.field.value = result.suggestion;
+      updateCustomPreview();
+      result.field.focus();
+    });
+    el.appendChild(fix);
+  }
+}
+
+function renderContrastReport(settings) {
+  const results = checkContrast(settings);
+  renderContrastRow(contrastTextEl, results[0], settings);
+  renderContrastRow(contrastLinkEl, results[1], settings);
+  // Announce only when a verdict changes, not on every step of a colour picker drag
+  const summary = results.map(r => `${r.label}: ${r.level === 'Fail' ? 'below AA' : r.level}`).join(', ');
+  if (summary !== lastContrastSummary) {
+    lastContrastSummary = summary;
+    contrastStatusEl.textContent = `Contrast — ${summary}`;
+  }
+}
+
+// Asks before saving colours below WCAG AA; returns true when saving may go ahead
+function confirmContrast(settings) {
+  const failing = checkContrast(settings).filter(r => r.level === 'Fail');
+  if (!failing.length) return true;
+  const lines = failing.map(r => `• ${r.label}: ${r.ratio === null ? 'unknown colour' : `${r.ratio.toFixed(2)}:1`}`
+    + (r.suggestion ? ` (nearest passing colour: ${r.suggestion})` : ''));
+  const required = AuraColor.wcagThresholds(isLargeText(settings)).AA;
+  return confirm(`These colours are below the WCAG AA minimum of ${required}:1 and may be hard to read:\n\n${lines.join('\n')}\n\nSave anyway?`);
+}
+
+// SVG colour matrices for the preview; they run in linear RGB like the matrices expect
+function installVisionFilters() {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute('width', '0');
+  svg.setAttribute('height', '0');
+  svg.style.position = 'absolute';
+  Object.entries(AuraColor.COLOR_VISION_MATRICES).forEach(([type, m]) => {
+    const filter = document.createElementNS(svgNS, 'filter');
+    filter.id = `aura-vision-${type}`;
+    const matrix = document.createElementNS(svgNS, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    matrix.setAttribute('values', [0, 1, 2].map(row => `${m.slice(row * 3, row * 3 + 3).join(' ')} 0 0`).join(' ') + ' 0 0 0 1 0');
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+  });
+  document.body.appendChild(svg);
 }
 
+visionSimulationEl.addEventListener('change', () => {
+  const type = visionSimulationEl.value;
+  previewBox.style.filter = type ? `url(#aura-vision-${type})` : '';
+});
+
 // Apply settings to preview (now handles link color by setting CSS var)
 function applyToPreview(settings) {
   previewBox.style.backgroundColor = settings.bgColor;
@@ -74,6 +239,7 @@ function applyToPreview(settings) {
   // Set link color via CSS variable used in setup.css (#previewBox a { color: var(--aura-link-color); })
   const linkColor = settings.linkColor || '#1a0dab';
   previewBox.style.setProperty('--aura-link-color', linkColor);
+  renderContrastReport(settings);
 
   // animations
   if (settings.animations === false) {
@@ -92,12 +258,12 @@ function applyToPreview(settings) {
 // Select profile
 function selectProfile(profile) {
   currentSelection = profile;
-  document.querySelectorAll('.card').forEach(c => c.classList.remove('selected'));
-  const card = document.getElementById(`card-${profile.id}`);
-  if (card) card.classList.add('selected');
+  markSelectedCard(profile.id);
+  editingId = profileLibrary.some(p => p.id === profile.id) ? profile.id : null;
   applyToPreview(profile);
   updateCustomPanel(profile);
   updateProfileDisplay(profile);
+  updateLibraryActions();
 }
 
 // Update profile name in preview
@@ -110,6 +276,8 @@ function updateProfileDisplay(profile) {
 
 // Sync custom panel with current profile (includes linkColor)
 function updateCustomPanel(profile) {
+  // Editing a built-in saves a new profile under this name
+  profileNameEl.value = editingId || profile.id === 'custom' ? (profile.name || 'Custom') : `${profile.name} (custom)`;
   fontFamilyEl.value = profile.fontFamily;
   fontSizeEl.value = profile.fontSize;
   fontSizeVal.textContent = profile.fontSize;
@@ -124,6 +292,58 @@ function updateCustomPanel(profile) {
   linkColorEl.value = profile.linkColor || '#1a0dab';
   cursorTypeEl.value = profile.cursorType || 'auto';
   animationsCheckbox.checked = profile.animations !== false;
+  photosensitivityGuardEl.checked = !!profile.photosensitivityGuard;
+  readingRulerEl.checked = !!profile.readingRuler;
+  rulerHeightEl.value = profile.rulerHeight || 48;
+  rulerHeightVal.textContent = rulerHeightEl.value;
+  rulerOpacityEl.value = profile.rulerOpacity ?? 0.5;
+  rulerOpacityVal.textContent = Math.round(parseFloat(rulerOpacityEl.value) * 100);
+  rulerTintEl.value = profile.rulerTint || '#fff3a0';
+  syncRulerControls();
+  motorAssistEl.checked = !!profile.motorAssist;
+  dwellClickEl.checked = !!profile.dwellClick;
+  dwellTimeEl.value = profile.dwellTime || 1200;
+  dwellTimeVal.textContent = (dwellTimeEl.value / 1000).toFixed(1);
+  dwellTimeEl.disabled = !dwellClickEl.checked;
+  setVoiceOption(profile.ttsVoice || '');
+  ttsRateEl.value = profile.ttsRate || 1;
+  ttsRateVal.textContent = parseFloat(ttsRateEl.value).toFixed(1);
+  ttsPitchEl.value = profile.ttsPitch || 1;
+  ttsPitchVal.textContent = parseFloat(ttsPitchEl.value).toFixed(1);
+  readingLevelEl.value = profile.readingLevel || 'B1';
+  setLanguageOption(profile.translateLanguage || '');
+}
+
+// Languages outside AuraLanguages (from an imported profile) are added so saving keeps them
+function setLanguageOption(code) {
+  if (code && ![...translateLanguageEl.options].some(o => o.value === code)) {
+    translateLanguageEl.add(new Option(AuraLanguages.name(code), code));
+  }
+  translateLanguageEl.value = code;
+}
+
+// A saved voice that is not installed here stays selectable, so saving does not drop it
+function setVoiceOption(name) {
+  if (name && ![...ttsVoiceEl.options].some(o => o.value === name)) {
+    ttsVoiceEl.add(new Option(`${name} (not installed)`, name));
+  }
+  ttsVoiceEl.value = name;
+}
+
+function loadVoices() {
+  chrome.tts.getVoices((voices) => {
+    const selected = ttsVoiceEl.value;
+    ttsVoiceEl.length = 1;
+    (voices || [])
+      .filter(v => v.voiceName)
+      .sort((a, b) => (a.lang || '').localeCompare(b.lang || '') || a.voiceName.localeCompare(b.voiceName))
+      .forEach(v => ttsVoiceEl.add(new Option(v.lang ? `${v.voiceName} (${v.lang})` : v.voiceName, v.voiceName)));
+    setVoiceOption(selected);
+  });
+}
+
+function syncRulerControls() {
+  [rulerHeightEl, rulerOpacityEl, rulerTintEl].forEach(el => { el.disabled = !readingRulerEl.checked; });
 }
 
 // Toggle custom panel
@@ -134,8 +354,8 @@ openCustom.addEventListener('click', () => {
 // Live update from custom panel
 function updateCustomPreview() {
   const settings = {
-    id: 'custom',
-    name: 'Custom',
+    id: editingId || 'custom',
+    name: profileNameEl.value.trim() || 'Custom',
     fontSize: parseInt(fontSizeEl.value, 10),
     fontFamily: fontFamilyEl.value,
     bgColor: bgColorEl.value,
@@ -145,7 +365,20 @@ function updateCustomPreview() {
     letterSpacing: parseFloat(letterSpacingEl.value),
     wordSpacing: parseFloat(wordSpacingEl.value),
     cursorType: cursorTypeEl.value,
-    animations: animationsCheckbox.checked
+    animations: animationsCheckbox.checked,
+    photosensitivityGuard: photosensitivityGuardEl.checked,
+    readingRuler: readingRulerEl.checked,
+    rulerHeight: parseInt(rulerHeightEl.value, 10),
+    rulerOpacity: parseFloat(rulerOpacityEl.value),
+    rulerTint: rulerTintEl.value,
+    motorAssist: motorAssistEl.checked,
+    dwellClick: dwellClickEl.checked,
+    dwellTime: parseInt(dwellTimeEl.value, 10),
+    ttsVoice: ttsVoiceEl.value || undefined,
+    ttsRate: parseFloat(ttsRateEl.value),
+    ttsPitch: parseFloat(ttsPitchEl.value),
+    readingLevel: readingLevelEl.value,
+    translateLanguage: translateLanguageEl.value || undefined
   };
   customSettings = settings;
   currentSelection = settings;
@@ -176,68 +409,251 @@ textColorEl.addEventListener('input', updateCustomPreview);
 linkColorEl.addEventListener('input', updateCustomPreview); // NEW
 cursorTypeEl.addEventListener('change', updateCustomPreview);
 animationsCheckbox.addEventListener('change', updateCustomPreview);
+photosensitivityGuardEl.addEventListener('change', updateCustomPreview);
+profileNameEl.addEventListener('input', updateCustomPreview);
+readingRulerEl.addEventListener('change', () => {
+  syncRulerControls();
+  updateCustomPreview();
+});
+rulerHeightEl.addEventListener('input', () => {
+  rulerHeightVal.textContent = rulerHeightEl.value;
+  updateCustomPreview();
+});
+rulerOpacityEl.addEventListener('input', () => {
+  rulerOpacityVal.textContent = Math.round(parseFloat(rulerOpacityEl.value) * 100);
+  updateCustomPreview();
+});
+rulerTintEl.addEventListener('input', updateCustomPreview);
+motorAssistEl.addEventListener('change', updateCustomPreview);
+dwellClickEl.addEventListener('change', () => {
+  dwellTimeEl.disabled = !dwellClickEl.checked;
+  updateCustomPreview();
+});
+dwellTimeEl.addEventListener('input', () => {
+  dwellTimeVal.textContent = (dwellTimeEl.value / 1000).toFixed(1);
+  updateCustomPreview();
+});
+ttsVoiceEl.addEventListener('change', updateCustomPreview);
+readingLevelEl.addEventListener('change', updateCustomPreview);
+translateLanguageEl.addEventListener('change', updateCustomPreview);
+ttsRateEl.addEventListener('input', () => {
+  ttsRateVal.textContent = parseFloat(ttsRateEl.value).toFixed(1);
+  updateCustomPreview();
+});
+ttsPitchEl.addEventListener('input', () => {
+  ttsPitchVal.textContent = parseFloat(ttsPitchEl.value).toFixed(1);
+  updateCustomPreview();
+});
+ttsTestBtn.addEventListener('click', () => {
+  const options = { rate: parseFloat(ttsRateEl.value), pitch: parseFloat(ttsPitchEl.value), enqueue: false };
+  if (ttsVoiceEl.value) options.voiceName = ttsVoiceEl.value;
+  chrome.tts.speak('This is how AURA will read pages to you.', options);
+});
+loadVoices();
+AuraLanguages.options().forEach(o => translateLanguageEl.add(new Option(o.name, o.code)));
 
-// === EXPORT PROFILE ===
-exportCustom.addEventListener('click', () => {
-  updateCustomPreview(); // Sync latest values
-  const dataStr = JSON.stringify(customSettings, null, 2);
-  const blob = new Blob([dataStr], { type: 'application/json' });
+// === PROFILE LIBRARY ===
+// Custom profiles are stored by profiles.js (one sync item each); the active one is copied to aura_profile.
+function updateLibraryActions() {
+  const custom = !!editingId;
+  renameProfileBtn.disabled = !custom;
+  deleteProfileBtn.disabled = !custom;
+  duplicateProfileBtn.disabled = !currentSelection || currentSelection.id === 'custom';
+}
+
+async function commitLibrary(result) {
+  profileLibrary = await AuraProfiles.saveLibrary(result.library);
+  // Keep the active copy in step when the active profile itself changed
+  const active = await AuraProfiles.loadActive();
+  if (active && !AuraProfiles.isBuiltIn(active.id)) {
+    const stored = profileLibrary.find(p => p.id === active.id);
+    await AuraProfiles.activate(stored || AuraProfiles.BUILT_IN[0]);
+  }
+  renderProfiles();
+  renderSiteRuleProfileOptions();
+  renderSiteRules();
+  return result.profile;
+}
+
+async function runLibraryAction(action) {
+  try {
+    await action();
+  } catch (err) {
+    libraryStatusEl.textContent = err.message;
+  }
+}
+
+duplicateProfileBtn.addEventListener('click', () => runLibraryAction(async () => {
+  const profile = await commitLibrary(AuraProfiles.duplicate(profileLibrary, currentSelection.id));
+  selectProfile(profile);
+  libraryStatusEl.textContent = `Created "${profile.name}".`;
+  customPanel.classList.remove('hidden');
+  profileNameEl.focus();
+}));
+
+renameProfileBtn.addEventListener('click', () => runLibraryAction(async () => {
+  const name = prompt('New name for this profile:', currentSelection.name);
+  if (name === null) return;
+  const profile = await commitLibrary(AuraProfiles.rename(profileLibrary, editingId, name));
+  selectProfile(profile);
+  libraryStatusEl.textContent = `Renamed to "${profile.name}".`;
+}));
+
+deleteProfileBtn.addEventListener('click', () => runLibraryAction(async () => {
+  if (!confirm(`Delete the profile "${currentSelection.name}"? Sites that use it switch to your active profile.`)) return;
+  const name = currentSelection.name;
+  await commitLibrary(AuraProfiles.remove(profileLibrary, editingId));
+  selectProfile(defaultProfile);
+  libraryStatusEl.textContent = `Deleted "${name}".`;
+}));
+
+function loadProfileLibrary() {
+  if (!(chrome && chrome.storage && chrome.storage.sync)) return Promise.resolve();
+  return AuraProfiles.loadLibrary().then(library => {
+    profileLibrary = library;
+    renderProfiles();
+    renderSiteRuleProfileOptions();
+    renderSiteRules();
+  });
+}
+
+// === EXPORT / IMPORT ===
+// File formats, validation and migrations live in profileSchema.js.
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'aura-profile.json';
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
+}
+
+exportCustom.addEventListener('click', () => {
+  updateCustomPreview(); // Sync latest values
+  downloadJson(AuraProfileSchema.profileFile(customSettings), 'aura-profile.json');
   alert('Profile exported as aura-profile.json');
 });
 
-// === IMPORT PROFILE ===
+exportBundleBtn.addEventListener('click', async () => {
+  if (!(chrome && chrome.storage && chrome.storage.sync)) return;
+  const [sync, library, adBlockResp] = await Promise.all([
+    chrome.storage.sync.get([AuraProfiles.ACTIVE_KEY, AuraSiteRules.STORAGE_KEY, 'aura_emotion_map', 'aura_emotion_aware']),
+    AuraProfiles.loadLibrary(),
+    sendBackgroundMessage({ type: 'AURA_ADBLOCK_EXPORT' })
+  ]);
+  if (!adBlockResp.ok) {
+    alert(`Export failed: ${adBlockResp.error}`);
+    return;
+  }
+  downloadJson(AuraProfileSchema.bundleFile({
+    profiles: library,
+    activeProfile: sync[AuraProfiles.ACTIVE_KEY] || null,
+    siteRules: AuraSiteRules.normalizeRules(sync[AuraSiteRules.STORAGE_KEY]),
+    emotionMap: sync.aura_emotion_map || {},
+    emotionAware: !!sync.aura_emotion_aware,
+    adBlock: adBlockResp.adBlock
+  }), 'aura-settings.json');
+  alert('All settings exported as aura-settings.json');
+});
+
 importCustom.addEventListener('click', () => {
   importFileInput.click();
 });
 
-importFileInput.addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+// A single profile goes into the editor as a new, unsaved profile
+function importProfileIntoEditor(profile) {
+  editingId = null;
+  markSelectedCard(null);
+  updateCustomPanel({ ...profile, id: 'custom', name: profile.name || 'Imported profile' });
+  customPanel.classList.remove('hidden');
+  updateCustomPreview();
+  updateLibraryActions();
+  alert('Profile imported. Check the preview, then Save & Continue to keep it.');
+}
 
-  const reader = new FileReader();
-  reader.onload = (ev) => {
-    try {
-      const imported = JSON.parse(ev.target.result);
-
-      // Validate required fields (added linkColor)
-      const required = ['fontSize', 'fontFamily', 'bgColor', 'textColor', 'linkColor', 'lineHeight', 'letterSpacing', 'wordSpacing', 'cursorType', 'animations'];
-      const isValid = required.every(key => key in imported);
-
-      if (!isValid) throw new Error('Invalid profile format');
-
-      // Apply to UI
-      fontFamilyEl.value = imported.fontFamily;
-      fontSizeEl.value = imported.fontSize;
-      fontSizeVal.textContent = imported.fontSize;
-      letterSpacingEl.value = imported.letterSpacing;
-      letterSpacingVal.textContent = imported.letterSpacing.toFixed(1);
-      wordSpacingEl.value = imported.wordSpacing;
-      wordSpacingVal.textContent = imported.wordSpacing.toFixed(1);
-      lineHeightEl.value = imported.lineHeight;
-      lineHeightVal.textContent = imported.lineHeight;
-      bgColorEl.value = imported.bgColor;
-      textColorEl.value = imported.textColor;
-      linkColorEl.value = imported.linkColor || '#1a0dab';
-      cursorTypeEl.value = imported.cursorType;
-      animationsCheckbox.checked = imported.animations;
+function describeBundle(bundle) {
+  const lines = [`${bundle.profiles.length} custom profile(s)`, `${bundle.siteRules.length} site rule(s)`];
+  if (bundle.emotionMap) lines.push(`${Object.keys(bundle.emotionMap).length} emotion word(s)`);
+  if (bundle.adBlock) {
+    const ad = bundle.adBlock;
+    const parts = [];
+    if (ad.enabled !== undefined) parts.push(ad.enabled ? 'on' : 'off');
+    if (ad.filterLists) parts.push(`${ad.filterLists.length} filter list(s)`);
+    if (ad.pausedSites) parts.push(`${ad.pausedSites.length} paused site(s)`);
+    if (ad.hiddenElements) parts.push(`hidden elements on ${Object.keys(ad.hiddenElements).length} site(s)`);
+    lines.push(`ad blocker: ${parts.join(', ') || 'no changes'}`);
+  }
+  if (bundle.activeProfile) lines.push(`active profile: ${bundle.activeProfile.name || 'Custom'}`);
+  return lines.map(l => `• ${l}`).join('\n');
+}
 
-      updateCustomPreview();
-      alert('Profile imported successfully!');
-    } catch (err) {
-      alert('Import failed: Invalid or corrupted JSON file.');
-      console.error(err);
-    }
-  };
-  reader.readAsText(file);
+async function importBundle(bundle) {
+  if (!(chrome && chrome.storage && chrome.storage.sync)) return;
+  if (!confirm(`Import these settings?\n\n${describeBundle(bundle)}\n\nThey replace your custom profiles, site rules and emotion words. Filter lists with the same name are replaced; other lists are kept.`)) return;
+
+  // Library ids are regenerated; site rules and the active profile follow their profile
+  let library = [];
+  const byOldId = new Map();
+  bundle.profiles.forEach(p => {
+    const result = AuraProfiles.create(library, p, p.name);
+    library = result.library;
+    if (p.id) byOldId.set(p.id, result.profile);
+  });
+  const remap = (profile) => (profile && byOldId.get(profile.id)) || profile;
+  const rules = bundle.siteRules.map(({ profileId, ...rule }) => {
+    const id = byOldId.get(profileId)?.id || (AuraProfiles.isBuiltIn(profileId) ? profileId : null);
+    return id ? { ...rule, profileId: id } : rule;
+  });
+
+  const sync = {};
+  if (bundle.emotionMap) sync.aura_emotion_map = bundle.emotionMap;
+  if (bundle.emotionAware !== undefined) sync.aura_emotion_aware = bundle.emotionAware;
+  profileLibrary = await AuraProfiles.saveLibrary(library);
+  siteRules = await AuraSiteRules.save(rules);
+  await chrome.storage.sync.set(sync);
+
+  let adBlockError = null;
+  if (bundle.adBlock) {
+    const resp = await sendBackgroundMessage({ type: 'AURA_ADBLOCK_IMPORT', adBlock: bundle.adBlock });
+    if (resp.ok) renderFilterLists(resp.lists);
+    else adBlockError = resp.error;
+  }
+
+  const active = bundle.activeProfile
+    ? (AuraProfiles.isBuiltIn(bundle.activeProfile.id) ? AuraProfiles.findProfile([], bundle.activeProfile.id) : remap(bundle.activeProfile))
+    : null;
+  if (active) await AuraProfiles.activate(active);
+
+  renderProfiles();
+  renderSiteRuleProfileOptions();
+  renderSiteRules();
+  loadBlockHistory();
+  selectProfile(active ? (profileLibrary.find(p => p.id === active.id) || active) : defaultProfile);
+  alert(adBlockError ? `Settings imported, but the ad-block settings failed: ${adBlockError}` : 'Settings imported.');
+}
+
+importFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
   e.target.value = ''; // Reset file input
+  if (!file) return;
+
+  let parsed;
+  try {
+    parsed = AuraProfileSchema.parseFile(await file.text());
+  } catch (err) {
+    alert(`Import failed:\n${err.message}`);
+    return;
+  }
+  try {
+    if (parsed.kind === 'bundle') await importBundle(parsed.bundle);
+    else importProfileIntoEditor(parsed.profile);
+  } catch (err) {
+    alert(`Import failed: ${err.message}`);
+    console.error(err);
+  }
 });
 
 // === RESET TO DEFAULT ===
@@ -257,12 +673,27 @@ function resetToDefaultProfile() {
 }
 
 // === SAVE & CONTINUE ===
-function persistAndContinue() {
-  const toSave = currentSelection || customSettings;
+// Edits are saved to the library first: over the profile being edited, or as a new one
+async function persistAndContinue() {
+  let toSave = currentSelection || customSettings;
   if (!toSave) {
     alert('Please select or create a profile first.');
     return;
   }
+  if (!confirmContrast(toSave)) return;
+
+  if (chrome && chrome.storage && chrome.storage.sync && !AuraProfiles.isBuiltIn(toSave.id)) {
+    try {
+      const result = toSave.id === 'custom'
+        ? AuraProfiles.create(profileLibrary, { ...toSave }, toSave.name)
+        : AuraProfiles.update(profileLibrary, toSave);
+      profileLibrary = await AuraProfiles.saveLibrary(result.library);
+      toSave = result.profile;
+    } catch (err) {
+      alert(`Could not save the profile: ${err.message}`);
+      return;
+    }
+  }
 
   const prefs = { aura_profile: toSave };
 
@@ -282,26 +713,418 @@ saveCustom.addEventListener('click', () => {
   persistAndContinue();
 });
 
+// === SITE RULES ===
+const siteRuleForm = document.getElementById('siteRuleForm');
+const siteRulePatternEl = document.getElementById('siteRulePattern');
+const siteRuleModeEl = document.getElementById('siteRuleMode');
+const siteRuleProfileEl = document.getElementById('siteRuleProfile');
+const siteRuleErrorEl = document.getElementById('siteRuleError');
+const siteRulesBody = document.getElementById('siteRulesBody');
+
+let siteRules = [];
+
+// '' means "whatever the global profile is"; otherwise a built-in or library profile
+function renderSiteRuleProfileOptions() {
+  const selected = siteRuleProfileEl.value;
+  siteRuleProfileEl.innerHTML = '';
+  siteRuleProfileEl.appendChild(new Option('Global profile', ''));
+  AuraProfiles.allProfiles(profileLibrary).forEach(p => siteRuleProfileEl.appendChild(new Option(p.name, p.id)));
+  siteRuleProfileEl.value = selected;
+  if (siteRuleProfileEl.selectedIndex === -1) siteRuleProfileEl.value = '';
+}
+
+function syncSiteRuleProfileState() {
+  siteRuleProfileEl.disabled = siteRuleModeEl.value !== 'allow';
+}
+
+function renderSiteRules() {
+  siteRulesBody.innerHTML = '';
+  if (!siteRules.length) {
+    const row = siteRulesBody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = 'empty';
+    cell.textContent = 'No site rules yet. AURA uses your global settings everywhere.';
+    return;
+  }
+  [...siteRules]
+    .sort((a, b) => a.pattern.localeCompare(b.pattern))
+    .forEach(rule => {
+      const row = siteRulesBody.insertRow();
+      row.insertCell().textContent = rule.pattern;
+      row.insertCell().textContent = rule.mode === 'deny' ? 'Never use AURA' : 'Always use AURA';
+      const profile = rule.profileId ? AuraProfiles.findProfile(profileLibrary, rule.profileId) : null;
+      row.insertCell().textContent = rule.mode === 'deny' ? '—' : (profile?.name || 'Global profile');
+      const actions = row.insertCell();
+      const edit = document.createElement('button');
+      edit.className = 'secondary small';
+      edit.textContent = 'Edit';
+      edit.setAttribute('aria-label', `Edit rule for ${rule.pattern}`);
+      edit.addEventListener('click', () => {
+        siteRulePatternEl.value = rule.pattern;
+        siteRuleModeEl.value = rule.mode;
+        siteRuleProfileEl.value = profile?.id || '';
+        syncSiteRuleProfileState();
+        siteRulePatternEl.focus();
+      });
+      const remove = document.createElement('button');
+      remove.className = 'secondary small';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove rule for ${rule.pattern}`);
+      remove.addEventListener('click', () => saveSiteRules(AuraSiteRules.remove(siteRules, rule.pattern)));
+      actions.append(edit, ' ', remove);
+    });
+}
+
+async function saveSiteRules(next) {
+  try {
+    siteRules = await AuraSiteRules.save(next);
+    siteRuleErrorEl.textContent = '';
+    renderSiteRules();
+  } catch (err) {
+    siteRuleErrorEl.textContent = `Could not save site rules: ${err.message}`;
+  }
+}
+
+siteRuleModeEl.addEventListener('change', syncSiteRuleProfileState);
+
+siteRuleForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const pattern = AuraSiteRules.normalizePattern(siteRulePatternEl.value);
+  if (!AuraSiteRules.isValidPattern(pattern)) {
+    siteRuleErrorEl.textContent = 'Enter a site such as example.com, *.example.com or example.com/docs/*.';
+    siteRulePatternEl.focus();
+    return;
+  }
+  const rule = { pattern, mode: siteRuleModeEl.value };
+  if (rule.mode === 'allow') {
+    const profile = AuraProfiles.findProfile(profileLibrary, siteRuleProfileEl.value);
+    if (profile) rule.profileId = profile.id;
+  }
+  saveSiteRules(AuraSiteRules.upsert(siteRules, rule));
+  siteRuleForm.reset();
+  syncSiteRuleProfileState();
+});
+
+function loadSiteRules() {
+  if (!(chrome && chrome.storage && chrome.storage.sync)) return;
+  AuraSiteRules.load().then(rules => {
+    siteRules = rules;
+    renderSiteRules();
+  });
+}
+
+// === AD-BLOCK FILTER LISTS ===
+// Compiling happens in background.js; this screen only sends list text and renders the report.
+const filterListNameEl = document.getElementById('filterListName');
+const filterListFileEl = document.getElementById('filterListFile');
+const filterListImportBtn = document.getElementById('filterListImport');
+const filterListStatusEl = document.getElementById('filterListStatus');
+const filterListsBody = document.getElementById('filterListsBody');
+
+function sendBackgroundMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, (resp) => {
+      if (chrome.runtime.lastError) resolve({ ok: false, error: chrome.runtime.lastError.message });
+      else resolve(resp || { ok: false, error: 'No response' });
+    });
+  });
+}
+
+function describeFilterList(list) {
+  if (!list.enabled) return 'Off';
+  const parts = [`${list.activeRules || 0} rules`];
+  if (list.cosmeticCount) parts.push(`${list.cosmeticCount} element-hiding filters`);
+  if (list.skippedCount) parts.push(`${list.skippedCount} skipped`);
+  return parts.join(' · ');
+}
+
+function renderFilterLists(lists, highlightId) {
+  filterListsBody.innerHTML = '';
+  if (!lists.length) {
+    const cell = filterListsBody.insertRow().insertCell();
+    cell.colSpan = 4;
+    cell.className = 'empty';
+    cell.textContent = 'No filter lists imported. The built-in ad-block rules are still active.';
+    return;
+  }
+  lists.forEach(list => {
+    const row = filterListsBody.insertRow();
+    row.id = `filter-list-${list.id}`;
+
+    const nameCell = row.insertCell();
+    nameCell.textContent = list.name;
+    if (list.errors?.length) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${list.skippedCount} line${list.skippedCount === 1 ? '' : 's'} not converted`;
+      const ol = document.createElement('ol');
+      list.errors.forEach(err => {
+        const li = document.createElement('li');
+        li.textContent = `Line ${err.line}: ${err.reason} — ${err.text}`;
+        ol.appendChild(li);
+      });
+      details.append(summary, ol);
+      if (list.skippedCount > list.errors.length) {
+        const more = document.createElement('div');
+        more.textContent = `…and ${list.skippedCount - list.errors.length} more.`;
+        details.appendChild(more);
+      }
+      nameCell.appendChild(details);
+    }
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = !!list.enabled;
+    toggle.setAttribute('aria-label', `Use ${list.name}`);
+    toggle.addEventListener('change', async () => {
+      filterListStatusEl.textContent = 'Updating rules…';
+      const resp = await sendBackgroundMessage({ type: 'AURA_FILTER_LIST_SET_ENABLED', id: list.id, enabled: toggle.checked });
+      filterListStatusEl.textContent = resp.ok ? '' : `Could not update ${list.name}: ${resp.error}`;
+      if (resp.ok) renderFilterLists(resp.lists);
+    });
+    row.insertCell().appendChild(toggle);
+
+    row.insertCell().textContent = describeFilterList(list);
+
+    const actions = row.insertCell();
+    const updateInput = document.createElement('input');
+    updateInput.type = 'file';
+    updateInput.accept = '.txt,text/plain';
+    updateInput.hidden = true;
+    updateInput.addEventListener('change', async () => {
+      const file = updateInput.files[0];
+      if (!file) return;
+      filterListStatusEl.textContent = `Updating ${list.name}…`;
+      const resp = await sendBackgroundMessage({ type: 'AURA_FILTER_LIST_IMPORT', id: list.id, text: await file.text() });
+      filterListStatusEl.textContent = resp.ok ? `${list.name} updated.` : `Update failed: ${resp.error}`;
+      if (resp.ok) renderFilterLists(resp.lists);
+    });
+    const update = document.createElement('button');
+    update.className = 'secondary small';
+    update.textContent = 'Update';
+    update.setAttribute('aria-label', `Update ${list.name} from a file`);
+    update.addEventListener('click', () => updateInput.click());
+    const remove = document.createElement('button');
+    remove.className = 'secondary small';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${list.name}`);
+    remove.addEventListener('click', async () => {
+      if (!confirm(`Remove the filter list "${list.name}"?`)) return;
+      const resp = await sendBackgroundMessage({ type: 'AURA_FILTER_LIST_REMOVE', id: list.id });
+      if (resp.ok) renderFilterLists(resp.lists);
+      else filterListStatusEl.textContent = `Could not remove ${list.name}: ${resp.error}`;
+    });
+    actions.append(updateInput, update, ' ', remove);
+
+    if (list.id === highlightId) {
+      row.classList.add('highlight');
+      row.scrollIntoView({ block: 'center' });
+      update.focus();
+    }
+  });
+}
+
+filterListImportBtn.addEventListener('click', async () => {
+  const file = filterListFileEl.files[0];
+  if (!file) {
+    filterListStatusEl.textContent = 'Choose a filter file first.';
+    filterListFileEl.focus();
+    return;
+  }
+  filterListImportBtn.disabled = true;
+  filterListStatusEl.textContent = `Compiling ${file.name}…`;
+  const name = filterListNameEl.value.trim() || file.name.replace(/\.txt$/i, '');
+  const resp = await sendBackgroundMessage({ type: 'AURA_FILTER_LIST_IMPORT', name, text: await file.text() });
+  filterListImportBtn.disabled = false;
+  if (!resp.ok) {
+    filterListStatusEl.textContent = `Import failed: ${resp.error}`;
+    return;
+  }
+  const imported = resp.lists[resp.lists.length - 1];
+  filterListStatusEl.textContent = `Imported ${imported.name}: ${describeFilterList(imported)}.`;
+  filterListNameEl.value = '';
+  filterListFileEl.value = '';
+  renderFilterLists(resp.lists);
+});
+
+function loadFilterLists() {
+  if (!(chrome && chrome.runtime && chrome.runtime.sendMessage)) return;
+  // The popup's "Update" button links here with ?updateList=<id>
+  const highlightId = new URLSearchParams(location.search).get('updateList');
+  sendBackgroundMessage({ type: 'AURA_FILTER_LISTS' }).then(resp => renderFilterLists(resp.lists || [], highlightId));
+}
+
+// === BLOCKING HISTORY ===
+// Per-day counts and paused sites are kept by background.js (see blockStats.js)
+const BLOCK_HISTORY_DAYS = 30;
+const blockHistorySummary = document.getElementById('blockHistorySummary');
+const blockHistoryChart = document.getElementById('blockHistoryChart');
+const blockChartStart = document.getElementById('blockChartStart');
+const topSitesBody = document.getElementById('topSitesBody');
+const pausedSitesBody = document.getElementById('pausedSitesBody');
+
+function emptyRow(body, colSpan, text) {
+  const cell = body.insertRow().insertCell();
+  cell.colSpan = colSpan;
+  cell.className = 'empty';
+  cell.textContent = text;
+}
+
+function renderBlockHistory(stats, allTime) {
+  const days = AuraBlockStats.history(stats, BLOCK_HISTORY_DAYS);
+  const total = days.reduce((sum, d) => sum + d.total, 0);
+  const busiest = days.reduce((best, d) => (d.total > best.total ? d : best), days[0]);
+  const max = Math.max(1, busiest.total);
+
+  blockHistoryChart.innerHTML = '';
+  days.forEach(({ day, total: count }) => {
+    const bar = document.createElement('div');
+    bar.className = count ? 'bar' : 'bar zero';
+    bar.style.height = `${Math.round((count / max) * 100)}%`;
+    bar.title = `${day}: ${count} blocked`;
+    blockHistoryChart.appendChild(bar);
+  });
+  blockChartStart.textContent = days[0].day;
+  const summary = `${total} requests blocked in the last ${BLOCK_HISTORY_DAYS} days, ${allTime} in total.`;
+  blockHistorySummary.textContent = summary;
+  blockHistoryChart.setAttribute('aria-label', busiest.total
+    ? `${summary} Busiest day: ${busiest.day} with ${busiest.total}.`
+    : summary);
+
+  topSitesBody.innerHTML = '';
+  const sites = AuraBlockStats.topSites(stats, BLOCK_HISTORY_DAYS);
+  if (!sites.length) emptyRow(topSitesBody, 2, 'Nothing blocked yet.');
+  sites.forEach(({ site, total: count }) => {
+    const row = topSitesBody.insertRow();
+    row.insertCell().textContent = site;
+    row.insertCell().textContent = count;
+  });
+}
+
+function renderPausedSites(sites) {
+  pausedSitesBody.innerHTML = '';
+  if (!sites.length) emptyRow(pausedSitesBody, 2, 'Blocking is active on every site. Pause it for a site from the AURA popup.');
+  sites.forEach(site => {
+    const row = pausedSitesBody.insertRow();
+    row.insertCell().textContent = site;
+    const resume = document.createElement('button');
+    resume.type = 'button';
+    resume.className = 'secondary small';
+    resume.textContent = 'Resume blocking';
+    resume.setAttribute('aria-label', `Resume blocking on ${site}`);
+    resume.addEventListener('click', async () => {
+      resume.disabled = true;
+      const resp = await sendBackgroundMessage({ type: 'AURA_BLOCKING_PAUSE', site, paused: false });
+      if (resp.ok) renderPausedSites(resp.pausedSites);
+      else resume.disabled = false;
+    });
+    row.insertCell().appendChild(resume);
+  });
+}
+
+function loadBlockHistory() {
+  if (!(chrome && chrome.runtime && chrome.runtime.sendMessage)) return;
+  sendBackgroundMessage({ type: 'AURA_BLOCK_STATS' }).then(resp => {
+    if (!resp.stats) {
+      blockHistorySummary.textContent = 'Blocking history is not available.';
+      return;
+    }
+    renderBlockHistory(AuraBlockStats.normalize(resp.stats), resp.blocked || 0);
+    renderPausedSites(resp.pausedSites || []);
+  });
+}
+
+// === NIGHT MODE SCHEDULE ===
+const nightScheduleForm = document.getElementById('nightScheduleForm');
+const scheduleTimesEl = document.getElementById('scheduleTimes');
+const scheduleSunEl = document.getElementById('scheduleSun');
+const nightScheduleSummary = document.getElementById('nightScheduleSummary');
+const nightScheduleError = document.getElementById('nightScheduleError');
+const scheduleFields = {
+  weekdayStart: document.getElementById('weekdayStart'),
+  weekdayEnd: document.getElementById('weekdayEnd'),
+  weekendStart: document.getElementById('weekendStart'),
+  weekendEnd: document.getElementById('weekendEnd'),
+  latitude: document.getElementById('latitude'),
+  longitude: document.getElementById('longitude')
+};
+
+function selectedNightMode() {
+  return nightScheduleForm.querySelector('input[name="nightMode"]:checked')?.value || 'schedule';
+}
+
+function readNightScheduleForm() {
+  return {
+    mode: selectedNightMode(),
+    weekday: { start: scheduleFields.weekdayStart.value, end: scheduleFields.weekdayEnd.value },
+    weekend: { start: scheduleFields.weekendStart.value, end: scheduleFields.weekendEnd.value },
+    latitude: scheduleFields.latitude.value,
+    longitude: scheduleFields.longitude.value
+  };
+}
+
+function updateNightScheduleView() {
+  const mode = selectedNightMode();
+  scheduleTimesEl.classList.toggle('hidden', mode !== 'schedule');
+  scheduleSunEl.classList.toggle('hidden', mode !== 'sun');
+  nightScheduleSummary.textContent = AuraSchedule.describe(readNightScheduleForm());
+}
+
+function fillNightScheduleForm(schedule) {
+  const radio = nightScheduleForm.querySelector(`input[name="nightMode"][value="${schedule.mode}"]`);
+  if (radio) radio.checked = true;
+  scheduleFields.weekdayStart.value = schedule.weekday.start;
+  scheduleFields.weekdayEnd.value = schedule.weekday.end;
+  scheduleFields.weekendStart.value = schedule.weekend.start;
+  scheduleFields.weekendEnd.value = schedule.weekend.end;
+  scheduleFields.latitude.value = schedule.latitude ?? '';
+  scheduleFields.longitude.value = schedule.longitude ?? '';
+  updateNightScheduleView();
+}
+
+nightScheduleForm.addEventListener('input', updateNightScheduleView);
+nightScheduleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const raw = readNightScheduleForm();
+  const normalized = AuraSchedule.normalize(raw);
+  if (raw.mode === 'sun' && (normalized.latitude === null || normalized.longitude === null)) {
+    nightScheduleError.textContent = 'Enter a latitude between -90 and 90 and a longitude between -180 and 180.';
+    scheduleFields.latitude.focus();
+    return;
+  }
+  if (raw.mode === 'schedule' && [raw.weekday.start, raw.weekday.end, raw.weekend.start, raw.weekend.end].some(t => AuraSchedule.parseTime(t) === null)) {
+    nightScheduleError.textContent = 'Enter a start and end time for weekdays and weekends.';
+    return;
+  }
+  try {
+    fillNightScheduleForm(await AuraSchedule.save(raw));
+    nightScheduleError.textContent = '';
+    nightScheduleSummary.textContent = `Saved. ${AuraSchedule.describe(normalized)}`;
+  } catch (err) {
+    nightScheduleError.textContent = `Could not save the schedule: ${err.message}`;
+  }
+});
+
 // === INITIALIZE ===
+installVisionFilters();
 renderProfiles();
 selectProfile(defaultProfile);
+renderSiteRuleProfileOptions();
+syncSiteRuleProfileState();
+loadSiteRules();
+loadFilterLists();
+loadBlockHistory();
+fillNightScheduleForm(AuraSchedule.normalize(null));
+if (chrome && chrome.storage && chrome.storage.sync) AuraSchedule.load().then(fillNightScheduleForm);
 
-// Load saved profile
+// Load the library, then the saved profile (its library entry when there is one)
 if (chrome && chrome.storage && chrome.storage.sync) {
-  chrome.storage.sync.get(['aura_profile'], (res) => {
-    if (res && res.aura_profile) {
-      const saved = res.aura_profile;
-      currentSelection = saved;
-      applyToPreview(saved);
-      updateCustomPanel(saved);
-      updateProfileDisplay(saved);
-      const match = profiles.find(p => p.id === saved.id);
-      if (match) {
-        const cardEl = document.getElementById(`card-${match.id}`);
-        if (cardEl) cardEl.classList.add('selected');
-      }
-    }
-  });
+  loadProfileLibrary()
+    .then(() => AuraProfiles.loadActive())
+    .then((saved) => {
+      if (saved) selectProfile(profileLibrary.find(p => p.id === saved.id) || saved);
+    });
 } else {
   const raw = localStorage.getItem('aura_profile');
   if (raw) {
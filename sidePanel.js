@@ -2,8 +2,12 @@
   // Grab elements (defensive)
   const form = document.getElementById('askForm');
   const askBtn = document.getElementById('ask');
+  const cancelBtn = document.getElementById('cancel');
   const q = document.getElementById('q');
   const ans = document.getElementById('answer');
+  const thread = document.getElementById('thread');
+  const transcript = document.getElementById('transcript');
+  const newThreadBtn = document.getElementById('newThread');
   const statusEl = document.getElementById('status');
   const copyBtn = document.getElementById('copy');
   const speakBtn = document.getElementById('speak');
@@ -93,46 +97,176 @@
           if (e?.data?.AURA_PROFILE_LOAD && e.data.profile) {
               applyProfileToPanel(e.data.profile);
           }
+          if (e?.data?.AURA_CITATION_RESULT) {
+              setStatus(e.data.found ? `Showing “${e.data.heading || 'source'}” in the page` : 'Could not find that passage in the page');
+          }
       } catch(error){
           console.error('Side panel message handler error', error);
       }
   }, { passive: true });
 
-  // helper that sends message to background and handles lastError
-  function askBackground(question) {
-    return new Promise((resolve, reject) => {
+  // Citation click: ask the content script to scroll to and highlight the passage
+  function showCitation(btn) {
+    parent.postMessage({
+      AURA_SHOW_CITATION: true,
+      citation: {
+        anchor: btn.dataset.anchor || '',
+        heading: btn.dataset.heading || '',
+        excerpt: btn.dataset.excerpt || ''
+      }
+    }, '*');
+  }
+
+  if (transcript) {
+    transcript.addEventListener('click', (e) => {
+      const btn = e.target.closest?.('.cite-link');
+      if (btn) showCitation(btn);
+    });
+  }
+
+  // Long-lived port to background.js; answers stream back over it (see "aura-ask" in background.js)
+  let askPort = null;
+  let askInFlight = false;
+  let pendingQuestionEl = null;
+
+  function getAskPort() {
+    if (askPort) return askPort;
+    askPort = chrome.runtime.connect({ name: 'aura-ask' });
+    askPort.onMessage.addListener(onAskPortMessage);
+    askPort.onDisconnect.addListener(() => {
+      askPort = null;
+      if (askInFlight) {
+        finishAsk();
+        setStatus('Connection lost. Please ask again.', false);
+      }
+    });
+    return askPort;
+  }
+
+  function onAskPortMessage(msg) {
+    if (msg?.type === 'history') {
+      renderThread(msg.turns || []);
+      return;
+    }
+    if (!msg || !askInFlight) return;
+    if (msg.type === 'status') {
+      setStatus(msg.text, false);
+    } else if (msg.type === 'partial') {
+      renderPartial(msg);
+    } else if (msg.type === 'done') {
+      finishAsk();
+      renderAnswer(msg.answer);
+    } else if (msg.type === 'error') {
+      finishAsk();
+      renderAnswer(msg.answer);
+      setStatus('Could not get an answer.', false);
+    } else if (msg.type === 'cancelled') {
+      finishAsk();
+      pendingQuestionEl?.remove();
+      if (ans) ans.textContent = '';
+      setStatus('Cancelled.');
+    }
+  }
+
+  // --- Conversation transcript ---
+  // #thread holds earlier turns; #answer (right after it) holds the latest or in-progress answer.
+  function appendQuestion(question) {
+    if (!thread) return null;
+    const el = document.createElement('div');
+    el.className = 'turn-q';
+    el.innerHTML = `<span class="visually-hidden">You asked: </span>${escapeHtml(question)}`;
+    thread.appendChild(el);
+    return el;
+  }
+
+  // Move the latest answer into the transcript before a new question is asked
+  function archiveCurrentAnswer() {
+    if (!ans || !thread || !ans.innerHTML.trim()) return;
+    const el = document.createElement('div');
+    el.className = 'turn-a';
+    el.innerHTML = ans.innerHTML;
+    thread.appendChild(el);
+    ans.innerHTML = '';
+  }
+
+  function scrollTranscriptToEnd() {
+    if (transcript) transcript.scrollTop = transcript.scrollHeight;
+  }
+
+  function renderThread(turns) {
+    if (thread) thread.innerHTML = '';
+    if (ans) ans.innerHTML = '';
+    turns.forEach((turn, i) => {
+      appendQuestion(turn.question);
+      if (i < turns.length - 1) {
+        const el = document.createElement('div');
+        el.className = 'turn-a';
+        el.innerHTML = answerHtml(turn.answer);
+        thread?.appendChild(el);
+      } else if (ans) {
+        ans.innerHTML = answerHtml(turn.answer);
+      }
+    });
+    scrollTranscriptToEnd();
+  }
+
+  if (newThreadBtn) {
+    newThreadBtn.addEventListener('click', () => {
+      if (askInFlight) {
+        try { getAskPort().postMessage({ type: 'cancel' }); } catch (e) {}
+        finishAsk();
+      }
       try {
-        chrome.runtime.sendMessage({ type: 'AURA_PANEL_ASK', question }, (resp) => {
-          if (chrome.runtime.lastError) {
-            return reject(chrome.runtime.lastError);
-          }
-          resolve(resp);
-        });
+        getAskPort().postMessage({ type: 'reset' });
+        setStatus('Started a new conversation.');
       } catch (e) {
-        reject(e);
+        setStatus('Could not reset the conversation.');
       }
+      q?.focus();
     });
   }
 
+  function finishAsk() {
+    askInFlight = false;
+    if (askBtn) askBtn.disabled = false;
+    if (cancelBtn) cancelBtn.hidden = true;
+    ans?.setAttribute('aria-busy', 'false');
+    q?.focus();
+  }
+
   // form submit or fallback to ask button
-  async function handleAsk(question) {
+  function handleAsk(question) {
     if (!question) return;
     if (askBtn) askBtn.disabled = true;
-    if (ans) ans.textContent = 'Thinking…';
+    if (cancelBtn) cancelBtn.hidden = false;
+    archiveCurrentAnswer();
+    pendingQuestionEl = appendQuestion(question);
+    if (q) q.value = '';
+    if (ans) {
+      ans.textContent = 'Thinking…';
+      // Partial renders would otherwise be announced one fragment at a time
+      ans.setAttribute('aria-busy', 'true');
+    }
+    scrollTranscriptToEnd();
     setStatus('');
+    askInFlight = true;
     try {
-      const data = await askBackground(question);
-      renderAnswer(data);
+      getAskPort().postMessage({ type: 'ask', question });
     } catch (err) {
+      finishAsk();
       if (ans) ans.textContent = '';
       setStatus('Could not get an answer.');
       console.error('Panel ask error', err);
-    } finally {
-      if (askBtn) askBtn.disabled = false;
-      q?.focus();
     }
   }
 
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => {
+      if (!askInFlight) return;
+      try { getAskPort().postMessage({ type: 'cancel' }); } catch (e) { finishAsk(); }
+    });
+  }
+
   if (form) {
     form.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -148,18 +282,37 @@
     });
   }
 
+  // Render the part of the answer that has streamed in so far
+  function renderPartial(data) {
+    if (!ans) return;
+    const tldr = escapeHtml(data.tldr || '…');
+    const bullets = (data.bullets || []).slice(0,5).map(b => `<li>${escapeHtml(b)}</li>`).join('');
+    ans.innerHTML = `
+      <div><strong>TL;DR:</strong> ${tldr}</div>
+      ${bullets ? `<ul style="margin:8px 0 0 18px">${bullets}</ul>` : ''}
+    `;
+    scrollTranscriptToEnd();
+  }
+
   // Render answer safely
   function renderAnswer(data) {
     if (!ans) return;
     if (!data) { ans.textContent = 'No answer.'; return; }
+    ans.innerHTML = answerHtml(data);
+    scrollTranscriptToEnd();
+    setStatus('Answer loaded', true);
+  }
 
-    // pageUrl from background.js
-    const pageUrl = data.pageUrl || '#';
+  function answerHtml(data) {
+    if (!data) return '';
 
+    // Citations jump to the passage in the page (see showCitation below)
     const citationsHtml = (data.citations || []).map(c => {
       try {
-        if (c.anchor) return `<div style="font-size:12px;color:#555">Source: <a href="${pageUrl}${c.anchor}" target="_blank" rel="noopener">${escapeHtml(c.heading)}</a></div>`;
-        return `<div style="font-size:12px;color:#555">Source: <em>${escapeHtml(c.heading)}</em></div>`;
+        if (c.anchor || c.excerpt || c.heading) {
+          return `<div style="font-size:12px;color:#555">Source: <button type="button" class="cite-link" data-anchor="${escapeHtml(c.anchor || '')}" data-heading="${escapeHtml(c.heading || '')}" data-excerpt="${escapeHtml(c.excerpt || '')}" aria-label="Show source in page: ${escapeHtml(c.heading || 'cited passage')}">${escapeHtml(c.heading || 'Cited passage')}</button></div>`;
+        }
+        return '';
       } catch (e) {
         return '';
       }
@@ -170,13 +323,12 @@
     const bullets = (data.bullets || []).slice(0,5).map(b => `<li>${escapeHtml(b)}</li>`).join('');
     const details = data.details ? `<details style="margin-top:8px"><summary>If you need details</summary><div style="margin-top:6px">${escapeHtml(data.details)}</div></details>` : '';
 
-    ans.innerHTML = `
+    return `
       <div><strong>TL;DR:</strong> ${tldr}</div>
       ${bullets ? `<ul style="margin:8px 0 0 18px">${bullets}</ul>` : ''}
       ${details}
       ${citationsHtml}
     `;
-    setStatus('Answer loaded', true);
   }
 
   // Escape HTML to be safe
@@ -246,9 +398,13 @@
     });
   }
 
+  // Restore this tab's conversation when the panel opens
+  try { getAskPort().postMessage({ type: 'history' }); } catch (e) { console.warn('AURA panel: could not load conversation', e); }
+
   // Expose a small API for tests (optional)
   window.__AURA_PANEL = {
     renderAnswer,
+    renderPartial,
     applyProfileToPanel,
     copyAnswerToClipboard
   };
@@ -0,0 +1,130 @@
+// siteRules.js - per-site allow/deny rules shared by content.js, popup.js and setup.js
+//
+// Rules live in chrome.storage.sync under aura_site_rules:
+//   [{ pattern: '*.mybank.com', mode: 'deny' },
+//    { pattern: 'news.example.com', mode: 'allow', profileId: 'lowvision' }]
+//
+// A pattern is a hostname, optionally followed by a path ('docs.google.com/document/*').
+// '*' matches any run of characters and a leading '*.' also matches the bare domain.
+// 'allow' turns AURA on for the site (with the profile profileId names in profiles.js, or
+// the global one when it names none or that profile was deleted); 'deny' turns it off. The
+// most specific match wins — the pattern with the most literal characters — and deny wins a tie.
+(function (global) {
+  const STORAGE_KEY = 'aura_site_rules';
+  const MODES = ['allow', 'deny'];
+
+  function normalizePattern(pattern) {
+    return String(pattern || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z*]+:\/\//, '')
+      .replace(/\/$/, '');
+  }
+
+  function isValidPattern(pattern) {
+    const p = normalizePattern(pattern);
+    return p !== '' && p !== '*' && /^[a-z0-9*.-]+(\/\S*)?$/.test(p);
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  }
+
+  function patternToRegExp(pattern) {
+    const p = normalizePattern(pattern);
+    const slash = p.indexOf('/');
+    const host = slash === -1 ? p : p.slice(0, slash);
+    const path = slash === -1 ? '' : p.slice(slash);
+    const hostRe = host.startsWith('*.') ? `(?:.*\\.)?${escapeRegExp(host.slice(2))}` : escapeRegExp(host);
+    const pathRe = path ? escapeRegExp(path) : '(?:/.*)?';
+    return new RegExp(`^${hostRe}${pathRe}$`);
+  }
+
+  function specificity(rule) {
+    return normalizePattern(rule.pattern).replace(/\*/g, '').length;
+  }
+
+  // Returns the winning rule for a URL, or null when no rule applies
+  function match(rules, url) {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { return null; }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    const target = `${parsed.hostname}${parsed.pathname}`.toLowerCase();
+
+    let best = null;
+    for (const rule of Array.isArray(rules) ? rules : []) {
+      if (!rule || !MODES.includes(rule.mode) || !isValidPattern(rule.pattern)) continue;
+      if (!patternToRegExp(rule.pattern).test(target)) continue;
+      if (!best
+        || specificity(rule) > specificity(best)
+        || (specificity(rule) === specificity(best) && rule.mode === 'deny')) {
+        best = rule;
+      }
+    }
+    return best;
+  }
+
+  // Default pattern offered for "this site": www.example.com -> *.example.com
+  function patternForUrl(url) {
+    try {
+      const { hostname, protocol } = new URL(url);
+      if (!/^https?:$/.test(protocol) || !hostname) return null;
+      return hostname.startsWith('www.') ? `*.${hostname.slice(4)}` : hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Adds or replaces the rule with the same pattern; returns a new array
+  function upsert(rules, rule) {
+    const pattern = normalizePattern(rule.pattern);
+    const rest = (Array.isArray(rules) ? rules : []).filter(r => normalizePattern(r.pattern) !== pattern);
+    return [...rest, { ...rule, pattern }];
+  }
+
+  function remove(rules, pattern) {
+    const p = normalizePattern(pattern);
+    return (Array.isArray(rules) ? rules : []).filter(r => normalizePattern(r.pattern) !== p);
+  }
+
+  // Rules saved before profileId carried a copy of their profile; only its id is kept
+  function normalizeRules(rules) {
+    return (Array.isArray(rules) ? rules : []).map((rule) => {
+      if (!rule?.profile) return rule;
+      const { profile, ...rest } = rule;
+      return rest.profileId || !profile.id ? rest : { ...rest, profileId: profile.id };
+    });
+  }
+
+  function load() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.sync.get([STORAGE_KEY], (res) => resolve(normalizeRules(res?.[STORAGE_KEY])));
+      } catch (e) {
+        resolve([]);
+      }
+    });
+  }
+
+  function save(rules) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ [STORAGE_KEY]: rules }, () => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(rules);
+      });
+    });
+  }
+
+  global.AuraSiteRules = {
+    STORAGE_KEY,
+    normalizePattern,
+    isValidPattern,
+    match,
+    normalizeRules,
+    patternForUrl,
+    upsert,
+    remove,
+    load,
+    save
+  };
+})(globalThis);